@@ -0,0 +1,1575 @@
+// Enhanced Audio Visualizer - Backlight Companion Bridge
+// Local Node.js process that relays LED frames from the browser to devices over
+// protocols browsers cannot use directly (raw UDP, TCP, DTLS).
+//
+// Usage: node backlight-bridge.js [port] [allowed origin...]
+//
+// Only the visualizer's origin may call it (pages served from this machine
+// when no origin is given), every route but /status and /session needs the
+// session token the page reads from /session, and frames only go to devices
+// that discovery found or the page registered.
+
+const crypto = require('crypto');
+const http = require('http');
+const dgram = require('dgram');
+const net = require('net');
+const https = require('https');
+const { EventEmitter } = require('events');
+
+const DEFAULT_PORT = 21325;
+
+// WLED realtime protocol identifiers (first byte of every packet)
+const WLED_PROTOCOLS = {
+  warls: 1,
+  drgb: 2,
+  dnrgb: 4
+};
+
+// Maximum LEDs per packet for each WLED realtime protocol
+const WLED_MAX_LEDS = {
+  warls: 255,
+  drgb: 490,
+  dnrgb: 489
+};
+
+// Clamp a color channel to a byte
+function toByte(value) {
+  return Math.max(0, Math.min(255, Math.round(value || 0)));
+}
+
+// Encode LED colors as one or more WLED realtime UDP packets
+function encodeWledPackets(protocol, colors, timeout = 2) {
+  const code = WLED_PROTOCOLS[protocol];
+  if (!code) {
+    throw new Error(`Unknown WLED protocol: ${protocol}`);
+  }
+
+  const timeoutByte = Math.max(0, Math.min(255, timeout));
+  const maxLeds = WLED_MAX_LEDS[protocol];
+  const packets = [];
+
+  if (protocol === 'dnrgb') {
+    // DNRGB carries a 16-bit start index so long strips can be split
+    for (let start = 0; start < colors.length; start += maxLeds) {
+      const chunk = colors.slice(start, start + maxLeds);
+      const packet = Buffer.alloc(4 + chunk.length * 3);
+      packet[0] = code;
+      packet[1] = timeoutByte;
+      packet[2] = (start >> 8) & 0xff;
+      packet[3] = start & 0xff;
+      chunk.forEach((color, i) => {
+        packet[4 + i * 3] = toByte(color[0]);
+        packet[5 + i * 3] = toByte(color[1]);
+        packet[6 + i * 3] = toByte(color[2]);
+      });
+      packets.push(packet);
+    }
+    return packets;
+  }
+
+  const chunk = colors.slice(0, maxLeds);
+
+  if (protocol === 'warls') {
+    // WARLS prefixes every color with its LED index
+    const packet = Buffer.alloc(2 + chunk.length * 4);
+    packet[0] = code;
+    packet[1] = timeoutByte;
+    chunk.forEach((color, i) => {
+      packet[2 + i * 4] = i;
+      packet[3 + i * 4] = toByte(color[0]);
+      packet[4 + i * 4] = toByte(color[1]);
+      packet[5 + i * 4] = toByte(color[2]);
+    });
+    packets.push(packet);
+    return packets;
+  }
+
+  // DRGB: plain RGB triplets starting at LED 0
+  const packet = Buffer.alloc(2 + chunk.length * 3);
+  packet[0] = code;
+  packet[1] = timeoutByte;
+  chunk.forEach((color, i) => {
+    packet[2 + i * 3] = toByte(color[0]);
+    packet[3 + i * 3] = toByte(color[1]);
+    packet[4 + i * 3] = toByte(color[2]);
+  });
+  packets.push(packet);
+  return packets;
+}
+
+// Hyperion flatbuffers union tags (hyperion_request.fbs)
+const HYPERION_COMMANDS = {
+  color: 1,
+  image: 2,
+  clear: 3,
+  register: 4
+};
+const HYPERION_RAW_IMAGE = 1;
+
+// Round up to the next multiple of four
+function align4(size) {
+  return (size + 3) & ~3;
+}
+
+// Minimal FlatBuffers writer, enough for Hyperion requests
+// Nodes are { table: [fields] }, { string } or { bytes }; table fields are
+// null (absent), { ubyte }, { int } or { ref: node }. Objects are written
+// front to back so every offset points forward, and each field gets a
+// four-byte slot to keep alignment simple.
+function encodeFlatbuffer(root) {
+  const chunks = [];
+  const patches = [];
+  const queue = [];
+  let size = 4; // Root offset
+
+  const place = (node) => {
+    const position = size;
+    let buffer;
+
+    if (node.table) {
+      const fields = node.table;
+      const vtableSize = 4 + 2 * fields.length;
+      const vtablePadded = align4(vtableSize);
+      const tableSize = 4 + 4 * fields.length;
+      const tablePosition = position + vtablePadded;
+
+      buffer = Buffer.alloc(vtablePadded + tableSize);
+      buffer.writeUInt16LE(vtableSize, 0);
+      buffer.writeUInt16LE(tableSize, 2);
+      buffer.writeInt32LE(tablePosition - position, vtablePadded);
+
+      fields.forEach((field, i) => {
+        if (!field) return;
+
+        const fieldOffset = 4 + 4 * i;
+        buffer.writeUInt16LE(fieldOffset, 4 + 2 * i);
+
+        if (field.ubyte !== undefined) {
+          buffer.writeUInt8(field.ubyte, vtablePadded + fieldOffset);
+        } else if (field.int !== undefined) {
+          buffer.writeInt32LE(field.int, vtablePadded + fieldOffset);
+        } else if (field.ref) {
+          queue.push({ fieldPosition: tablePosition + fieldOffset, node: field.ref });
+        }
+      });
+
+      chunks.push(buffer);
+      size += buffer.length;
+      return tablePosition;
+    }
+
+    if (node.string !== undefined) {
+      const bytes = Buffer.from(node.string, 'utf8');
+      buffer = Buffer.alloc(align4(4 + bytes.length + 1));
+      buffer.writeUInt32LE(bytes.length, 0);
+      bytes.copy(buffer, 4);
+    } else {
+      buffer = Buffer.alloc(align4(4 + node.bytes.length));
+      buffer.writeUInt32LE(node.bytes.length, 0);
+      node.bytes.copy(buffer, 4);
+    }
+
+    chunks.push(buffer);
+    size += buffer.length;
+    return position;
+  };
+
+  const rootPosition = place(root);
+  while (queue.length) {
+    const { fieldPosition, node } = queue.shift();
+    patches.push({ fieldPosition, value: place(node) - fieldPosition });
+  }
+
+  const output = Buffer.concat([Buffer.alloc(4), ...chunks]);
+  output.writeUInt32LE(rootPosition, 0);
+  patches.forEach(({ fieldPosition, value }) => output.writeUInt32LE(value, fieldPosition));
+
+  return output;
+}
+
+// Encode a Hyperion flatbuffers request with its 4-byte big-endian size header
+function encodeHyperionMessage(type, params = {}) {
+  let command;
+
+  switch (type) {
+    case 'register':
+      command = { table: [{ ref: { string: params.origin } }, { int: params.priority }] };
+      break;
+    case 'clear':
+      command = { table: [{ int: params.priority }] };
+      break;
+    case 'color':
+      command = { table: [{ int: params.color }, { int: params.duration }] };
+      break;
+    case 'image':
+      command = {
+        table: [
+          { ubyte: HYPERION_RAW_IMAGE },
+          {
+            ref: {
+              table: [
+                { ref: { bytes: params.data } },
+                { int: params.width },
+                { int: params.height }
+              ]
+            }
+          },
+          { int: params.duration }
+        ]
+      };
+      break;
+    default:
+      throw new Error(`Unknown Hyperion command: ${type}`);
+  }
+
+  const request = encodeFlatbuffer({
+    table: [{ ubyte: HYPERION_COMMANDS[type] }, { ref: command }]
+  });
+
+  const header = Buffer.alloc(4);
+  header.writeUInt32BE(request.length, 0);
+  return Buffer.concat([header, request]);
+}
+
+// Govee LAN API addresses
+const GOVEE_MULTICAST_ADDRESS = '239.255.255.250';
+const GOVEE_SCAN_PORT = 4001;
+const GOVEE_REPLY_PORT = 4002;
+const GOVEE_CONTROL_PORT = 4003;
+
+// Wrap bytes in a Govee "razer" packet: 0xBB header, length, payload, XOR checksum
+function encodeGoveeRazer(payload) {
+  const packet = Buffer.alloc(payload.length + 4);
+  packet[0] = 0xbb;
+  packet[1] = (payload.length - 1) >> 8;
+  packet[2] = (payload.length - 1) & 0xff;
+  Buffer.from(payload).copy(packet, 3);
+
+  let checksum = 0;
+  for (let i = 0; i < packet.length - 1; i++) {
+    checksum ^= packet[i];
+  }
+  packet[packet.length - 1] = checksum;
+
+  return packet.toString('base64');
+}
+
+// Razer payload that turns streaming mode on or off
+function encodeGoveeRazerToggle(enable) {
+  return encodeGoveeRazer([0xb1, enable ? 0x01 : 0x00]);
+}
+
+// Razer payload with one color per segment
+function encodeGoveeRazerColors(colors, gradient = false) {
+  // The length byte caps a packet at 84 colors
+  const chunk = colors.slice(0, 84);
+  const payload = [0xb0, gradient ? 0x01 : 0x00, chunk.length];
+  chunk.forEach(color => {
+    payload.push(toByte(color[0]), toByte(color[1]), toByte(color[2]));
+  });
+  return encodeGoveeRazer(payload);
+}
+
+// Discovery addresses
+const MDNS_ADDRESS = '224.0.0.251';
+const MDNS_PORT = 5353;
+const SSDP_ADDRESS = '239.255.255.250';
+const SSDP_PORT = 1900;
+
+// How long a discovery request may listen for replies, in milliseconds
+const DISCOVERY_TIMEOUT = { default: 2000, min: 250, max: 10000 };
+
+// Clamp the listening time the page asked for so a request cannot hold a
+// socket open indefinitely
+function discoveryTimeout(timeout) {
+  const value = Number(timeout);
+  if (!Number.isFinite(value)) return DISCOVERY_TIMEOUT.default;
+  return Math.max(DISCOVERY_TIMEOUT.min, Math.min(DISCOVERY_TIMEOUT.max, value));
+}
+
+// DNS record types used by mDNS service discovery
+const DNS_TYPES = {
+  A: 1,
+  PTR: 12,
+  TXT: 16,
+  SRV: 33
+};
+
+// Encode a DNS name as length-prefixed labels
+function encodeDnsName(name) {
+  const parts = name.replace(/\.$/, '').split('.');
+  const buffers = parts.map(part => {
+    const label = Buffer.from(part, 'utf8');
+    return Buffer.concat([Buffer.from([label.length]), label]);
+  });
+  return Buffer.concat([...buffers, Buffer.from([0])]);
+}
+
+// Build an mDNS PTR query for a service such as _wled._tcp.local
+function encodeMdnsQuery(service) {
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(1, 4); // One question
+
+  const question = Buffer.alloc(4);
+  question.writeUInt16BE(DNS_TYPES.PTR, 0);
+  question.writeUInt16BE(1, 2); // Class IN
+
+  return Buffer.concat([header, encodeDnsName(service), question]);
+}
+
+// Read a (possibly compressed) DNS name; returns the name and the offset after it
+function decodeDnsName(message, offset) {
+  const labels = [];
+  let position = offset;
+  let end = null;
+  let jumps = 0;
+
+  while (position < message.length) {
+    const length = message[position];
+
+    if (length === 0) {
+      position += 1;
+      break;
+    }
+
+    // Compression pointer: the rest of the name lives elsewhere
+    if ((length & 0xc0) === 0xc0) {
+      if (end === null) end = position + 2;
+      position = ((length & 0x3f) << 8) | message[position + 1];
+      if (++jumps > 20) throw new Error('DNS name loop');
+      continue;
+    }
+
+    labels.push(message.toString('utf8', position + 1, position + 1 + length));
+    position += 1 + length;
+  }
+
+  return { name: labels.join('.'), offset: end === null ? position : end };
+}
+
+// Parse the records of a DNS response
+function decodeDnsRecords(message) {
+  const questions = message.readUInt16BE(4);
+  const recordCount = message.readUInt16BE(6) + message.readUInt16BE(8) + message.readUInt16BE(10);
+  let offset = 12;
+
+  for (let i = 0; i < questions; i++) {
+    offset = decodeDnsName(message, offset).offset + 4;
+  }
+
+  const records = [];
+  for (let i = 0; i < recordCount && offset < message.length; i++) {
+    const { name, offset: dataStart } = decodeDnsName(message, offset);
+    const type = message.readUInt16BE(dataStart);
+    const length = message.readUInt16BE(dataStart + 8);
+    const rdata = dataStart + 10;
+    const record = { name, type };
+
+    if (type === DNS_TYPES.PTR) {
+      record.target = decodeDnsName(message, rdata).name;
+    } else if (type === DNS_TYPES.SRV) {
+      record.port = message.readUInt16BE(rdata + 4);
+      record.target = decodeDnsName(message, rdata + 6).name;
+    } else if (type === DNS_TYPES.A) {
+      record.address = Array.from(message.subarray(rdata, rdata + 4)).join('.');
+    } else if (type === DNS_TYPES.TXT) {
+      record.txt = {};
+      let position = rdata;
+      while (position < rdata + length) {
+        const entry = message.toString('utf8', position + 1, position + 1 + message[position]);
+        const separator = entry.indexOf('=');
+        if (separator > 0) record.txt[entry.slice(0, separator)] = entry.slice(separator + 1);
+        position += 1 + message[position];
+      }
+    }
+
+    records.push(record);
+    offset = rdata + length;
+  }
+
+  return records;
+}
+
+// Turn mDNS records into service instances
+function collectMdnsServices(service, records, fallbackAddress) {
+  const byName = (type, name) => records.find(record => record.type === type && record.name === name);
+
+  return records
+    .filter(record => record.type === DNS_TYPES.PTR && record.name === service)
+    .map(pointer => {
+      const srv = byName(DNS_TYPES.SRV, pointer.target);
+      const txt = byName(DNS_TYPES.TXT, pointer.target);
+      const a = srv ? byName(DNS_TYPES.A, srv.target) : null;
+
+      return {
+        name: pointer.target.slice(0, -(service.length + 1)),
+        host: srv ? srv.target : null,
+        ipAddress: a ? a.address : fallbackAddress,
+        port: srv ? srv.port : null,
+        txt: txt ? txt.txt : {}
+      };
+    });
+}
+
+// Parse the headers of an SSDP response
+function decodeSsdpResponse(message) {
+  const headers = {};
+  message.toString().split('\r\n').slice(1).forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+  });
+  return headers;
+}
+
+// Hue Entertainment stream (HueStream v2) over DTLS on this port
+const HUE_STREAM_PORT = 2100;
+
+// Shortest gap between two HueStream packets (50 per second, the rate Hue
+// recommends); see sendHueFrame
+const HUE_FRAME_INTERVAL = 20;
+
+// Encode one HueStream v2 packet: 16-byte header, 36-byte area ID, then
+// 7 bytes per channel (ID plus 16-bit RGB)
+function encodeHueStreamPacket(areaId, channels, sequence = 0) {
+  if (areaId.length !== 36) {
+    throw new Error('Entertainment area ID must be a 36 character UUID');
+  }
+
+  const packet = Buffer.alloc(52 + channels.length * 7);
+  packet.write('HueStream', 0, 'ascii');
+  packet[9] = 0x02; // Major version
+  packet[10] = 0x00; // Minor version
+  packet[11] = sequence & 0xff;
+  packet[14] = 0x00; // Color space: RGB
+  packet.write(areaId, 16, 'ascii');
+
+  // A single packet carries at most 20 channels
+  channels.slice(0, 20).forEach((channel, i) => {
+    const offset = 52 + i * 7;
+    packet[offset] = channel.id;
+    packet.writeUInt16BE(toByte(channel.color[0]) * 257, offset + 1);
+    packet.writeUInt16BE(toByte(channel.color[1]) * 257, offset + 3);
+    packet.writeUInt16BE(toByte(channel.color[2]) * 257, offset + 5);
+  });
+
+  return packet.subarray(0, 52 + Math.min(channels.length, 20) * 7);
+}
+
+// DTLS 1.2 record types and handshake messages the Hue stream uses
+const DTLS_VERSION = 0xfefd;
+const DTLS_CHANGE_CIPHER_SPEC = 20;
+const DTLS_ALERT = 21;
+const DTLS_HANDSHAKE = 22;
+const DTLS_APPLICATION_DATA = 23;
+const DTLS_CLIENT_HELLO = 1;
+const DTLS_SERVER_HELLO = 2;
+const DTLS_HELLO_VERIFY_REQUEST = 3;
+const DTLS_SERVER_KEY_EXCHANGE = 12;
+const DTLS_SERVER_HELLO_DONE = 14;
+const DTLS_CLIENT_KEY_EXCHANGE = 16;
+const DTLS_FINISHED = 20;
+
+// TLS_PSK_WITH_AES_128_GCM_SHA256, the only cipher suite Hue bridges accept
+const DTLS_PSK_AES128_GCM_SHA256 = 0x00a8;
+
+// Encode a number as two big-endian bytes
+function uint16(value) {
+  const buffer = Buffer.alloc(2);
+  buffer.writeUInt16BE(value);
+  return buffer;
+}
+
+// TLS 1.2 pseudo-random function (P_SHA256)
+function tlsPrf(secret, label, seed, length) {
+  const labelSeed = Buffer.concat([Buffer.from(label, 'ascii'), seed]);
+  const blocks = [];
+  let a = labelSeed;
+  for (let size = 0; size < length; size += 32) {
+    a = crypto.createHmac('sha256', secret).update(a).digest();
+    blocks.push(crypto.createHmac('sha256', secret).update(Buffer.concat([a, labelSeed])).digest());
+  }
+  return Buffer.concat(blocks).subarray(0, length);
+}
+
+// Data GCM authenticates with a record: epoch and sequence number, type,
+// version and plaintext length
+function dtlsAdditionalData(header, length) {
+  const data = Buffer.alloc(13);
+  header.copy(data, 0, 3, 11);
+  data[8] = header[0];
+  header.copy(data, 9, 1, 3);
+  data.writeUInt16BE(length, 11);
+  return data;
+}
+
+// DTLS 1.2 client for the Hue entertainment stream
+// Node has no DTLS, and openssl s_client only takes the PSK as a command
+// line argument that every local user can read, so the handshake runs here.
+// It covers what Hue needs and no more: PSK with AES-128-GCM, unfragmented
+// handshake messages, no resumption or renegotiation. Emits 'close' with an
+// error when the stream fails, or none when it was closed on purpose.
+class HueDtlsClient extends EventEmitter {
+  constructor(host, port, identity, clientKey) {
+    super();
+
+    if (!/^([0-9a-f]{2})+$/i.test(clientKey)) {
+      throw new Error('clientKey must be a hex string');
+    }
+
+    this.host = host;
+    this.port = port;
+    this.identity = Buffer.from(identity, 'utf8');
+    this.psk = Buffer.from(clientKey, 'hex');
+
+    this.socket = null;
+    this.state = 'hello';
+    this.closed = false;
+    this.handshake = null;
+
+    this.clientRandom = crypto.randomBytes(32);
+    this.serverRandom = null;
+    this.keys = null;
+    this.masterSecret = null;
+
+    // Record sequence numbers per epoch and the next handshake message number
+    this.writeEpoch = 0;
+    this.readEpoch = 0;
+    this.recordSequence = [0, 0];
+    this.messageSequence = 0;
+
+    // Handshake messages the Finished messages cover, and the last flight
+    // sent, which goes out again when no answer comes
+    this.clientHello = null;
+    this.transcript = [];
+    this.flight = [];
+  }
+
+  // Run the handshake; resolves once the bridge's Finished message checks out
+  connect(timeout = 5000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.fail(new Error('DTLS handshake with Hue bridge timed out'));
+      }, timeout);
+      const retransmit = setInterval(() => this.sendFlight(), 1000);
+
+      this.handshake = error => {
+        clearTimeout(timer);
+        clearInterval(retransmit);
+        this.handshake = null;
+
+        if (error) {
+          this.close(error);
+          reject(error);
+        } else {
+          resolve(this);
+        }
+      };
+
+      this.socket = dgram.createSocket('udp4');
+      this.socket.on('message', datagram => {
+        try {
+          this.receive(datagram);
+        } catch (error) {
+          this.fail(error);
+        }
+      });
+      this.socket.on('error', error => this.fail(error));
+      this.socket.connect(this.port, this.host, () => this.sendClientHello(Buffer.alloc(0)));
+    });
+  }
+
+  // Send one application data record; false once the stream is closed
+  send(payload) {
+    if (this.state !== 'open' || this.closed) return false;
+
+    this.socket.send(this.encodeRecord(DTLS_APPLICATION_DATA, payload, this.writeEpoch));
+    return true;
+  }
+
+  // Close the socket, telling the bridge first if the stream was up
+  close(error) {
+    if (this.closed) return;
+    this.closed = true;
+
+    if (this.socket) {
+      const socket = this.socket;
+      if (this.state === 'open' && !error) {
+        const closeNotify = this.encodeRecord(DTLS_ALERT, Buffer.from([1, 0]), this.writeEpoch);
+        socket.send(closeNotify, () => socket.close());
+      } else {
+        socket.close();
+      }
+    }
+
+    this.state = 'closed';
+    this.emit('close', error);
+  }
+
+  // Fail the handshake, or close an open stream with the error
+  fail(error) {
+    if (this.handshake) {
+      this.handshake(error);
+    } else {
+      this.close(error);
+    }
+  }
+
+  // Frame a handshake message with the DTLS header for an unfragmented message
+  handshakeMessage(type, body) {
+    const message = Buffer.alloc(12 + body.length);
+    message[0] = type;
+    message.writeUIntBE(body.length, 1, 3);
+    message.writeUInt16BE(this.messageSequence++, 4);
+    message.writeUIntBE(body.length, 9, 3);
+    body.copy(message, 12);
+    return message;
+  }
+
+  // Wrap a payload in a record, encrypted with AES-128-GCM from epoch 1 on
+  encodeRecord(type, body, epoch) {
+    const header = Buffer.alloc(13);
+    header[0] = type;
+    header.writeUInt16BE(DTLS_VERSION, 1);
+    header.writeUInt16BE(epoch, 3);
+    header.writeUIntBE(this.recordSequence[epoch]++, 5, 6);
+
+    let fragment = body;
+    if (epoch > 0) {
+      // The epoch and sequence number double as the explicit nonce
+      const explicitNonce = Buffer.from(header.subarray(3, 11));
+      const cipher = crypto.createCipheriv('aes-128-gcm', this.keys.clientKey, Buffer.concat([this.keys.clientIv, explicitNonce]));
+      cipher.setAAD(dtlsAdditionalData(header, body.length));
+      fragment = Buffer.concat([explicitNonce, cipher.update(body), cipher.final(), cipher.getAuthTag()]);
+    }
+
+    header.writeUInt16BE(fragment.length, 11);
+    return Buffer.concat([header, fragment]);
+  }
+
+  // Decrypt a record from the bridge; null when it does not authenticate
+  decryptRecord(header, fragment) {
+    if (fragment.length < 24) return null;
+
+    const body = fragment.subarray(8, fragment.length - 16);
+    const decipher = crypto.createDecipheriv('aes-128-gcm', this.keys.serverKey, Buffer.concat([this.keys.serverIv, fragment.subarray(0, 8)]));
+    decipher.setAAD(dtlsAdditionalData(header, body.length));
+    decipher.setAuthTag(fragment.subarray(fragment.length - 16));
+
+    try {
+      return Buffer.concat([decipher.update(body), decipher.final()]);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Send the current flight of handshake records as one datagram
+  sendFlight() {
+    if (this.closed || !this.flight.length) return;
+
+    const records = this.flight.map(record => this.encodeRecord(record.type, record.body, record.epoch));
+    this.socket.send(Buffer.concat(records));
+  }
+
+  // Offer the PSK cipher suite, with the cookie from a HelloVerifyRequest
+  // when the bridge sent one
+  sendClientHello(cookie) {
+    const body = Buffer.concat([
+      uint16(DTLS_VERSION),
+      this.clientRandom,
+      Buffer.from([0]), // No session to resume
+      Buffer.from([cookie.length]),
+      cookie,
+      uint16(2),
+      uint16(DTLS_PSK_AES128_GCM_SHA256),
+      Buffer.from([1, 0]), // No compression
+      uint16(5),
+      Buffer.from([0xff, 0x01, 0x00, 0x01, 0x00]) // Empty renegotiation_info
+    ]);
+
+    this.clientHello = this.handshakeMessage(DTLS_CLIENT_HELLO, body);
+    this.flight = [{ type: DTLS_HANDSHAKE, body: this.clientHello, epoch: 0 }];
+    this.sendFlight();
+  }
+
+  // Derive the keys from the PSK and send the identity and Finished message
+  sendKeyExchange() {
+    const keyExchange = this.handshakeMessage(DTLS_CLIENT_KEY_EXCHANGE, Buffer.concat([uint16(this.identity.length), this.identity]));
+    this.transcript.push(keyExchange);
+
+    // A plain PSK premaster secret: as many zeros as the key is long, then the key
+    const premaster = Buffer.concat([uint16(this.psk.length), Buffer.alloc(this.psk.length), uint16(this.psk.length), this.psk]);
+    this.masterSecret = tlsPrf(premaster, 'master secret', Buffer.concat([this.clientRandom, this.serverRandom]), 48);
+
+    const keyBlock = tlsPrf(this.masterSecret, 'key expansion', Buffer.concat([this.serverRandom, this.clientRandom]), 40);
+    this.keys = {
+      clientKey: keyBlock.subarray(0, 16),
+      serverKey: keyBlock.subarray(16, 32),
+      clientIv: keyBlock.subarray(32, 36),
+      serverIv: keyBlock.subarray(36, 40)
+    };
+
+    const finished = this.handshakeMessage(DTLS_FINISHED, this.verifyData('client finished'));
+    this.transcript.push(finished);
+
+    this.writeEpoch = 1;
+    this.flight = [
+      { type: DTLS_HANDSHAKE, body: keyExchange, epoch: 0 },
+      { type: DTLS_CHANGE_CIPHER_SPEC, body: Buffer.from([1]), epoch: 0 },
+      { type: DTLS_HANDSHAKE, body: finished, epoch: 1 }
+    ];
+    this.sendFlight();
+  }
+
+  // Finished message contents for the handshake so far
+  verifyData(label) {
+    const hash = crypto.createHash('sha256');
+    this.transcript.forEach(message => hash.update(message));
+    return tlsPrf(this.masterSecret, label, hash.digest(), 12);
+  }
+
+  // Handle every record in a datagram from the bridge
+  receive(datagram) {
+    let offset = 0;
+    while (offset + 13 <= datagram.length) {
+      const header = datagram.subarray(offset, offset + 13);
+      const fragment = datagram.subarray(offset + 13, offset + 13 + header.readUInt16BE(11));
+      offset += 13 + fragment.length;
+
+      // Retransmitted records from an earlier epoch are skipped
+      if (header.readUInt16BE(3) !== this.readEpoch) continue;
+
+      const body = this.readEpoch > 0 ? this.decryptRecord(header, fragment) : fragment;
+      if (!body) continue;
+
+      if (header[0] === DTLS_HANDSHAKE) {
+        this.receiveHandshake(body);
+      } else if (header[0] === DTLS_CHANGE_CIPHER_SPEC && this.keys) {
+        this.readEpoch = 1;
+      } else if (header[0] === DTLS_ALERT && (body[0] === 2 || body[1] === 0)) {
+        // A fatal alert or close_notify ends the stream
+        this.fail(new Error(body[1] === 0 ? 'Hue bridge closed the DTLS stream' : `Hue bridge sent DTLS alert ${body[1]}`));
+        return;
+      }
+    }
+  }
+
+  // Step through the handshake; messages that do not fit the current step
+  // are retransmissions and are skipped
+  receiveHandshake(record) {
+    let offset = 0;
+    while (offset + 12 <= record.length) {
+      const length = record.readUIntBE(offset + 1, 3);
+      const fragmentOffset = record.readUIntBE(offset + 6, 3);
+      const fragmentLength = record.readUIntBE(offset + 9, 3);
+      if (fragmentOffset !== 0 || fragmentLength !== length) {
+        throw new Error('Fragmented DTLS handshake messages are not supported');
+      }
+
+      const message = Buffer.from(record.subarray(offset, offset + 12 + length));
+      offset += 12 + length;
+
+      this.handleHandshakeMessage(message[0], message);
+    }
+  }
+
+  // Act on one handshake message from the bridge
+  handleHandshakeMessage(type, message) {
+    const body = message.subarray(12);
+
+    if (type === DTLS_HELLO_VERIFY_REQUEST && this.state === 'hello') {
+      this.sendClientHello(body.subarray(3, 3 + body[2]));
+    } else if (type === DTLS_SERVER_HELLO && this.state === 'hello') {
+      const sessionIdLength = body[34];
+      if (body.readUInt16BE(35 + sessionIdLength) !== DTLS_PSK_AES128_GCM_SHA256) {
+        throw new Error('Hue bridge chose an unsupported DTLS cipher suite');
+      }
+
+      // The ClientHello the bridge answered starts the transcript
+      this.serverRandom = body.subarray(2, 34);
+      this.transcript = [this.clientHello, message];
+      this.state = 'server';
+    } else if (type === DTLS_SERVER_KEY_EXCHANGE && this.state === 'server') {
+      this.transcript.push(message);
+    } else if (type === DTLS_SERVER_HELLO_DONE && this.state === 'server') {
+      this.transcript.push(message);
+      this.state = 'finished';
+      this.sendKeyExchange();
+    } else if (type === DTLS_FINISHED && this.state === 'finished') {
+      const expected = this.verifyData('server finished');
+      if (body.length !== expected.length || !crypto.timingSafeEqual(body, expected)) {
+        throw new Error('DTLS handshake with Hue bridge failed');
+      }
+
+      this.flight = [];
+      this.state = 'open';
+      this.handshake(null);
+    }
+  }
+}
+
+// Ports a known device may be reached on without registering them: HTTP,
+// Hue HTTPS and DTLS, Govee control, Hyperion flatbuffers and WLED realtime
+const DEVICE_PORTS = [80, 443, HUE_STREAM_PORT, GOVEE_CONTROL_PORT, 19400, 21324];
+
+// Origins allowed when none are configured: pages served from this machine
+const LOCAL_ORIGIN = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/;
+
+// Host header values that name this machine (anything else is a rebound DNS name)
+const LOCAL_HOST_HEADER = /^(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/;
+
+// Routes the page may call before it has the session token
+const PUBLIC_ROUTES = ['GET /status', 'GET /session'];
+
+// Whether an address may be registered by hand: private, link-local and
+// loopback IPv4 addresses, and mDNS .local names
+function isLocalNetworkHost(host) {
+  if (typeof host !== 'string') return false;
+  if (/^[a-z0-9-]+(\.[a-z0-9-]+)*\.local$/i.test(host)) return true;
+  if (!/^\d{1,3}(\.\d{1,3}){3}$/.test(host)) return false;
+
+  const [a, b, c, d] = host.split('.').map(Number);
+  if ([a, b, c, d].some(part => part > 255)) return false;
+
+  return a === 10 ||
+    a === 127 ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    (a === 169 && b === 254);
+}
+
+// Error carrying the HTTP status to reply with
+function bridgeError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Local HTTP server the browser sends frames to
+class BacklightBridge {
+  constructor(options = {}) {
+    this.options = {
+      port: DEFAULT_PORT,
+      host: '127.0.0.1',
+      origins: [], // Allowed page origins; empty allows pages served from this machine
+      maxBodyBytes: 1024 * 1024, // A 320x180 Hyperion image is about 230 KB of base64
+      huePort: 443, // Hue bridge HTTPS API
+      hueStreamPort: HUE_STREAM_PORT, // Hue bridge DTLS entertainment stream
+      ...options
+    };
+
+    this.server = null;
+    this.udpSocket = null;
+
+    // Secret the page reads from /session and sends back with every request
+    this.token = crypto.randomBytes(24).toString('hex');
+
+    // Devices the bridge may talk to, keyed by address, with any extra ports
+    this.hosts = new Map();
+
+    // Open Hyperion flatbuffers sockets keyed by host:port
+    this.hyperionSockets = new Map();
+
+    // Running Hue entertainment streams keyed by bridge host
+    this.hueStreams = new Map();
+
+    // Routes keyed by "METHOD /path"
+    this.routes = {
+      'GET /status': () => ({ ok: true, name: 'backlight-bridge' }),
+      'GET /session': (body, req) => this.openSession(req),
+      'POST /hosts/register': body => this.registerHost(body),
+      'POST /wled/frame': body => this.sendWledFrame(body),
+      'POST /wled/release': body => this.releaseWled(body),
+      'POST /wled/info': body => this.fetchWledInfo(body),
+      'POST /hyperion/register': body => this.registerHyperion(body),
+      'POST /hyperion/image': body => this.sendHyperionImage(body),
+      'POST /hyperion/clear': body => this.clearHyperion(body),
+      'POST /hue/pair': body => this.pairHue(body),
+      'POST /hue/config': body => this.fetchHueConfig(body),
+      'POST /hue/areas': body => this.listHueAreas(body),
+      'POST /hue/stream/start': body => this.startHueStream(body),
+      'POST /hue/stream/frame': body => this.sendHueFrame(body),
+      'POST /hue/stream/stop': body => this.stopHueStream(body),
+      'POST /govee/scan': body => this.scanGovee(body),
+      'POST /govee/command': body => this.sendGoveeCommand(body),
+      'POST /govee/razer': body => this.toggleGoveeRazer(body),
+      'POST /govee/razer/frame': body => this.sendGoveeRazerFrame(body),
+      'POST /discover/mdns': body => this.discoverMdns(body),
+      'POST /discover/ssdp': body => this.discoverSsdp(body)
+    };
+  }
+
+  // Start listening for browser requests
+  start() {
+    this.udpSocket = dgram.createSocket('udp4');
+
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, () => {
+        console.log(`Backlight bridge listening on http://${this.options.host}:${this.server.address().port}`);
+        resolve(this);
+      });
+    });
+  }
+
+  // Stop the server and close sockets
+  stop() {
+    this.hyperionSockets.forEach(socket => socket.destroy());
+    this.hyperionSockets.clear();
+
+    this.hueStreams.forEach(stream => this.dropHueStream(stream.connection));
+
+    if (this.udpSocket) {
+      this.udpSocket.close();
+      this.udpSocket = null;
+    }
+
+    if (!this.server) return Promise.resolve();
+
+    return new Promise(resolve => {
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  // Dispatch an HTTP request to its route
+  handleRequest(req, res) {
+    const origin = req.headers.origin;
+
+    if (!LOCAL_HOST_HEADER.test(req.headers.host || '')) {
+      this.sendJson(res, 403, { error: 'Requests must be addressed to this machine' });
+      return;
+    }
+
+    if (origin && !this.isAllowedOrigin(origin)) {
+      this.sendJson(res, 403, { error: `Origin not allowed: ${origin}` });
+      return;
+    }
+
+    if (origin) {
+      // The visualizer page is served from a different origin
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Backlight-Token');
+      res.setHeader('Vary', 'Origin');
+    }
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const path = req.url.split('?')[0];
+    const name = `${req.method} ${path}`;
+    const route = this.routes[name];
+
+    if (!route) {
+      this.sendJson(res, 404, { error: `Unknown route: ${name}` });
+      return;
+    }
+
+    if (!PUBLIC_ROUTES.includes(name) && !this.checkToken(req.headers['x-backlight-token'])) {
+      this.sendJson(res, 401, { error: 'Missing or invalid session token' });
+      return;
+    }
+
+    this.readBody(req)
+      .then(body => route(body, req))
+      .then(result => this.sendJson(res, 200, result || { ok: true }))
+      .catch(error => this.sendJson(res, error.status || 400, { error: error.message }));
+  }
+
+  // Whether a page origin may use the bridge
+  isAllowedOrigin(origin) {
+    return this.options.origins.length
+      ? this.options.origins.includes(origin)
+      : LOCAL_ORIGIN.test(origin);
+  }
+
+  // Compare a request's token with the session token in constant time
+  checkToken(token) {
+    if (typeof token !== 'string' || token.length !== this.token.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(this.token));
+  }
+
+  // Hand the session token to the page; only an allowed origin gets here with
+  // an Origin header, and one is required so other pages cannot embed the reply
+  openSession(req) {
+    if (!req.headers.origin) {
+      throw bridgeError(403, 'An Origin header is required');
+    }
+    return { token: this.token };
+  }
+
+  // Add a device entered by hand, with any ports it uses besides the defaults
+  registerHost({ host, ports = [] }) {
+    if (!isLocalNetworkHost(host)) {
+      throw bridgeError(403, `Not a local network address: ${host}`);
+    }
+    if (!Array.isArray(ports) || !ports.every(port => Number.isInteger(port) && port > 0 && port < 65536)) {
+      throw new Error('ports must be a list of port numbers');
+    }
+
+    this.allowHost(host, ports);
+    return { ok: true };
+  }
+
+  // Remember a device the bridge may send to
+  allowHost(host, ports = []) {
+    const known = this.hosts.get(host) || new Set();
+    ports.forEach(port => known.add(port));
+    this.hosts.set(host, known);
+  }
+
+  // Remember a device that answered discovery, but only at the local address
+  // the reply came from; an address named in the payload could point anywhere
+  allowDiscoveredHost(address, rinfo, ports = []) {
+    if (address !== rinfo.address || !isLocalNetworkHost(address)) return false;
+
+    this.allowHost(address, ports);
+    return true;
+  }
+
+  // Refuse addresses that were neither discovered nor registered
+  checkTarget(host, port) {
+    const known = this.hosts.get(host);
+    if (!known) {
+      throw bridgeError(403, `Unknown device ${host}; discover or register it first`);
+    }
+    if (!DEVICE_PORTS.includes(port) && !known.has(port)) {
+      throw bridgeError(403, `Port ${port} is not registered for ${host}`);
+    }
+  }
+
+  // Read and parse a JSON request body
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let data = '';
+      let size = 0;
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > this.options.maxBodyBytes) {
+          // Keep draining so the reply can still be written, but stop buffering
+          reject(bridgeError(413, 'Request body too large'));
+          return;
+        }
+        data += chunk;
+      });
+      req.on('end', () => {
+        if (size > this.options.maxBodyBytes) return;
+        if (!data) {
+          resolve({});
+          return;
+        }
+        try {
+          resolve(JSON.parse(data));
+        } catch (e) {
+          reject(new Error('Invalid JSON body'));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  // Write a JSON response
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  // Send a UDP datagram
+  sendUdp(packet, port, host) {
+    return new Promise((resolve, reject) => {
+      this.checkTarget(host, port);
+      this.udpSocket.send(packet, port, host, error => {
+        if (error) reject(error);
+        else resolve();
+      });
+    });
+  }
+
+  // Relay a frame of LED colors to WLED as realtime packets
+  sendWledFrame({ host, port = 21324, protocol = 'drgb', timeout = 2, colors }) {
+    if (!host || !Array.isArray(colors)) {
+      throw new Error('host and colors are required');
+    }
+
+    const packets = encodeWledPackets(protocol, colors, timeout);
+    return Promise.all(packets.map(packet => this.sendUdp(packet, port, host)))
+      .then(() => ({ ok: true, packets: packets.length }));
+  }
+
+  // Leave realtime mode immediately (a timeout of 0 releases the strip)
+  releaseWled({ host, port = 21324 }) {
+    if (!host) {
+      throw new Error('host is required');
+    }
+
+    const packet = Buffer.from([WLED_PROTOCOLS.drgb, 0]);
+    return this.sendUdp(packet, port, host).then(() => ({ ok: true }));
+  }
+
+  // Fetch /json/info on behalf of the browser
+  fetchWledInfo({ host }) {
+    if (!host) {
+      throw new Error('host is required');
+    }
+
+    this.checkTarget(host, 80);
+
+    return new Promise((resolve, reject) => {
+      const req = http.get({ host, path: '/json/info', timeout: 2000 }, res => {
+        let data = '';
+        res.on('data', chunk => {
+          data += chunk;
+        });
+        res.on('end', () => {
+          try {
+            resolve(JSON.parse(data));
+          } catch (e) {
+            reject(new Error('Invalid response from WLED'));
+          }
+        });
+      });
+      req.on('timeout', () => req.destroy(new Error('WLED did not respond')));
+      req.on('error', reject);
+    });
+  }
+
+  // Open (or reuse) a flatbuffers connection to Hyperion
+  getHyperionSocket({ host, port = 19400 }) {
+    if (!host) {
+      return Promise.reject(new Error('host is required'));
+    }
+
+    try {
+      this.checkTarget(host, port);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    const key = `${host}:${port}`;
+    const existing = this.hyperionSockets.get(key);
+    if (existing && !existing.destroyed) {
+      return Promise.resolve(existing);
+    }
+
+    return new Promise((resolve, reject) => {
+      const socket = net.connect({ host, port }, () => {
+        socket.removeListener('error', reject);
+        socket.on('error', error => {
+          console.error(`Hyperion socket ${key} error:`, error.message);
+          this.hyperionSockets.delete(key);
+        });
+        this.hyperionSockets.set(key, socket);
+        resolve(socket);
+      });
+
+      socket.once('error', reject);
+      socket.on('close', () => this.hyperionSockets.delete(key));
+
+      // Replies are flatbuffers too; nothing in them needs acting on here
+      socket.on('data', () => {});
+    });
+  }
+
+  // Write a flatbuffers message to Hyperion
+  writeHyperion(target, type, params) {
+    return this.getHyperionSocket(target).then(socket => {
+      return new Promise((resolve, reject) => {
+        socket.write(encodeHyperionMessage(type, params), error => {
+          if (error) reject(error);
+          else resolve({ ok: true });
+        });
+      });
+    });
+  }
+
+  // Register the visualizer as a priority source
+  registerHyperion({ host, port, origin = 'Enhanced Audio Visualizer', priority = 100 }) {
+    return this.writeHyperion({ host, port }, 'register', { origin, priority });
+  }
+
+  // Send a raw RGB image (base64 encoded by the browser)
+  sendHyperionImage({ host, port, width, height, data, duration = -1 }) {
+    if (!width || !height || !data) {
+      throw new Error('width, height and data are required');
+    }
+
+    const bytes = Buffer.from(data, 'base64');
+    if (bytes.length !== width * height * 3) {
+      throw new Error('Image data does not match its dimensions');
+    }
+
+    return this.writeHyperion({ host, port }, 'image', { data: bytes, width, height, duration });
+  }
+
+  // Clear our priority and close the connection
+  clearHyperion({ host, port = 19400, priority = 100 }) {
+    return this.writeHyperion({ host, port }, 'clear', { priority }).then(() => {
+      const key = `${host}:${port}`;
+      const socket = this.hyperionSockets.get(key);
+      if (socket) {
+        socket.end();
+        this.hyperionSockets.delete(key);
+      }
+      return { ok: true };
+    });
+  }
+
+  // Call the Hue bridge REST API (self-signed certificate, so no verification)
+  hueRequest(host, method, path, { appKey, body } = {}) {
+    return new Promise((resolve, reject) => {
+      this.checkTarget(host, this.options.huePort);
+
+      const headers = { 'Content-Type': 'application/json' };
+      if (appKey) headers['hue-application-key'] = appKey;
+
+      const req = https.request({
+        host,
+        port: this.options.huePort,
+        path,
+        method,
+        headers,
+        rejectUnauthorized: false,
+        timeout: 5000
+      }, res => {
+        let data = '';
+        res.on('data', chunk => {
+          data += chunk;
+        });
+        res.on('end', () => {
+          let parsed = null;
+          try {
+            parsed = data ? JSON.parse(data) : null;
+          } catch (e) {
+            reject(new Error('Invalid response from Hue bridge'));
+            return;
+          }
+          resolve({ status: res.statusCode, headers: res.headers, body: parsed });
+        });
+      });
+
+      req.on('timeout', () => req.destroy(new Error('Hue bridge did not respond')));
+      req.on('error', reject);
+      if (body) req.write(JSON.stringify(body));
+      req.end();
+    });
+  }
+
+  // Read the unauthenticated part of the bridge config (name, bridge ID)
+  fetchHueConfig({ host }) {
+    if (!host) {
+      throw new Error('host is required');
+    }
+
+    return this.hueRequest(host, 'GET', '/api/0/config').then(({ body }) => body);
+  }
+
+  // Request an app key; succeeds only after the link button is pressed
+  pairHue({ host, deviceType = 'enhanced_audio_visualizer#bridge' }) {
+    if (!host) {
+      throw new Error('host is required');
+    }
+
+    return this.hueRequest(host, 'POST', '/api', {
+      body: { devicetype: deviceType, generateclientkey: true }
+    }).then(({ body }) => {
+      const result = Array.isArray(body) ? body[0] : null;
+
+      if (result && result.success) {
+        return { appKey: result.success.username, clientKey: result.success.clientkey };
+      }
+
+      // Error 101: link button not pressed yet
+      if (result && result.error && result.error.type === 101) {
+        return { linkButtonPressed: false };
+      }
+
+      throw new Error(result && result.error ? result.error.description : 'Pairing failed');
+    });
+  }
+
+  // List entertainment areas with their channel positions
+  listHueAreas({ host, appKey }) {
+    return this.hueRequest(host, 'GET', '/clip/v2/resource/entertainment_configuration', { appKey })
+      .then(({ status, body }) => {
+        if (status !== 200) {
+          throw new Error(`Hue bridge returned ${status}`);
+        }
+
+        const areas = body.data.map(area => ({
+          id: area.id,
+          name: area.metadata ? area.metadata.name : area.id,
+          channels: area.channels.map(channel => ({
+            id: channel.channel_id,
+            position: channel.position
+          }))
+        }));
+
+        return { areas };
+      });
+  }
+
+  // Activate the area and open the DTLS stream
+  startHueStream({ host, appKey, clientKey, areaId }) {
+    if (!host || !appKey || !clientKey || !areaId) {
+      throw new Error('host, appKey, clientKey and areaId are required');
+    }
+
+    const existing = this.hueStreams.get(host);
+    if (existing) this.dropHueStream(existing.connection);
+
+    const path = `/clip/v2/resource/entertainment_configuration/${areaId}`;
+
+    return this.hueRequest(host, 'PUT', path, { appKey, body: { action: 'start' } })
+      .then(() => this.hueRequest(host, 'GET', '/auth/v1', { appKey }))
+      .then(({ headers }) => {
+        // The PSK identity is the application ID, not the app key
+        const identity = headers['hue-application-id'] || appKey;
+        return this.openHueDtls(host, identity, clientKey);
+      })
+      .then(connection => {
+        this.hueStreams.set(host, { connection, areaId, sequence: 0, lastWrite: 0 });
+        return { ok: true };
+      });
+  }
+
+  // Open the DTLS stream; see HueDtlsClient
+  openHueDtls(host, identity, clientKey) {
+    this.checkTarget(host, this.options.hueStreamPort);
+
+    const connection = new HueDtlsClient(host, this.options.hueStreamPort, identity, clientKey);
+    connection.on('close', error => {
+      if (error) console.error(`Hue stream to ${host} failed:`, error.message);
+      this.dropHueStream(connection);
+    });
+
+    return connection.connect();
+  }
+
+  // Forget a stream and close its connection
+  dropHueStream(connection) {
+    this.hueStreams.forEach((stream, key) => {
+      if (stream.connection === connection) this.hueStreams.delete(key);
+    });
+    connection.close();
+  }
+
+  // Send one HueStream packet as its own DTLS record
+  // Frames arriving less than HUE_FRAME_INTERVAL after the last one are
+  // dropped to keep to the rate the Hue bridge can take.
+  sendHueFrame({ host, channels }) {
+    const stream = this.hueStreams.get(host);
+    if (!stream || stream.connection.closed) {
+      if (stream) this.dropHueStream(stream.connection);
+      throw new Error(`No Hue stream open for ${host}`);
+    }
+
+    const now = Date.now();
+    if (now - stream.lastWrite < HUE_FRAME_INTERVAL) {
+      return { ok: true, dropped: true };
+    }
+    stream.lastWrite = now;
+
+    const packet = encodeHueStreamPacket(stream.areaId, channels, stream.sequence);
+    stream.sequence = (stream.sequence + 1) & 0xff;
+    stream.connection.send(packet);
+
+    return { ok: true };
+  }
+
+  // Close the DTLS stream and deactivate the area
+  stopHueStream({ host, appKey, areaId }) {
+    const stream = this.hueStreams.get(host);
+    if (stream) {
+      this.dropHueStream(stream.connection);
+    }
+
+    const path = `/clip/v2/resource/entertainment_configuration/${areaId}`;
+    return this.hueRequest(host, 'PUT', path, { appKey, body: { action: 'stop' } })
+      .then(() => ({ ok: true }));
+  }
+
+  // Multicast a scan request and collect replies from Govee devices
+  scanGovee({ timeout }) {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+      const devices = new Map();
+
+      socket.on('message', (message, rinfo) => {
+        try {
+          const reply = JSON.parse(message.toString());
+          if (reply.msg && reply.msg.cmd === 'scan' && this.allowDiscoveredHost(reply.msg.data.ip, rinfo)) {
+            devices.set(reply.msg.data.device, reply.msg.data);
+          }
+        } catch (e) {
+          // Ignore anything that is not a scan reply
+        }
+      });
+
+      socket.on('error', error => {
+        socket.close();
+        reject(error);
+      });
+
+      socket.bind(GOVEE_REPLY_PORT, () => {
+        const request = Buffer.from(JSON.stringify({
+          msg: { cmd: 'scan', data: { account_topic: 'reserve' } }
+        }));
+
+        socket.send(request, GOVEE_SCAN_PORT, GOVEE_MULTICAST_ADDRESS);
+
+        setTimeout(() => {
+          socket.close();
+          resolve({ devices: Array.from(devices.values()) });
+        }, discoveryTimeout(timeout));
+      });
+    });
+  }
+
+  // Send a LAN API command to a Govee device
+  sendGoveeCommand({ host, msg }) {
+    if (!host || !msg) {
+      throw new Error('host and msg are required');
+    }
+
+    const packet = Buffer.from(JSON.stringify({ msg }));
+    return this.sendUdp(packet, GOVEE_CONTROL_PORT, host).then(() => ({ ok: true }));
+  }
+
+  // Turn streaming ("razer") mode on or off
+  toggleGoveeRazer({ host, enable }) {
+    return this.sendGoveeCommand({
+      host,
+      msg: { cmd: 'razer', data: { pt: encodeGoveeRazerToggle(enable) } }
+    });
+  }
+
+  // Send one color per segment in streaming mode
+  sendGoveeRazerFrame({ host, colors, gradient = false }) {
+    if (!Array.isArray(colors)) {
+      throw new Error('colors are required');
+    }
+
+    return this.sendGoveeCommand({
+      host,
+      msg: { cmd: 'razer', data: { pt: encodeGoveeRazerColors(colors, gradient) } }
+    });
+  }
+
+  // Browse for an mDNS service (legacy unicast query, so no multicast group needed)
+  discoverMdns({ service, timeout }) {
+    if (!service) {
+      throw new Error('service is required');
+    }
+
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket('udp4');
+      const found = new Map();
+
+      socket.on('message', (message, rinfo) => {
+        try {
+          collectMdnsServices(service, decodeDnsRecords(message), rinfo.address).forEach(instance => {
+            if (this.allowDiscoveredHost(instance.ipAddress, rinfo, instance.port ? [instance.port] : [])) {
+              found.set(instance.name, instance);
+            }
+          });
+        } catch (e) {
+          // Ignore malformed packets from other responders
+        }
+      });
+
+      socket.on('error', error => {
+        socket.close();
+        reject(error);
+      });
+
+      socket.bind(0, () => {
+        socket.send(encodeMdnsQuery(service), MDNS_PORT, MDNS_ADDRESS);
+
+        setTimeout(() => {
+          socket.close();
+          resolve({ services: Array.from(found.values()) });
+        }, discoveryTimeout(timeout));
+      });
+    });
+  }
+
+  // Send an SSDP M-SEARCH and collect the responses
+  discoverSsdp({ st, timeout }) {
+    if (!st) {
+      throw new Error('st is required');
+    }
+
+    const wait = discoveryTimeout(timeout);
+
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket('udp4');
+      const found = new Map();
+
+      socket.on('message', (message, rinfo) => {
+        const headers = decodeSsdpResponse(message);
+        if (headers.st !== st || !this.allowDiscoveredHost(rinfo.address, rinfo)) return;
+        found.set(headers.usn || rinfo.address, { ipAddress: rinfo.address, headers });
+      });
+
+      socket.on('error', error => {
+        socket.close();
+        reject(error);
+      });
+
+      socket.bind(0, () => {
+        const request = Buffer.from([
+          'M-SEARCH * HTTP/1.1',
+          `HOST: ${SSDP_ADDRESS}:${SSDP_PORT}`,
+          'MAN: "ssdp:discover"',
+          `MX: ${Math.max(1, Math.floor(wait / 1000))}`,
+          `ST: ${st}`,
+          '',
+          ''
+        ].join('\r\n'));
+
+        socket.send(request, SSDP_PORT, SSDP_ADDRESS);
+
+        setTimeout(() => {
+          socket.close();
+          resolve({ devices: Array.from(found.values()) });
+        }, wait);
+      });
+    });
+  }
+}
+
+module.exports = {
+  BacklightBridge,
+  encodeWledPackets,
+  encodeFlatbuffer,
+  encodeHyperionMessage,
+  encodeHueStreamPacket,
+  encodeGoveeRazerToggle,
+  encodeGoveeRazerColors,
+  encodeMdnsQuery,
+  decodeDnsRecords,
+  collectMdnsServices,
+  DEFAULT_PORT
+};
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2], 10) || DEFAULT_PORT;
+  const origins = process.argv.slice(3);
+  const bridge = new BacklightBridge({ port, origins });
+
+  bridge.start().catch(error => {
+    console.error('Error starting backlight bridge:', error);
+    process.exit(1);
+  });
+
+  process.on('SIGINT', () => {
+    bridge.stop().then(() => process.exit(0));
+  });
+}
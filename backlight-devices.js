@@ -0,0 +1,1370 @@
+// Enhanced Audio Visualizer - TV Backlight Device Drivers
+// Talks to LED controllers directly, or through the local companion bridge
+// (backlight-bridge.js) for protocols a browser cannot speak, such as raw UDP.
+// Every vendor is a driver registered with backlightDrivers, so new outputs
+// can be added without touching BacklightSystem.
+
+// Default address of the companion bridge process
+const BACKLIGHT_BRIDGE_URL = 'http://127.0.0.1:21325';
+
+// Session token requests keyed by bridge URL, shared by every client
+const backlightBridgeSessions = new Map();
+
+// Small HTTP client for the companion bridge
+class BacklightBridgeClient {
+  constructor(baseUrl = BACKLIGHT_BRIDGE_URL) {
+    this.baseUrl = baseUrl;
+    this.available = null;
+    this.lastCheck = 0;
+  }
+
+  // Check whether the bridge is running (result is cached for a few seconds)
+  isAvailable() {
+    const now = Date.now();
+    if (this.available !== null && now - this.lastCheck < 5000) {
+      return Promise.resolve(this.available);
+    }
+
+    return this.request('GET', '/status')
+      .then(() => true)
+      .catch(() => false)
+      .then(available => {
+        this.available = available;
+        this.lastCheck = now;
+        return available;
+      });
+  }
+
+  // GET a bridge endpoint
+  get(path) {
+    return this.send('GET', path);
+  }
+
+  // POST a JSON body to a bridge endpoint
+  post(path, body) {
+    return this.send('POST', path, body);
+  }
+
+  // Read the token the bridge hands to the visualizer's origin
+  session() {
+    if (!backlightBridgeSessions.has(this.baseUrl)) {
+      const token = this.request('GET', '/session').then(result => result.token);
+      token.catch(() => backlightBridgeSessions.delete(this.baseUrl));
+      backlightBridgeSessions.set(this.baseUrl, token);
+    }
+    return backlightBridgeSessions.get(this.baseUrl);
+  }
+
+  // Let the bridge reach a device entered by hand, plus any non-default ports
+  registerHost(host, ports = []) {
+    return this.post('/hosts/register', { host, ports });
+  }
+
+  // Browse for an mDNS service, e.g. _wled._tcp.local
+  discoverMdns(service, timeout = 2000) {
+    return this.post('/discover/mdns', { service, timeout }).then(result => result.services);
+  }
+
+  // Send an SSDP search for a service type
+  discoverSsdp(st, timeout = 2000) {
+    return this.post('/discover/ssdp', { st, timeout }).then(result => result.devices);
+  }
+
+  // Send a request with the session token; a restarted bridge has a new
+  // one, so a rejected token is fetched again once
+  send(method, path, body, retry = true) {
+    return this.session()
+      .then(token => this.request(method, path, body, token))
+      .catch(error => {
+        if (!retry || error.status !== 401) throw error;
+        backlightBridgeSessions.delete(this.baseUrl);
+        return this.send(method, path, body, false);
+      });
+  }
+
+  // Send a request and parse the JSON reply
+  request(method, path, body, token) {
+    const init = { method, headers: {} };
+    if (token) {
+      init.headers['X-Backlight-Token'] = token;
+    }
+    if (body !== undefined) {
+      init.headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(body);
+    }
+
+    return fetch(this.baseUrl + path, init).then(response => {
+      return response.json().catch(() => ({})).then(result => {
+        if (!response.ok) {
+          const error = new Error(result.error || `Bridge request failed: ${response.status}`);
+          error.status = response.status;
+          throw error;
+        }
+        return result;
+      });
+    });
+  }
+}
+
+// Base class for backlight output drivers
+// Subclasses override the static type/displayName/capabilities and
+// connect, sendFrame and disconnect; discover is optional.
+class BacklightDriver {
+  constructor(device, options = {}) {
+    this.device = device;
+    this.options = options;
+    this.connected = false;
+  }
+
+  // Device type this driver handles (matches device.type)
+  static get type() {
+    return '';
+  }
+
+  // Human readable name for the config dialog
+  static get displayName() {
+    return this.type;
+  }
+
+  // What the driver supports
+  static get capabilities() {
+    return {
+      discovery: false, // Implements discover()
+      perLed: false, // Addresses individual LEDs rather than a few zones
+      requiresBridge: false, // Needs backlight-bridge.js running
+      requiresPairing: false, // Needs a pairing step before connect()
+      maxFps: 30
+    };
+  }
+
+  // Secret option fields the driver reads (stored in backlightCredentials, not the config)
+  static get credentialFields() {
+    return [];
+  }
+
+  // Find devices of this type on the network
+  static discover(options = {}) {
+    return Promise.resolve([]);
+  }
+
+  // Describe a device the user added by IP address
+  static probe(ipAddress, options = {}) {
+    return Promise.resolve({
+      id: `${this.type}-${ipAddress}`,
+      type: this.type,
+      name: `${this.displayName} (${ipAddress})`,
+      ipAddress,
+      connected: false
+    });
+  }
+
+  // Capabilities of this instance (may depend on the connected device)
+  getCapabilities() {
+    return this.constructor.capabilities;
+  }
+
+  // Open the connection to the device
+  connect() {
+    return Promise.reject(new Error(`${this.constructor.type} driver does not implement connect()`));
+  }
+
+  // Send one frame ({ zones, leds }); returns false when the frame was dropped
+  sendFrame(frame) {
+    return false;
+  }
+
+  // Close the connection and hand the device back to its own effects
+  disconnect() {
+    this.connected = false;
+    return Promise.resolve();
+  }
+}
+
+// Registry of available output drivers keyed by device type
+class BacklightDriverRegistry {
+  constructor() {
+    this.drivers = new Map();
+  }
+
+  // Register a driver class (replaces any driver for the same type)
+  register(Driver) {
+    if (!(Driver.prototype instanceof BacklightDriver)) {
+      throw new Error('Backlight drivers must extend BacklightDriver');
+    }
+    if (!Driver.type) {
+      throw new Error('Backlight drivers must declare a type');
+    }
+
+    this.drivers.set(Driver.type, Driver);
+    return Driver;
+  }
+
+  // Remove a driver
+  unregister(type) {
+    return this.drivers.delete(type);
+  }
+
+  // Look up the driver for a device type
+  get(type) {
+    return this.drivers.get(type) || null;
+  }
+
+  // All registered driver classes
+  list() {
+    return Array.from(this.drivers.values());
+  }
+
+  // Create a driver instance for a device
+  create(device, options = {}) {
+    const Driver = this.get(device.type);
+    if (!Driver) {
+      throw new Error(`No backlight driver registered for ${device.type}`);
+    }
+    return new Driver(device, options);
+  }
+}
+
+// Shared registry; third-party drivers call backlightDrivers.register(MyDriver)
+const backlightDrivers = new BacklightDriverRegistry();
+
+// Encrypted storage for device secrets (Govee API keys, Hue app keys, Hyperion tokens)
+// Entries are keyed by device key and encrypted with AES-GCM in localStorage. The
+// key is either a non-extractable WebCrypto key kept in IndexedDB, or derived from
+// a passphrase with PBKDF2, in which case the store stays locked until
+// unlock(passphrase). Workers never read the store; the page passes them the
+// secrets of the devices they connect.
+class BacklightCredentialStore {
+  constructor(storageKey = 'backlightCredentials') {
+    this.storageKey = storageKey;
+    this.key = null;
+    this.secrets = {};
+
+    // Entries the current key cannot decrypt (their browser key was lost)
+    this.unreadable = [];
+  }
+
+  // Field names that hold secrets, wherever they appear in a config or device
+  static get secretFields() {
+    return ['apiKey', 'appKey', 'clientKey', 'token', 'password'];
+  }
+
+  // Whether this browser context can encrypt (WebCrypto needs HTTPS or localhost)
+  static get available() {
+    return typeof crypto !== 'undefined' && Boolean(crypto.subtle) &&
+      typeof indexedDB !== 'undefined' && typeof localStorage !== 'undefined';
+  }
+
+  // Copy of a value with every secret field left out, for exports and logs
+  static redact(value) {
+    if (Array.isArray(value)) return value.map(item => BacklightCredentialStore.redact(item));
+    if (!value || typeof value !== 'object') return value;
+
+    const result = {};
+    Object.keys(value).forEach(key => {
+      if (!BacklightCredentialStore.secretFields.includes(key)) {
+        result[key] = BacklightCredentialStore.redact(value[key]);
+      }
+    });
+    return result;
+  }
+
+  // Base64 for keeping bytes in JSON
+  static toBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+  }
+
+  // Bytes back from base64
+  static fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+
+  // AES-GCM key for a passphrase
+  static deriveKey(passphrase, salt) {
+    return crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey'])
+      .then(material => crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations: 310000, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+      ));
+  }
+
+  // Encrypt a JSON value with a fresh IV
+  static encrypt(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    return crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)))
+      .then(data => ({
+        iv: BacklightCredentialStore.toBase64(iv),
+        data: BacklightCredentialStore.toBase64(new Uint8Array(data))
+      }));
+  }
+
+  // Decrypt a value stored by encrypt()
+  static decrypt(key, { iv, data }) {
+    return crypto.subtle.decrypt({ name: 'AES-GCM', iv: BacklightCredentialStore.fromBase64(iv) }, key, BacklightCredentialStore.fromBase64(data))
+      .then(plain => JSON.parse(new TextDecoder().decode(plain)));
+  }
+
+  // Stored record: { mode: 'device' | 'passphrase', salt, check, entries }
+  // where entries[id] is { iv, data, fields, updatedAt }
+  loadRecord() {
+    const empty = { mode: 'device', salt: null, check: null, entries: {} };
+    if (typeof localStorage === 'undefined') return empty;
+
+    try {
+      return { ...empty, ...JSON.parse(localStorage.getItem(this.storageKey) || '{}') };
+    } catch (e) {
+      console.error('Error loading backlight credentials:', e);
+      return empty;
+    }
+  }
+
+  // Save the encrypted record
+  saveRecord(record) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(record));
+    } catch (e) {
+      console.error('Error saving backlight credentials:', e);
+    }
+  }
+
+  // 'device' (browser key) or 'passphrase'
+  get mode() {
+    return this.loadRecord().mode;
+  }
+
+  // Locked until unlock() has decrypted the entries
+  isLocked() {
+    return !this.key;
+  }
+
+  // The browser's non-extractable key, created on first use
+  loadDeviceKey() {
+    const open = () => new Promise((resolve, reject) => {
+      const request = indexedDB.open('backlightCredentials', 1);
+      request.onupgradeneeded = () => request.result.createObjectStore('keys');
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    const run = (db, mode, work) => new Promise((resolve, reject) => {
+      const transaction = db.transaction('keys', mode);
+      const request = work(transaction.objectStore('keys'));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    return open().then(db => run(db, 'readonly', keys => keys.get('device'))
+      .then(key => key || crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt'])
+        .then(generated => run(db, 'readwrite', keys => keys.put(generated, 'device')).then(() => generated)))
+      .then(key => {
+        db.close();
+        return key;
+      }));
+  }
+
+  // Unlock with the browser key, or with the passphrase if one is set
+  unlock(passphrase) {
+    if (this.key) return Promise.resolve(true);
+    if (!BacklightCredentialStore.available) {
+      return Promise.reject(new Error('Encrypted credential storage needs WebCrypto and IndexedDB (HTTPS or localhost)'));
+    }
+
+    let record = this.loadRecord();
+    let keyReady;
+    if (record.mode === 'passphrase') {
+      if (!passphrase) return Promise.reject(new Error('Credentials are protected by a passphrase'));
+      keyReady = BacklightCredentialStore.deriveKey(passphrase, BacklightCredentialStore.fromBase64(record.salt));
+    } else {
+      keyReady = this.loadDeviceKey();
+    }
+
+    return keyReady.then(key => {
+      // The check value tells a wrong passphrase (or a lost browser key) apart
+      const check = record.check
+        ? BacklightCredentialStore.decrypt(key, record.check).catch(() => null)
+        : Promise.resolve(null);
+
+      return check.then(value => {
+        const valid = value === 'backlight';
+        if (record.check && !valid && record.mode === 'passphrase') {
+          throw new Error('Wrong passphrase');
+        }
+
+        // Site data was cleared, taking the browser key with it. The entries
+        // are kept and listed in unreadable so the user decides what to drop.
+        if (record.check && !valid) {
+          console.warn('Some backlight credentials were encrypted with a browser key that no longer exists');
+        }
+
+        const ids = Object.keys(record.entries);
+        return Promise.all(ids.map(id => BacklightCredentialStore.decrypt(key, record.entries[id])
+          .catch(() => null)))
+          .then(values => {
+            this.secrets = {};
+            this.unreadable = [];
+            ids.forEach((id, i) => {
+              if (values[i]) {
+                this.secrets[id] = values[i];
+              } else {
+                this.unreadable.push(id);
+              }
+            });
+            this.key = key;
+
+            // The check value moves to the new key once nothing needs the old one
+            if (valid || this.unreadable.length) return true;
+            return BacklightCredentialStore.encrypt(key, 'backlight').then(created => {
+              this.saveRecord({ ...this.loadRecord(), check: created });
+              return true;
+            });
+          });
+      });
+    });
+  }
+
+  // Forget the key and the decrypted secrets
+  lock() {
+    this.key = null;
+    this.secrets = {};
+    this.unreadable = [];
+  }
+
+  // Secrets for one device, or {} when there are none (or the store is locked)
+  get(id) {
+    return { ...this.secrets[id] };
+  }
+
+  // Stored entries without their secrets: [{ id, fields, updatedAt }]
+  list() {
+    const { entries } = this.loadRecord();
+    return Object.keys(entries).map(id => ({ id, fields: entries[id].fields || [], updatedAt: entries[id].updatedAt }));
+  }
+
+  // Store (or replace) the secrets for a device
+  set(id, credentials) {
+    if (!this.key) {
+      // Plain HTTP pages get no WebCrypto; keep the secrets for this session only
+      if (!BacklightCredentialStore.available) {
+        console.warn(`Credentials for ${id} are kept in memory only; serve the page over HTTPS or localhost to store them`);
+        this.secrets[id] = { ...credentials };
+        return Promise.resolve();
+      }
+      return Promise.reject(new Error('Credentials are locked'));
+    }
+
+    return BacklightCredentialStore.encrypt(this.key, credentials).then(encrypted => {
+      const record = this.loadRecord();
+      record.entries[id] = { ...encrypted, fields: Object.keys(credentials), updatedAt: Date.now() };
+      this.saveRecord(record);
+      this.secrets[id] = { ...credentials };
+      this.unreadable = this.unreadable.filter(unreadableId => unreadableId !== id);
+    });
+  }
+
+  // Forget a device's secrets; works while locked
+  remove(id) {
+    const record = this.loadRecord();
+    delete record.entries[id];
+    delete this.secrets[id];
+    this.unreadable = this.unreadable.filter(unreadableId => unreadableId !== id);
+    this.saveRecord(record);
+    return Promise.resolve();
+  }
+
+  // Protect the store with a passphrase, or go back to the browser key with none;
+  // every entry is encrypted again under the new key
+  setPassphrase(passphrase) {
+    if (!this.key) return Promise.reject(new Error('Credentials are locked'));
+
+    const salt = passphrase ? crypto.getRandomValues(new Uint8Array(16)) : null;
+    const keyReady = passphrase ? BacklightCredentialStore.deriveKey(passphrase, salt) : this.loadDeviceKey();
+
+    return keyReady.then(key => {
+      const ids = Object.keys(this.secrets);
+      return Promise.all([
+        BacklightCredentialStore.encrypt(key, 'backlight'),
+        ...ids.map(id => BacklightCredentialStore.encrypt(key, this.secrets[id]))
+      ]).then(([check, ...encrypted]) => {
+        const previous = this.loadRecord();
+        const entries = {};
+        ids.forEach((id, i) => {
+          entries[id] = { ...previous.entries[id], ...encrypted[i] };
+        });
+
+        this.saveRecord({
+          mode: passphrase ? 'passphrase' : 'device',
+          salt: salt && BacklightCredentialStore.toBase64(salt),
+          check,
+          entries
+        });
+        this.key = key;
+      });
+    });
+  }
+}
+
+// Shared store; BacklightSystem reads device secrets from it
+const backlightCredentials = new BacklightCredentialStore();
+
+// WLED realtime output
+// Streams LED colors as DRGB/DNRGB/WARLS UDP packets through the bridge and
+// falls back to the JSON state API when the bridge is not running.
+class WLEDDriver extends BacklightDriver {
+  constructor(device, options = {}) {
+    super(device);
+    this.host = device.ipAddress;
+    this.options = {
+      protocol: 'auto', // 'auto', 'drgb', 'dnrgb', 'warls'
+      port: 21324, // WLED realtime UDP port
+      maxFps: 30, // Frame rate cap for UDP output
+      jsonMaxFps: 10, // The JSON API is much slower to apply updates
+      timeout: 2, // Seconds WLED waits before leaving realtime mode
+      bridgeUrl: BACKLIGHT_BRIDGE_URL,
+      ...options
+    };
+
+    this.bridge = new BacklightBridgeClient(this.options.bridgeUrl);
+    this.transport = null; // 'udp' or 'json'
+    this.ledCount = 0;
+    this.pending = false;
+    this.lastFrameTime = 0;
+  }
+
+  static get type() {
+    return 'WLED';
+  }
+
+  static get displayName() {
+    return 'WLED Strip';
+  }
+
+  static get capabilities() {
+    return {
+      ...super.capabilities,
+      discovery: true,
+      perLed: true,
+      maxFps: 30
+    };
+  }
+
+  // WLED advertises _wled._tcp with its MAC address in the TXT record
+  static discover(options = {}) {
+    const bridge = new BacklightBridgeClient(options.bridgeUrl || BACKLIGHT_BRIDGE_URL);
+
+    return bridge.discoverMdns('_wled._tcp.local', options.timeout).then(services => {
+      return services.map(service => ({
+        id: service.txt.mac || service.name,
+        type: 'WLED',
+        name: service.name,
+        ipAddress: service.ipAddress,
+        connected: false
+      }));
+    });
+  }
+
+  // Read name, MAC and LED count from /json/info
+  static probe(ipAddress, options = {}) {
+    return fetch(`http://${ipAddress}/json/info`)
+      .then(response => response.json())
+      .then(info => ({
+        id: info.mac || ipAddress,
+        type: 'WLED',
+        name: info.name || `WLED (${ipAddress})`,
+        ipAddress,
+        ledCount: info.leds ? info.leds.count : 0,
+        connected: false
+      }));
+  }
+
+  // Pick a transport and read the LED count from the controller
+  connect() {
+    return this.bridge.isAvailable()
+      .then(bridgeAvailable => {
+        this.transport = bridgeAvailable ? 'udp' : 'json';
+        return this.fetchInfo();
+      })
+      .then(info => {
+        this.ledCount = info && info.leds ? info.leds.count : 0;
+        this.connected = true;
+        console.log(`WLED at ${this.host} connected via ${this.transport} (${this.ledCount} LEDs)`);
+        return this;
+      });
+  }
+
+  // Read /json/info, through the bridge when direct access is blocked
+  fetchInfo() {
+    return fetch(`http://${this.host}/json/info`)
+      .then(response => response.json())
+      .catch(() => {
+        if (this.transport !== 'udp') return null;
+        return this.bridge.post('/wled/info', { host: this.host }).catch(() => null);
+      });
+  }
+
+  // Send one frame of LED colors, dropping frames above the rate cap
+  sendFrame(frame) {
+    if (!this.connected || this.pending) return false;
+
+    const maxFps = this.transport === 'udp' ? this.options.maxFps : this.options.jsonMaxFps;
+    const now = performance.now();
+    if (now - this.lastFrameTime < 1000 / maxFps) return false;
+    this.lastFrameTime = now;
+
+    // Fit the frame to the strip when the LED count is known
+    const colors = this.ledCount > 0 ? frame.leds.slice(0, this.ledCount) : frame.leds;
+
+    this.pending = true;
+    const request = this.transport === 'udp'
+      ? this.sendRealtimeFrame(colors)
+      : this.sendJsonFrame(colors);
+
+    request
+      .catch(error => console.error('Error sending frame to WLED:', error))
+      .then(() => {
+        this.pending = false;
+      });
+
+    return true;
+  }
+
+  // Stream the frame as a realtime UDP packet
+  sendRealtimeFrame(colors) {
+    return this.bridge.post('/wled/frame', {
+      host: this.host,
+      port: this.options.port,
+      protocol: this.selectProtocol(colors.length),
+      timeout: this.options.timeout,
+      colors
+    });
+  }
+
+  // Set individual LEDs through the JSON state API
+  sendJsonFrame(colors) {
+    const hexColors = colors.map(color => color
+      .map(c => Math.max(0, Math.min(255, Math.round(c))).toString(16).padStart(2, '0'))
+      .join(''));
+
+    return fetch(`http://${this.host}/json/state`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ on: true, tt: 0, seg: { i: hexColors } })
+    });
+  }
+
+  // Choose the realtime protocol that fits the frame
+  selectProtocol(ledCount) {
+    if (this.options.protocol !== 'auto') return this.options.protocol;
+
+    // DRGB holds up to 490 LEDs per packet, DNRGB splits longer strips
+    return ledCount <= 490 ? 'drgb' : 'dnrgb';
+  }
+
+  // Hand the strip back to WLED immediately instead of waiting for the timeout
+  disconnect() {
+    if (!this.connected) return Promise.resolve();
+    this.connected = false;
+
+    const release = this.transport === 'udp'
+      ? this.bridge.post('/wled/release', { host: this.host, port: this.options.port })
+      : fetch(`http://${this.host}/json/state`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ live: false })
+      });
+
+    return release
+      .catch(error => console.error('Error releasing WLED realtime mode:', error))
+      .then(() => {
+        console.log(`WLED at ${this.host} disconnected`);
+      });
+  }
+}
+
+// Hyperion / HyperHDR output
+// Registers as a priority source and pushes LED colors or a downscaled image,
+// either over the JSON-RPC WebSocket or as Flatbuffers through the bridge.
+class HyperionDriver extends BacklightDriver {
+  constructor(device, options = {}) {
+    super(device);
+    this.host = device.ipAddress;
+    this.options = {
+      transport: device.transport || 'json', // 'json' (WebSocket) or 'flatbuffers' (TCP via bridge)
+      output: device.output || 'leds', // 'leds' (color pattern) or 'image' (downscaled border image)
+      jsonPort: device.jsonPort || 8090,
+      flatbuffersPort: device.flatbuffersPort || 19400,
+      priority: 100, // Lower numbers win; grabbers usually sit at 240+
+      origin: 'Enhanced Audio Visualizer',
+      duration: 3000, // The source expires on its own if frames stop arriving
+      maxFps: 30,
+      token: device.token || '',
+      bridgeUrl: BACKLIGHT_BRIDGE_URL,
+      ...options
+    };
+
+    this.bridge = new BacklightBridgeClient(this.options.bridgeUrl);
+    this.socket = null;
+    this.pending = false;
+    this.lastFrameTime = 0;
+    this.tan = 0;
+    this.pendingReplies = {};
+  }
+
+  static get type() {
+    return 'Hyperion';
+  }
+
+  static get displayName() {
+    return 'Hyperion / HyperHDR';
+  }
+
+  static get capabilities() {
+    return {
+      ...super.capabilities,
+      discovery: true,
+      perLed: true,
+      maxFps: 30
+    };
+  }
+
+  // API token, for servers with authorization enabled
+  static get credentialFields() {
+    return ['token'];
+  }
+
+  // Hyperion and HyperHDR answer SSDP searches and advertise over zeroconf
+  static discover(options = {}) {
+    const bridge = new BacklightBridgeClient(options.bridgeUrl || BACKLIGHT_BRIDGE_URL);
+    const timeout = options.timeout;
+
+    const fromSsdp = (st) => bridge.discoverSsdp(st, timeout).then(responses => {
+      return responses.map(({ ipAddress, headers }) => {
+        // Port headers are prefixed with the product name (HYPERION-, HYPERHDR-)
+        const header = (suffix) => {
+          const key = Object.keys(headers).find(name => name.endsWith(suffix));
+          return key ? headers[key] : undefined;
+        };
+        const location = headers.location ? new URL(headers.location) : null;
+
+        return {
+          id: (headers.usn || ipAddress).split('::')[0].replace(/^uuid:/, ''),
+          type: 'Hyperion',
+          name: header('-name') || `Hyperion (${ipAddress})`,
+          ipAddress,
+          jsonPort: location && location.port ? parseInt(location.port, 10) : undefined,
+          flatbuffersPort: header('-fbs-port') ? parseInt(header('-fbs-port'), 10) : undefined,
+          connected: false
+        };
+      });
+    });
+
+    const fromMdns = bridge.discoverMdns('_hyperiond-json._tcp.local', timeout).then(services => {
+      return services.map(service => ({
+        id: service.txt.id || service.name,
+        type: 'Hyperion',
+        name: service.name,
+        ipAddress: service.ipAddress,
+        connected: false
+      }));
+    });
+
+    return Promise.all([
+      fromSsdp('urn:hyperion-project.org:device:basic:1').catch(() => []),
+      fromSsdp('urn:hyperhdr.eu:device:basic:1').catch(() => []),
+      fromMdns.catch(() => [])
+    ]).then(results => [].concat(...results));
+  }
+
+  // Open the transport and authorize if a token is configured
+  connect() {
+    if (this.options.transport === 'flatbuffers') {
+      // Flatbuffers carries images only
+      this.options.output = 'image';
+      return this.bridge.post('/hyperion/register', this.getFlatbuffersTarget()).then(() => {
+        this.connected = true;
+        console.log(`Hyperion at ${this.host} registered via flatbuffers`);
+        return this;
+      });
+    }
+
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(`ws://${this.host}:${this.options.jsonPort}/`);
+
+      socket.onopen = () => {
+        this.socket = socket;
+        this.authorize()
+          .then(() => {
+            this.connected = true;
+            console.log(`Hyperion at ${this.host} connected via JSON-RPC`);
+            resolve(this);
+          })
+          .catch(reject);
+      };
+
+      socket.onerror = () => reject(new Error(`Could not reach Hyperion at ${this.host}`));
+
+      socket.onclose = () => {
+        this.connected = false;
+        this.socket = null;
+      };
+
+      socket.onmessage = (event) => this.handleMessage(event);
+    });
+  }
+
+  // Log in with the API token when the server requires one
+  authorize() {
+    if (!this.options.token) return Promise.resolve();
+
+    return this.request({
+      command: 'authorize',
+      subcommand: 'login',
+      token: this.options.token
+    });
+  }
+
+  // Send a JSON-RPC command and wait for its reply
+  request(message) {
+    return new Promise((resolve, reject) => {
+      const tan = ++this.tan;
+      this.pendingReplies[tan] = { resolve, reject };
+      this.socket.send(JSON.stringify({ ...message, tan }));
+    });
+  }
+
+  // Route replies to their pending requests
+  handleMessage(event) {
+    let reply;
+    try {
+      reply = JSON.parse(event.data);
+    } catch (e) {
+      return;
+    }
+
+    const pending = this.pendingReplies[reply.tan];
+    if (pending) {
+      delete this.pendingReplies[reply.tan];
+      if (reply.success === false) {
+        pending.reject(new Error(reply.error || `Hyperion rejected ${reply.command}`));
+      } else {
+        pending.resolve(reply);
+      }
+    } else if (reply.success === false) {
+      console.error('Hyperion error:', reply.error);
+    }
+  }
+
+  // Send one frame, dropping frames above the rate cap
+  sendFrame(frame) {
+    if (!this.connected || this.pending) return false;
+
+    const now = performance.now();
+    if (now - this.lastFrameTime < 1000 / this.options.maxFps) return false;
+    this.lastFrameTime = now;
+
+    if (this.options.transport === 'flatbuffers') {
+      this.pending = true;
+      this.bridge.post('/hyperion/image', {
+        ...this.getFlatbuffersTarget(),
+        ...this.encodeImage(frame.zones)
+      })
+        .catch(error => console.error('Error sending frame to Hyperion:', error))
+        .then(() => {
+          this.pending = false;
+        });
+      return true;
+    }
+
+    // Frames are fire-and-forget on the WebSocket; replies are only logged on error
+    const base = {
+      priority: this.options.priority,
+      origin: this.options.origin,
+      duration: this.options.duration
+    };
+
+    if (this.options.output === 'image') {
+      const image = this.encodeImage(frame.zones);
+      this.socket.send(JSON.stringify({
+        command: 'image',
+        imagedata: image.data,
+        imagewidth: image.width,
+        imageheight: image.height,
+        ...base
+      }));
+    } else {
+      // Several RGB triplets in one color command are applied as an LED pattern
+      const color = [];
+      frame.leds.forEach(led => {
+        color.push(Math.round(led[0]), Math.round(led[1]), Math.round(led[2]));
+      });
+      this.socket.send(JSON.stringify({ command: 'color', color, ...base }));
+    }
+
+    return true;
+  }
+
+  // Build a small RGB image whose border carries the edge zone colors
+  encodeImage(zones) {
+    const width = Math.max(zones.top.length, zones.bottom.length, 2);
+    const height = Math.max(zones.left.length, zones.right.length, 0) + 2;
+    const pixels = new Uint8Array(width * height * 3);
+
+    const setPixel = (x, y, color) => {
+      const index = (y * width + x) * 3;
+      pixels[index] = color[0];
+      pixels[index + 1] = color[1];
+      pixels[index + 2] = color[2];
+    };
+
+    // Nearest-neighbour resample of an edge onto a row or column
+    const sample = (edge, i, length) => edge[Math.min(edge.length - 1, Math.floor((i / length) * edge.length))];
+
+    for (let x = 0; x < width; x++) {
+      if (zones.top.length) setPixel(x, 0, sample(zones.top, x, width));
+      if (zones.bottom.length) setPixel(x, height - 1, sample(zones.bottom, x, width));
+    }
+
+    for (let y = 1; y < height - 1; y++) {
+      if (zones.left.length) setPixel(0, y, sample(zones.left, y - 1, height - 2));
+      if (zones.right.length) setPixel(width - 1, y, sample(zones.right, y - 1, height - 2));
+    }
+
+    let binary = '';
+    pixels.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+
+    return { width, height, data: btoa(binary) };
+  }
+
+  // Address and source details the bridge needs for flatbuffers
+  getFlatbuffersTarget() {
+    return {
+      host: this.host,
+      port: this.options.flatbuffersPort,
+      priority: this.options.priority,
+      origin: this.options.origin,
+      duration: this.options.duration
+    };
+  }
+
+  // Clear our priority so Hyperion falls back to its other sources
+  disconnect() {
+    if (!this.connected) return Promise.resolve();
+    this.connected = false;
+
+    if (this.options.transport === 'flatbuffers') {
+      return this.bridge.post('/hyperion/clear', this.getFlatbuffersTarget())
+        .catch(error => console.error('Error clearing Hyperion priority:', error))
+        .then(() => {
+          console.log(`Hyperion at ${this.host} disconnected`);
+        });
+    }
+
+    const socket = this.socket;
+    this.socket = null;
+
+    return new Promise(resolve => {
+      socket.send(JSON.stringify({ command: 'clear', priority: this.options.priority }));
+      socket.close();
+      console.log(`Hyperion at ${this.host} disconnected`);
+      resolve();
+    });
+  }
+}
+
+// Philips Hue Entertainment output
+// Streams colors to the lights of an entertainment area. Pairing, area lookup
+// and the DTLS stream all go through the bridge, since the Hue bridge uses a
+// self-signed certificate and the stream itself is DTLS over UDP.
+class HueEntertainmentDriver extends BacklightDriver {
+  constructor(device, options = {}) {
+    super(device);
+    this.host = device.bridgeIp || device.ipAddress;
+    this.options = {
+      areaId: device.areaId || '',
+      maxFps: 50, // Hue recommends 50-60Hz; the bridge forwards to lights at 25Hz
+      smoothing: 0, // Extra per-channel smoothing on top of the zone smoothing (0-1)
+      bridgeUrl: BACKLIGHT_BRIDGE_URL,
+      ...options
+    };
+
+    this.bridge = new BacklightBridgeClient(this.options.bridgeUrl);
+    this.area = null;
+    this.channelZones = [];
+    this.channelColors = {};
+    this.pending = false;
+    this.lastFrameTime = 0;
+  }
+
+  static get type() {
+    return 'Philips Hue';
+  }
+
+  static get displayName() {
+    return 'Philips Hue Entertainment';
+  }
+
+  static get capabilities() {
+    return {
+      ...super.capabilities,
+      discovery: true,
+      requiresBridge: true,
+      requiresPairing: true,
+      maxFps: 50
+    };
+  }
+
+  // Issued by the bridge when pairing
+  static get credentialFields() {
+    return ['appKey', 'clientKey'];
+  }
+
+  // Hue bridges advertise _hue._tcp; the cloud endpoint covers networks without mDNS
+  static discover(options = {}) {
+    const bridge = new BacklightBridgeClient(options.bridgeUrl || BACKLIGHT_BRIDGE_URL);
+
+    const toDevice = (id, ipAddress) => ({
+      id: id.toLowerCase(),
+      type: 'Philips Hue',
+      name: `Hue Bridge (${ipAddress})`,
+      bridgeIp: ipAddress,
+      ipAddress,
+      connected: false
+    });
+
+    const fromMdns = bridge.discoverMdns('_hue._tcp.local', options.timeout).then(services => {
+      return services.map(service => toDevice(service.txt.bridgeid || service.name, service.ipAddress));
+    });
+
+    const fromCloud = fetch('https://discovery.meethue.com/')
+      .then(response => response.json())
+      .then(bridges => bridges.map(found => toDevice(found.id, found.internalipaddress)));
+
+    return Promise.all([fromMdns.catch(() => []), fromCloud.catch(() => [])])
+      .then(results => [].concat(...results));
+  }
+
+  // Read the bridge ID and name from its public config
+  static probe(ipAddress, options = {}) {
+    const bridge = new BacklightBridgeClient(options.bridgeUrl || BACKLIGHT_BRIDGE_URL);
+
+    return bridge.post('/hue/config', { host: ipAddress }).then(config => ({
+      id: config.bridgeid.toLowerCase(),
+      type: 'Philips Hue',
+      name: config.name || `Hue Bridge (${ipAddress})`,
+      bridgeIp: ipAddress,
+      ipAddress,
+      connected: false
+    }));
+  }
+
+  // App and client keys older versions kept in plain text, keyed by bridge
+  // address; BacklightSystem.migrateLegacyCredentials moves them into
+  // backlightCredentials and removes them
+  static loadLegacyCredentials() {
+    try {
+      return JSON.parse(localStorage.getItem('backlightHueCredentials') || '{}');
+    } catch (e) {
+      console.error('Error loading Hue credentials:', e);
+      return {};
+    }
+  }
+
+  // Drop the plain text keys once they have been moved
+  static clearLegacyCredentials() {
+    localStorage.removeItem('backlightHueCredentials');
+  }
+
+  // Credential store ID for moved keys until the bridge is seen again
+  // (the plain text keys only recorded the bridge address, not its ID)
+  static legacyCredentialKey(host) {
+    return `${HueEntertainmentDriver.type}@${host}`;
+  }
+
+  // Pair with a bridge: keep asking until the link button is pressed
+  // Resolves to { appKey, clientKey }; the caller stores them
+  static pair(host, options = {}) {
+    const { attempts = 30, interval = 1000, bridgeUrl = BACKLIGHT_BRIDGE_URL } = options;
+    const bridge = new BacklightBridgeClient(bridgeUrl);
+
+    const attempt = (remaining) => bridge.post('/hue/pair', { host }).then(result => {
+      if (result.appKey) {
+        return { appKey: result.appKey, clientKey: result.clientKey };
+      }
+
+      if (remaining <= 1) {
+        throw new Error('Link button on the Hue bridge was not pressed');
+      }
+
+      return new Promise(resolve => setTimeout(resolve, interval)).then(() => attempt(remaining - 1));
+    });
+
+    return attempt(attempts);
+  }
+
+  // List the entertainment areas configured on the bridge
+  listAreas() {
+    return this.bridge.post('/hue/areas', { host: this.host, appKey: this.options.appKey })
+      .then(result => result.areas);
+  }
+
+  // Pick the entertainment area and start streaming
+  connect() {
+    if (!this.options.appKey || !this.options.clientKey) {
+      return Promise.reject(new Error(`Hue bridge at ${this.host} is not paired`));
+    }
+
+    return this.listAreas()
+      .then(areas => {
+        this.area = areas.find(area => area.id === this.options.areaId) || areas[0];
+        if (!this.area) {
+          throw new Error('No entertainment areas configured on the Hue bridge');
+        }
+
+        return this.bridge.post('/hue/stream/start', {
+          host: this.host,
+          appKey: this.options.appKey,
+          clientKey: this.options.clientKey,
+          areaId: this.area.id
+        });
+      })
+      .then(() => {
+        this.connected = true;
+        console.log(`Hue entertainment area "${this.area.name}" streaming (${this.area.channels.length} channels)`);
+        return this;
+      });
+  }
+
+  // Map each channel's position in the area to the nearest edge zone; a
+  // layout with no LEDs on any edge maps no channels
+  mapChannelsToZones(zones) {
+    if (!['top', 'bottom', 'left', 'right'].some(edge => zones[edge].length > 0)) return [];
+
+    return this.area.channels.map(channel => {
+      // x runs left (-1) to right (1), z runs floor (-1) to ceiling (1)
+      const u = (channel.position.x + 1) / 2;
+      const v = (1 - channel.position.z) / 2;
+
+      const distances = [
+        { edge: 'top', distance: v, along: u },
+        { edge: 'bottom', distance: 1 - v, along: u },
+        { edge: 'left', distance: u, along: v },
+        { edge: 'right', distance: 1 - u, along: v }
+      ].filter(candidate => zones[candidate.edge].length > 0);
+
+      const nearest = distances.reduce((best, candidate) => (candidate.distance < best.distance ? candidate : best));
+      const length = zones[nearest.edge].length;
+
+      return {
+        id: channel.id,
+        edge: nearest.edge,
+        index: Math.min(length - 1, Math.floor(Math.max(0, Math.min(1, nearest.along)) * length))
+      };
+    });
+  }
+
+  // Send one frame, smoothing each channel toward its zone color
+  sendFrame(frame) {
+    if (!this.connected || this.pending) return false;
+
+    const now = performance.now();
+    if (now - this.lastFrameTime < 1000 / this.options.maxFps) return false;
+    this.lastFrameTime = now;
+
+    // Zone counts can change with the layout, so the mapping follows the frame
+    this.channelZones = this.mapChannelsToZones(frame.zones);
+    if (!this.channelZones.length) return false;
+
+    const blend = 1 - this.options.smoothing;
+    const channels = this.channelZones.map(({ id, edge, index }) => {
+      const target = frame.zones[edge][index];
+      const previous = this.channelColors[id] || target;
+      const color = previous.map((c, i) => c + (target[i] - c) * blend);
+      this.channelColors[id] = color;
+      return { id, color };
+    });
+
+    this.pending = true;
+    this.bridge.post('/hue/stream/frame', { host: this.host, channels })
+      .catch(error => console.error('Error sending frame to Philips Hue:', error))
+      .then(() => {
+        this.pending = false;
+      });
+
+    return true;
+  }
+
+  // Stop streaming so the lights return to their previous state
+  disconnect() {
+    if (!this.connected) return Promise.resolve();
+    this.connected = false;
+
+    return this.bridge.post('/hue/stream/stop', {
+      host: this.host,
+      appKey: this.options.appKey,
+      areaId: this.area.id
+    })
+      .catch(error => console.error('Error stopping Hue entertainment stream:', error))
+      .then(() => {
+        console.log(`Hue bridge at ${this.host} disconnected`);
+      });
+  }
+}
+
+// Known Govee models with their segment counts; anything missing falls back
+// to the default and can be overridden per device
+const GOVEE_MODELS = {
+  H6199: { name: 'DreamView T1 TV Backlight', segments: 15 },
+  H6168: { name: 'TV Backlight', segments: 15 },
+  H6046: { name: 'RGBIC TV Light Bars', segments: 10 },
+  H619A: { name: 'RGBIC Strip Lights', segments: 15 }
+};
+
+// Govee LAN output
+// Puts the device in "razer" (DreamView streaming) mode and sends one color
+// per segment over the LAN UDP API through the bridge.
+class GoveeLanDriver extends BacklightDriver {
+  constructor(device, options = {}) {
+    super(device);
+
+    const model = device.model || device.sku || '';
+    const metadata = GOVEE_MODELS[model] || {};
+
+    this.host = device.ipAddress;
+    this.model = model;
+    this.options = {
+      segments: device.segments || metadata.segments || 10,
+      gradient: false, // Let the device blend between neighbouring segments
+      maxFps: 25,
+      bridgeUrl: BACKLIGHT_BRIDGE_URL,
+      ...options
+    };
+
+    this.bridge = new BacklightBridgeClient(this.options.bridgeUrl);
+    this.pending = false;
+    this.lastFrameTime = 0;
+  }
+
+  static get type() {
+    return 'Govee';
+  }
+
+  static get displayName() {
+    return 'Govee (LAN API)';
+  }
+
+  static get capabilities() {
+    return {
+      ...super.capabilities,
+      discovery: true,
+      requiresBridge: true,
+      maxFps: 25
+    };
+  }
+
+  // The LAN API needs no key; an API key for Govee's cloud API can still be stored
+  static get credentialFields() {
+    return ['apiKey'];
+  }
+
+  // Find Govee devices with the LAN API enabled via multicast scan
+  static discover(options = {}) {
+    const bridge = new BacklightBridgeClient(options.bridgeUrl || BACKLIGHT_BRIDGE_URL);
+
+    return bridge.post('/govee/scan', { timeout: options.timeout || 2000 }).then(result => {
+      return result.devices.map(device => {
+        const metadata = GOVEE_MODELS[device.sku] || {};
+        return {
+          id: device.device,
+          type: 'Govee',
+          name: metadata.name ? `Govee ${metadata.name}` : `Govee ${device.sku}`,
+          model: device.sku,
+          segments: metadata.segments,
+          ipAddress: device.ip,
+          connected: false
+        };
+      });
+    });
+  }
+
+  // Turn the device on and switch it to streaming mode
+  connect() {
+    return this.bridge.post('/govee/command', {
+      host: this.host,
+      msg: { cmd: 'turn', data: { value: 1 } }
+    })
+      .then(() => this.bridge.post('/govee/razer', { host: this.host, enable: true }))
+      .then(() => {
+        this.connected = true;
+        console.log(`Govee ${this.model || 'device'} at ${this.host} streaming (${this.options.segments} segments)`);
+        return this;
+      });
+  }
+
+  // Average the strip-ordered LED colors down to one color per segment
+  getSegmentColors(leds) {
+    const segments = this.options.segments;
+    const colors = [];
+
+    for (let i = 0; i < segments; i++) {
+      const start = Math.floor((i / segments) * leds.length);
+      const end = Math.max(start + 1, Math.floor(((i + 1) / segments) * leds.length));
+      const total = [0, 0, 0];
+
+      for (let j = start; j < end; j++) {
+        total[0] += leds[j][0];
+        total[1] += leds[j][1];
+        total[2] += leds[j][2];
+      }
+
+      colors.push(total.map(c => Math.round(c / (end - start))));
+    }
+
+    return colors;
+  }
+
+  // Send one frame, dropping frames above the rate cap
+  sendFrame(frame) {
+    if (!this.connected || this.pending || !frame.leds.length) return false;
+
+    const now = performance.now();
+    if (now - this.lastFrameTime < 1000 / this.options.maxFps) return false;
+    this.lastFrameTime = now;
+
+    this.pending = true;
+    this.bridge.post('/govee/razer/frame', {
+      host: this.host,
+      gradient: this.options.gradient,
+      colors: this.getSegmentColors(frame.leds)
+    })
+      .catch(error => console.error('Error sending frame to Govee:', error))
+      .then(() => {
+        this.pending = false;
+      });
+
+    return true;
+  }
+
+  // Leave streaming mode so the device resumes its own effects
+  disconnect() {
+    if (!this.connected) return Promise.resolve();
+    this.connected = false;
+
+    return this.bridge.post('/govee/razer', { host: this.host, enable: false })
+      .catch(error => console.error('Error leaving Govee streaming mode:', error))
+      .then(() => {
+        console.log(`Govee at ${this.host} disconnected`);
+      });
+  }
+}
+
+backlightDrivers.register(WLEDDriver);
+backlightDrivers.register(HyperionDriver);
+backlightDrivers.register(HueEntertainmentDriver);
+backlightDrivers.register(GoveeLanDriver);
@@ -1,6 +1,709 @@
 // Enhanced Audio Visualizer - TV Backlight Integration System
 // Optimizes visualization output for camera-based LED backlight systems (Govee, etc.)
 
+// Physical LED strip layout around the screen
+// Describes how many LEDs sit on each edge, where the strip starts, which way
+// it runs, the gap left for a TV stand and how deep into the picture to sample.
+class BacklightLayout {
+  constructor(options = {}) {
+    this.name = options.name || 'Default';
+    this.counts = {
+      top: 16,
+      right: 9,
+      bottom: 16,
+      left: 9,
+      ...options.counts
+    };
+    this.start = options.start || 'top-left'; // 'top-left', 'top-right', 'bottom-right', 'bottom-center', 'bottom-left'
+    this.direction = options.direction || 'clockwise'; // 'clockwise', 'counterclockwise'
+    this.bottomGap = options.bottomGap || 0; // Fraction of the bottom edge without LEDs (TV stand)
+    this.depth = options.depth || 0.05; // Sampling depth as a fraction of the screen size
+  }
+  
+  // Total number of LEDs on the strip
+  getLedCount() {
+    return this.counts.top + this.counts.right + this.counts.bottom + this.counts.left;
+  }
+  
+  // Screen region each zone samples, in canvas pixels
+  getZoneRects(width, height) {
+    const depthX = Math.max(1, Math.round(width * this.depth));
+    const depthY = Math.max(1, Math.round(height * this.depth));
+    
+    const horizontal = (count, y) => {
+      // A bottom gap splits the edge into two runs either side of the stand
+      const gap = y > 0 ? this.bottomGap : 0;
+      const leftCount = gap > 0 ? Math.floor(count / 2) : count;
+      const rightCount = count - leftCount;
+      const runWidth = (width * (1 - gap)) / (gap > 0 ? 2 : 1);
+      
+      return Array.from({ length: count }, (_, i) => {
+        const inRightRun = gap > 0 && i >= leftCount;
+        const runCount = inRightRun ? rightCount : leftCount;
+        const runIndex = inRightRun ? i - leftCount : i;
+        const runStart = inRightRun ? width - runWidth : 0;
+        const x = runStart + (runIndex / runCount) * runWidth;
+        
+        return {
+          x: Math.floor(x),
+          y,
+          width: Math.max(1, Math.floor(runWidth / runCount)),
+          height: depthY
+        };
+      });
+    };
+    
+    const vertical = (count, x) => Array.from({ length: count }, (_, i) => ({
+      x,
+      y: Math.floor((i / count) * height),
+      width: depthX,
+      height: Math.max(1, Math.floor(height / count))
+    }));
+    
+    return {
+      top: horizontal(this.counts.top, 0),
+      bottom: horizontal(this.counts.bottom, height - depthY),
+      left: vertical(this.counts.left, 0),
+      right: vertical(this.counts.right, width - depthX)
+    };
+  }
+  
+  // Order zone colors the way the physical strip is wired
+  // Zones are indexed left to right (top/bottom) and top to bottom (left/right).
+  orderLeds(zones) {
+    // Clockwise from the top-left corner
+    const perimeter = [
+      ...zones.top,
+      ...zones.right,
+      ...zones.bottom.slice().reverse(),
+      ...zones.left.slice().reverse()
+    ];
+    if (!perimeter.length) return [];
+    
+    const top = zones.top.length;
+    const right = zones.right.length;
+    const bottom = zones.bottom.length;
+    const bottomRightRun = bottom - Math.floor(bottom / 2);
+    
+    const offsets = {
+      'top-left': 0,
+      'top-right': top,
+      'bottom-right': top + right,
+      'bottom-center': top + right + bottomRightRun,
+      'bottom-left': top + right + bottom
+    };
+    let start = offsets[this.start] || 0;
+    
+    if (this.direction === 'counterclockwise') {
+      // Counterclockwise begins with the LED on the other side of the start point
+      start -= 1;
+      
+      return perimeter.map((_, i) => perimeter[(((start - i) % perimeter.length) + perimeter.length) % perimeter.length]);
+    }
+    
+    return perimeter.map((_, i) => perimeter[(start + i) % perimeter.length]);
+  }
+  
+  // Plain object for saving
+  toJSON() {
+    return {
+      name: this.name,
+      counts: { ...this.counts },
+      start: this.start,
+      direction: this.direction,
+      bottomGap: this.bottomGap,
+      depth: this.depth
+    };
+  }
+}
+
+// Color correction for outgoing LED data, one instance per device
+class BacklightColorPipeline {
+  constructor(settings = {}) {
+    this.saturation = 1.0; // HSV saturation multiplier; 1 = unchanged, 0 = grayscale
+    this.gamma = 1.0; // Strips usually look right around 2.2
+    this.gain = { r: 1.0, g: 1.0, b: 1.0 }; // Per-channel gain
+    this.whitePoint = 6500; // Kelvin; 6500 = neutral
+    this.minBrightness = 0; // Lit LEDs never output less than this level (0-255)
+    this.blackLevel = 0; // Colors darker than this are switched off (0-255)
+    
+    Object.assign(this, settings);
+    this.gain = { r: 1.0, g: 1.0, b: 1.0, ...settings.gain };
+    
+    this.buildTables();
+  }
+  
+  // Gain, white point and gamma folded into one lookup table per channel
+  buildTables() {
+    const white = BacklightColorPipeline.kelvinToRgb(this.whitePoint);
+    const gains = [this.gain.r * white[0], this.gain.g * white[1], this.gain.b * white[2]];
+    
+    this.tables = gains.map(gain => {
+      const table = new Uint8Array(256);
+      for (let value = 0; value < 256; value++) {
+        const level = Math.min(1, (value / 255) * gain);
+        table[value] = Math.round(Math.pow(level, this.gamma) * 255);
+      }
+      return table;
+    });
+  }
+  
+  // Correct a single [r, g, b] color
+  apply(color) {
+    const max = Math.max(color[0], color[1], color[2]);
+    
+    // Black-level cutoff keeps the strip off during dark scenes
+    if (max < this.blackLevel || max === 0) return [0, 0, 0];
+    
+    const corrected = BacklightColorPipeline.adjustSaturation(color, this.saturation)
+      .map((c, channel) => this.tables[channel][Math.max(0, Math.min(255, Math.round(c)))]);
+    
+    // Lift dim output (which many strips render badly) without changing its hue
+    const outputMax = Math.max(corrected[0], corrected[1], corrected[2]);
+    if (outputMax > 0 && outputMax < this.minBrightness) {
+      const scale = this.minBrightness / outputMax;
+      return corrected.map(c => Math.round(c * scale));
+    }
+    
+    return corrected;
+  }
+  
+  // Correct a whole frame ({ zones, leds })
+  applyFrame(frame) {
+    const zones = {};
+    Object.keys(frame.zones).forEach(edge => {
+      zones[edge] = frame.zones[edge].map(color => this.apply(color));
+    });
+    
+    return {
+      zones,
+      leds: frame.leds.map(color => this.apply(color))
+    };
+  }
+  
+  // Plain object for saving
+  toJSON() {
+    return {
+      saturation: this.saturation,
+      gamma: this.gamma,
+      gain: { ...this.gain },
+      whitePoint: this.whitePoint,
+      minBrightness: this.minBrightness,
+      blackLevel: this.blackLevel
+    };
+  }
+  
+  // Scale HSV saturation while keeping hue and value
+  // Each channel sits (max - c) below the brightest one; scaling that distance
+  // scales saturation, capped where the weakest channel reaches zero.
+  static adjustSaturation(color, amount) {
+    const max = Math.max(color[0], color[1], color[2]);
+    const min = Math.min(color[0], color[1], color[2]);
+    if (max === 0 || max === min || amount === 1) return color.slice();
+    
+    const factor = Math.min(amount, max / (max - min));
+    return color.map(c => max - (max - c) * factor);
+  }
+  
+  // Relative RGB multipliers for a white point, normalized so 6500K is neutral
+  static kelvinToRgb(kelvin) {
+    const toRgb = (k) => {
+      const t = k / 100;
+      const r = t <= 66 ? 255 : 329.698727446 * Math.pow(t - 60, -0.1332047592);
+      const g = t <= 66
+        ? 99.4708025861 * Math.log(t) - 161.1195681661
+        : 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+      const b = t >= 66 ? 255 : (t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307);
+      return [r, g, b].map(c => Math.max(0, Math.min(255, c)));
+    };
+    
+    const target = toRgb(Math.max(1000, Math.min(40000, kelvin)));
+    const neutral = toRgb(6500);
+    return target.map((c, channel) => c / neutral[channel]);
+  }
+}
+
+// Audio-driven lighting that maps analyser data straight to LED zones,
+// so the lights keep running when nothing is drawn to the canvas
+class BacklightAudioReactive {
+  constructor(audioData, options = {}) {
+    this.audioData = audioData;
+    this.options = {
+      mode: 'bass-pulse', // 'bass-pulse', 'spectrum-sweep', 'beat-strobe', 'vu-meter'
+      color: [255, 0, 80], // Base color for bass pulse and strobe
+      beatSensitivity: 1.4, // Bass energy over its recent average that counts as a beat
+      maxStrobeRate: 3, // Flashes per second, never more than 3 (photosensitivity guideline)
+      sampleRate: 44100,
+      ...options
+    };
+    
+    // Levels carried between frames for decay and peak hold
+    this.bassLevel = 0;
+    this.vuLevel = 0;
+    this.vuPeak = 0;
+    this.vuPeakTime = 0;
+    this.sweepOffset = 0;
+    
+    // Beat detection state
+    this.energyHistory = [];
+    this.lastBeatTime = 0;
+    this.lastFlashTime = -Infinity;
+    this.pendingBeat = false;
+    
+    this.lastRenderTime = 0;
+  }
+  
+  // Beat reported by an external detector
+  triggerBeat() {
+    this.pendingBeat = true;
+  }
+  
+  // Render one frame into the zone arrays; returns true on a beat
+  render(zones, layout, now = performance.now()) {
+    const frequencyData = this.audioData.getFrequencyData();
+    const elapsed = this.lastRenderTime ? Math.min(250, now - this.lastRenderTime) : 0;
+    this.lastRenderTime = now;
+    
+    const bass = this.getBandEnergy(frequencyData, 20, 150);
+    const beat = this.detectBeat(bass, now) || this.pendingBeat;
+    this.pendingBeat = false;
+    
+    switch (this.options.mode) {
+      case 'spectrum-sweep':
+        this.renderSpectrumSweep(zones, layout, frequencyData, elapsed);
+        break;
+      case 'beat-strobe':
+        this.renderBeatStrobe(zones, beat, now);
+        break;
+      case 'vu-meter':
+        this.renderVuMeter(zones, this.audioData.getTimeData(), elapsed, now);
+        break;
+      default:
+        this.renderBassPulse(zones, bass, elapsed);
+    }
+    
+    return beat;
+  }
+  
+  // Average magnitude (0-1) of the bins between two frequencies
+  getBandEnergy(frequencyData, lowHz, highHz) {
+    const binWidth = this.options.sampleRate / 2 / frequencyData.length;
+    const start = Math.min(frequencyData.length - 1, Math.floor(lowHz / binWidth));
+    const end = Math.min(frequencyData.length, Math.max(start + 1, Math.ceil(highHz / binWidth)));
+    
+    let sum = 0;
+    for (let i = start; i < end; i++) {
+      sum += frequencyData[i];
+    }
+    
+    return sum / (end - start) / 255;
+  }
+  
+  // Bass energy well above its recent average counts as a beat
+  detectBeat(energy, now) {
+    const history = this.energyHistory;
+    const average = history.length ? history.reduce((sum, value) => sum + value, 0) / history.length : energy;
+    
+    history.push(energy);
+    if (history.length > 30) history.shift();
+    
+    if (energy > 0.3 && energy > average * this.options.beatSensitivity && now - this.lastBeatTime > 250) {
+      this.lastBeatTime = now;
+      return true;
+    }
+    return false;
+  }
+  
+  // Bottom edge grows out from the center with the bass; other edges glow faintly
+  renderBassPulse(zones, bass, elapsed) {
+    this.bassLevel = Math.max(bass, this.bassLevel * Math.exp(-elapsed / 180));
+    const level = this.bassLevel;
+    const color = this.options.color;
+    const bottom = zones.bottom;
+    const center = (bottom.length - 1) / 2;
+    
+    bottom.forEach((_, i) => {
+      const distance = bottom.length > 1 ? Math.abs(i - center) / (bottom.length / 2) : 0;
+      const brightness = Math.max(0, Math.min(1, 1 - (distance - level) * 4)) * level;
+      bottom[i] = color.map(c => Math.round(c * brightness));
+    });
+    
+    ['top', 'left', 'right'].forEach(edge => {
+      zones[edge].forEach((_, i) => {
+        zones[edge][i] = color.map(c => Math.round(c * level * 0.15));
+      });
+    });
+  }
+  
+  // Log-spaced bands around the strip, with hues slowly rotating
+  renderSpectrumSweep(zones, layout, frequencyData, elapsed) {
+    this.sweepOffset = (this.sweepOffset + elapsed / 20000) % 1;
+    
+    const tagged = {};
+    Object.keys(zones).forEach(edge => {
+      tagged[edge] = zones[edge].map((_, index) => ({ edge, index }));
+    });
+    const ordered = layout.orderLeds(tagged);
+    const count = ordered.length;
+    
+    ordered.forEach((led, i) => {
+      const lowHz = 40 * Math.pow(400, i / count);
+      const highHz = 40 * Math.pow(400, (i + 1) / count);
+      const energy = this.getBandEnergy(frequencyData, lowHz, highHz);
+      const hue = (i / count + this.sweepOffset) % 1;
+      
+      zones[led.edge][led.index] = BacklightAudioReactive.hsvToRgb(hue, 1, energy);
+    });
+  }
+  
+  // Full flash on beats, rate-limited, with a quick fade between flashes
+  renderBeatStrobe(zones, beat, now) {
+    const minInterval = 1000 / Math.min(3, this.options.maxStrobeRate);
+    if (beat && now - this.lastFlashTime >= minInterval) {
+      this.lastFlashTime = now;
+    }
+    
+    const age = now - this.lastFlashTime;
+    const brightness = age < 60 ? 1 : Math.exp(-(age - 60) / 120);
+    const color = this.options.color.map(c => Math.round(c * brightness));
+    
+    Object.keys(zones).forEach(edge => {
+      zones[edge].forEach((_, i) => {
+        zones[edge][i] = color.slice();
+      });
+    });
+  }
+  
+  // Left and right edges as level meters with peak hold
+  renderVuMeter(zones, timeData, elapsed, now) {
+    let sum = 0;
+    for (let i = 0; i < timeData.length; i++) {
+      const sample = (timeData[i] - 128) / 128;
+      sum += sample * sample;
+    }
+    
+    // -48 dB to 0 dB RMS fills the meter
+    const rms = Math.sqrt(sum / timeData.length);
+    const level = rms > 0 ? Math.max(0, Math.min(1, (20 * Math.log10(rms) + 48) / 48)) : 0;
+    this.vuLevel = Math.max(level, this.vuLevel * Math.exp(-elapsed / 300));
+    
+    if (this.vuLevel >= this.vuPeak) {
+      this.vuPeak = this.vuLevel;
+      this.vuPeakTime = now;
+    } else if (now - this.vuPeakTime > 1000) {
+      this.vuPeak = Math.max(this.vuLevel, this.vuPeak - elapsed / 1500);
+    }
+    
+    ['left', 'right'].forEach(edge => {
+      const leds = zones[edge];
+      const peakIndex = Math.round(this.vuPeak * (leds.length - 1));
+      
+      // Zones run top to bottom; the meter fills from the bottom
+      leds.forEach((_, i) => {
+        const position = leds.length > 1 ? (leds.length - 1 - i) / (leds.length - 1) : 0;
+        const meterColor = position < 0.6 ? [0, 255, 0] : (position < 0.85 ? [255, 200, 0] : [255, 0, 0]);
+        
+        if (position <= this.vuLevel && this.vuLevel > 0) {
+          leds[i] = meterColor;
+        } else if (leds.length - 1 - i === peakIndex && this.vuPeak > 0) {
+          leds[i] = [255, 255, 255];
+        } else {
+          leds[i] = [0, 0, 0];
+        }
+      });
+    });
+    
+    ['top', 'bottom'].forEach(edge => {
+      zones[edge].forEach((_, i) => {
+        zones[edge][i] = [0, 0, 0];
+      });
+    });
+  }
+  
+  // HSV (0-1) to [r, g, b]
+  static hsvToRgb(h, s, v) {
+    const i = Math.floor(h * 6);
+    const f = h * 6 - i;
+    const p = v * (1 - s);
+    const q = v * (1 - f * s);
+    const t = v * (1 - (1 - f) * s);
+    const rgb = [[v, t, p], [q, v, p], [p, v, t], [p, q, v], [t, p, v], [v, p, q]][i % 6];
+    
+    return rgb.map(c => Math.round(c * 255));
+  }
+}
+
+// Page-side handle for the backlight worker (backlight-worker.js), which
+// samples frames and owns the device connections off the main thread
+class BacklightWorkerClient {
+  constructor(url = 'backlight-worker.js') {
+    this.worker = new Worker(url);
+    this.nextId = 1;
+    this.pendingReplies = new Map();
+    
+    // Only one frame in flight; frames arriving meanwhile are skipped
+    this.framePending = false;
+    
+    // Set once an OffscreenCanvas has been transferred to the worker
+    this.canvasAttached = false;
+    
+    // Callbacks for zone colors and connection status posted by the worker
+    this.onZones = null;
+    this.onStatus = null;
+    
+    this.worker.onmessage = (event) => this.handleMessage(event.data);
+    this.worker.onerror = (event) => {
+      // An uncaught error can take the reply to the frame in flight with it
+      this.framePending = false;
+      console.error('Backlight worker error:', event.message);
+    };
+  }
+  
+  // Route a message from the worker
+  handleMessage(message) {
+    switch (message.type) {
+      case 'zones':
+        this.framePending = false;
+        if (this.onZones) this.onZones(message.zones);
+        break;
+      case 'frameError':
+        this.framePending = false;
+        console.error('Backlight worker could not sample a frame:', message.error);
+        break;
+      case 'status':
+        if (this.onStatus) this.onStatus(message);
+        break;
+      case 'reply': {
+        const pending = this.pendingReplies.get(message.id);
+        if (!pending) return;
+        this.pendingReplies.delete(message.id);
+        
+        if (message.error) {
+          pending.reject(new Error(message.error));
+        } else {
+          pending.resolve(message.result);
+        }
+        break;
+      }
+    }
+  }
+  
+  // Post a message without waiting for an answer
+  post(type, data = {}, transfer = []) {
+    this.worker.postMessage({ type, ...data }, transfer);
+  }
+  
+  // Post a message and wait for the worker's reply
+  request(type, data = {}) {
+    const id = this.nextId++;
+    
+    return new Promise((resolve, reject) => {
+      this.pendingReplies.set(id, { resolve, reject });
+      this.post(type, { ...data, id });
+    });
+  }
+  
+  // Let the worker sample an OffscreenCanvas directly (e.g. one rendered in a worker)
+  attachCanvas(canvas) {
+    this.post('canvas', { canvas }, [canvas]);
+    this.canvasAttached = true;
+  }
+  
+  // Copy a canvas into an ImageBitmap (scaled on the GPU) and hand it to the worker
+  postFrame(canvas, width, height, data = {}) {
+    if (this.framePending) return false;
+    this.framePending = true;
+    
+    // An attached canvas is already in the worker; just ask for a sample
+    if (this.canvasAttached) {
+      this.post('frame', data);
+      return true;
+    }
+    
+    createImageBitmap(canvas, { resizeWidth: width, resizeHeight: height, resizeQuality: 'medium' })
+      .then(bitmap => this.post('frame', { ...data, bitmap, width, height }, [bitmap]))
+      .catch(error => {
+        this.framePending = false;
+        console.error('Error capturing backlight frame:', error);
+      });
+    
+    return true;
+  }
+  
+  // Stop the worker; outstanding requests fail
+  terminate() {
+    this.worker.terminate();
+    this.pendingReplies.forEach(pending => pending.reject(new Error('Backlight worker stopped')));
+    this.pendingReplies.clear();
+  }
+}
+
+// Holds one device's frames and sends each when it is due
+// If the timer fires late, only the newest due frame is sent.
+class BacklightDelayBuffer {
+  constructor(send) {
+    this.send = send;
+    this.queue = [];
+    this.timer = null;
+  }
+  
+  // Queue a frame to go out after hold ms (nothing held sends right away)
+  push(frame, hold) {
+    if (hold <= 0 && !this.queue.length) {
+      this.send(frame);
+      return;
+    }
+    
+    // A shorter hold than before makes the frames still waiting stale
+    const due = performance.now() + Math.max(0, hold);
+    while (this.queue.length && this.queue[this.queue.length - 1].due >= due) {
+      this.queue.pop();
+    }
+    
+    this.queue.push({ due, frame });
+    this.schedule();
+  }
+  
+  // Wake up for the next frame in the queue
+  schedule() {
+    if (this.timer || !this.queue.length) return;
+    
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, Math.max(0, this.queue[0].due - performance.now()));
+  }
+  
+  // Send the newest frame that is due
+  flush() {
+    const now = performance.now();
+    let latest = null;
+    
+    while (this.queue.length && this.queue[0].due <= now + 1) {
+      latest = this.queue.shift().frame;
+    }
+    
+    if (latest) {
+      this.send(latest);
+    }
+    this.schedule();
+  }
+  
+  // Drop everything still waiting
+  clear() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.queue = [];
+  }
+}
+
+// Measures how far a device's light lags the screen. The user taps along to a
+// flashing square on screen, then to the device flashing; taps in time with a
+// steady beat carry the same bias both times, so the difference is the latency.
+class BacklightLatencyMeter {
+  constructor(backlightSystem, key, options = {}) {
+    this.backlightSystem = backlightSystem;
+    this.key = key;
+    this.options = {
+      period: 800, // ms between flashes
+      flashLength: 150, // ms each flash stays on
+      taps: 8, // Taps per phase; the first two are ignored while the user finds the beat
+      ...options
+    };
+    
+    this.phase = null; // 'screen' or 'device'
+    this.flashTimes = { screen: [], device: [] };
+    this.taps = { screen: [], device: [] };
+    this.timer = null;
+    
+    // Called with true/false to show the on-screen square during the screen phase
+    this.onFlash = null;
+    
+    // Called with the phase name once it has enough taps
+    this.onPhaseComplete = null;
+  }
+  
+  // Start flashing the screen square or the device
+  start(phase) {
+    this.stop();
+    this.phase = phase;
+    this.flashTimes[phase] = [];
+    this.taps[phase] = [];
+    
+    if (phase === 'device') {
+      // Keep the device's normal stream from overwriting the flashes
+      this.backlightSystem.setMeasuringDevice(this.key);
+    }
+    
+    const flash = () => {
+      this.flashTimes[phase].push(performance.now());
+      this.setFlash(true);
+      setTimeout(() => {
+        if (this.phase === phase) this.setFlash(false);
+      }, this.options.flashLength);
+    };
+    flash();
+    this.timer = setInterval(flash, this.options.period);
+  }
+  
+  // Turn the current flash target on or off
+  setFlash(on) {
+    if (this.phase === 'screen') {
+      if (this.onFlash) this.onFlash(on);
+      return;
+    }
+    
+    this.backlightSystem.sendFrameToDevice(this.key, this.backlightSystem.getTestPatternFrame(on ? 'white' : 'black'));
+  }
+  
+  // Record a tap from the user
+  tap() {
+    if (!this.phase) return;
+    
+    const taps = this.taps[this.phase];
+    taps.push(performance.now());
+    
+    if (taps.length >= this.options.taps) {
+      const phase = this.phase;
+      this.stop();
+      if (this.onPhaseComplete) this.onPhaseComplete(phase);
+    }
+  }
+  
+  // Stop flashing
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    
+    if (this.phase === 'device') {
+      this.setFlash(false);
+      this.backlightSystem.setMeasuringDevice(null);
+    } else if (this.phase === 'screen' && this.onFlash) {
+      this.onFlash(false);
+    }
+    this.phase = null;
+  }
+  
+  // Median time from each flash to the tap closest to it, in ms
+  getOffset(phase) {
+    const flashes = this.flashTimes[phase];
+    const offsets = this.taps[phase].slice(2).map(time => {
+      const nearest = flashes.reduce((best, flash) => (Math.abs(time - flash) < Math.abs(time - best) ? flash : best), flashes[0]);
+      return time - nearest;
+    });
+    if (!offsets.length) return 0;
+    
+    offsets.sort((a, b) => a - b);
+    const middle = Math.floor(offsets.length / 2);
+    return offsets.length % 2 ? offsets[middle] : (offsets[middle - 1] + offsets[middle]) / 2;
+  }
+  
+  // Device latency relative to the screen, in ms (negative when the device is faster)
+  getLatency() {
+    return Math.round(this.getOffset('device') - this.getOffset('screen'));
+  }
+}
+
 class BacklightSystem {
   constructor(visualizer) {
     this.visualizer = visualizer;
@@ -11,15 +714,80 @@ class BacklightSystem {
     this.smoothingFactor = 0.3; // Reduces flickering for camera detection
     this.transitionSpeed = 'medium'; // 'slow', 'medium', 'fast'
     
-    // Direct integration APIs
-    this.supportedSystems = [
-      { name: 'Govee', connected: false, apiKey: '' },
-      { name: 'Philips Hue', connected: false, apiKey: '' },
-      { name: 'WLED', connected: false, ipAddress: '' },
-      { name: 'Hyperion', connected: false, ipAddress: '' }
-    ];
+    // Output drivers for direct integration (see backlight-devices.js)
+    this.drivers = backlightDrivers;
+    
+    // Device secrets, encrypted at rest (see BacklightCredentialStore)
+    this.credentials = backlightCredentials;
+    
+    // Open driver instances keyed by device key (see getDeviceKey), so any
+    // number of devices can stream at once, several of the same type included
+    this.connections = {};
+    
+    // Zones, brightness, latency and enable state per device key (see setOutputSettings)
+    this.outputSettings = {};
+    
+    // Frames held back per device key to line devices up with the screen
+    this.delayBuffers = {};
+    
+    // Device key a BacklightLatencyMeter is flashing; its normal stream pauses meanwhile
+    this.measuringDevice = null;
+    
+    // Delayed audio path that lets audio-reactive frames run ahead (see enableAudioLookAhead)
+    this.audioLookAhead = null;
+    
+    // Local companion bridge for protocols the browser cannot speak
+    this.bridgeUrl = BACKLIGHT_BRIDGE_URL;
+    
+    // Physical strip layout the edge zones map to
+    this.layout = new BacklightLayout();
+    this.showLayoutOverlay = false;
+    
+    // Frames wider than this are sampled from a downscaled copy (0 = native size)
+    this.samplingWidth = 320;
+    this.samplingCanvas = null;
+    
+    // Smoothed zone colors (floating point) and the time of the last sample
+    this.smoothedZones = {};
+    this.lastSampleTime = 0;
+    
+    // For the settings preview: zone colors before smoothing (null when the worker
+    // or audio-reactive lighting sets the zones), and a canvas it wants each frame
+    // copied into before the emphasis glow is drawn
+    this.sampledZones = null;
+    this.previewCanvas = null;
+    
+    // Color calibration per device key, with 'default' for everything else
+    this.calibrations = {};
+    
+    // Calibration test pattern sent in place of the visualization
+    this.testPattern = null;
+    this.testPatternTimer = null;
+    
+    // Audio-reactive lighting; audioData can be set to a
+    // { getFrequencyData, getTimeData } source, otherwise the visualizer's analyser is used
+    this.audioData = null;
+    this.audioReactive = null;
+    this.audioReactiveTimer = null;
+    
+    // BacklightTimelinePlayer streaming a recorded timeline in place of sampling
+    this.timelinePlayer = null;
     
-    // Color mapping for edge zones (simulated zones that would map to LED strips)
+    // BacklightCaptureSource sampled in place of the visualizer's canvas
+    this.captureSource = null;
+    
+    // Worker that samples frames and drives devices off the main thread (see enableWorker)
+    this.worker = null;
+    
+    // Recording settings from the config dialog, for BacklightRecordingOptimizer
+    this.recordingOptions = {
+      codec: 'auto',
+      fps: 60,
+      videoBitsPerSecond: 12000000,
+      maxDuration: 0
+    };
+    
+    // Color mapping for edge zones, one entry per LED on each edge
     this.edgeZones = {
       top: [],
       right: [],
@@ -31,17 +799,83 @@ class BacklightSystem {
     this.initializeEdgeZones();
   }
   
+  // Systems we can talk to directly, built from the registered drivers
+  get supportedSystems() {
+    return this.drivers.list().map(Driver => ({
+      name: Driver.type,
+      displayName: Driver.displayName,
+      capabilities: Driver.capabilities,
+      connected: Object.values(this.connections).some(connection => connection.device.type === Driver.type)
+    }));
+  }
+  
   // Initialize edge zone color arrays
   initializeEdgeZones() {
-    // Create arrays for each edge with zero values
-    // Number of zones corresponds to LED density
-    const topBottomCount = 16; // Typical for horizontal strips
-    const leftRightCount = 9; // Typical for vertical strips
+    // One zone per LED, as described by the layout
+    Object.keys(this.edgeZones).forEach(edge => {
+      this.edgeZones[edge] = Array.from({ length: this.layout.counts[edge] }, () => [0, 0, 0]);
+      this.smoothedZones[edge] = Array(this.layout.counts[edge]).fill(null);
+    });
+    this.lastSampleTime = 0;
+  }
+  
+  // Switch to a different LED layout
+  setLayout(layout) {
+    this.layout = layout instanceof BacklightLayout ? layout : new BacklightLayout(layout);
+    this.initializeEdgeZones();
     
-    this.edgeZones.top = Array(topBottomCount).fill([0, 0, 0]);
-    this.edgeZones.bottom = Array(topBottomCount).fill([0, 0, 0]);
-    this.edgeZones.left = Array(leftRightCount).fill([0, 0, 0]);
-    this.edgeZones.right = Array(leftRightCount).fill([0, 0, 0]);
+    if (this.worker) {
+      this.worker.post('layout', { layout: this.layout.toJSON() });
+    }
+  }
+  
+  // Move sampling and device output into a Web Worker
+  // Open connections are closed first; the worker reconnects devices itself.
+  enableWorker(url) {
+    if (this.worker) return Promise.resolve(true);
+    if (typeof Worker === 'undefined' || typeof createImageBitmap === 'undefined') {
+      console.warn('Web Workers are not available; backlight stays on the main thread');
+      return Promise.resolve(false);
+    }
+    
+    return this.disconnectAll().then(() => {
+      this.worker = new BacklightWorkerClient(url);
+      
+      // Zone colors come back for edge emphasis and the layout overlay
+      this.worker.onZones = (zones) => {
+        this.edgeZones = zones;
+      };
+      
+      // Connections the worker lost are marked as disconnected here
+      this.worker.onStatus = (status) => {
+        Object.keys(this.connections).forEach(key => {
+          const remote = status.connections.find(connection => connection.key === key);
+          this.connections[key].connected = Boolean(remote && remote.connected);
+        });
+      };
+      
+      this.worker.post('layout', { layout: this.layout.toJSON() });
+      Object.keys(this.calibrations).forEach(key => {
+        this.worker.post('calibration', { key, settings: this.calibrations[key].toJSON() });
+      });
+      Object.keys(this.outputSettings).forEach(key => {
+        this.worker.post('output', { key, settings: this.outputSettings[key] });
+      });
+      
+      console.log('Backlight processing moved to a worker');
+      return true;
+    });
+  }
+  
+  // Bring sampling and device output back to the main thread
+  disableWorker() {
+    if (!this.worker) return Promise.resolve();
+    
+    return this.disconnectAll().then(() => {
+      this.worker.terminate();
+      this.worker = null;
+      this.initializeEdgeZones();
+    });
   }
   
   // Enable or disable backlight enhancement
@@ -56,6 +890,10 @@ class BacklightSystem {
       console.log('Backlight enhancement disabled');
       // Restore standard visualization settings
       this.restoreStandardSettings();
+      
+      // Stop any test pattern and stream so devices return to their own effects
+      this.setTestPattern('off');
+      this.disconnectAll();
     }
     
     return this.isEnabled;
@@ -157,210 +995,787 @@ class BacklightSystem {
   
   // Scan network for supported backlight systems
   scanForBacklightSystems() {
-    return new Promise((resolve) => {
-      console.log('Scanning for backlight systems...');
-      
-      // This would be implemented with actual network scanning
-      // For demonstration, we'll simulate finding a system
-      setTimeout(() => {
-        // Simulated discovered systems
-        const discovered = [
-          { type: 'Govee', id: 'H6199', ipAddress: '192.168.1.100' }
-        ];
+    console.log('Scanning for backlight systems...');
+    
+    // Ask every driver that supports discovery; one failing protocol
+    // should not hide devices found by the others
+    const scans = this.drivers.list()
+      .filter(Driver => Driver.capabilities.discovery)
+      .map(Driver => Driver.discover({ bridgeUrl: this.bridgeUrl }).catch(error => {
+        console.warn(`${Driver.type} discovery failed:`, error.message);
+        return [];
+      }));
+    
+    return Promise.all(scans).then(results => this.mergeDiscoveredDevices(results));
+  }
+  
+  // Merge device lists from several probes, de-duplicated by type and device ID
+  mergeDiscoveredDevices(lists) {
+    const devices = new Map();
+    
+    lists.forEach(list => {
+      list.forEach(device => {
+        const key = this.getDeviceKey(device);
+        const existing = devices.get(key);
+        
+        if (!existing) {
+          const Driver = this.drivers.get(device.type);
+          devices.set(key, {
+            ...device,
+            capabilities: Driver ? Driver.capabilities : {}
+          });
+          return;
+        }
         
-        resolve(discovered);
-      }, 1000);
+        // Later probes only fill in what earlier ones did not report
+        Object.keys(device).forEach(field => {
+          if (existing[field] === undefined || existing[field] === null) {
+            existing[field] = device[field];
+          }
+        });
+      });
     });
+    
+    return Array.from(devices.values());
+  }
+  
+  // Stable key for a device across scans
+  getDeviceKey(device) {
+    return `${device.type}:${String(device.id).toLowerCase()}`;
+  }
+  
+  // Add a device the user entered by IP address
+  addDeviceByIp(type, ipAddress) {
+    const Driver = this.drivers.get(type);
+    if (!Driver) {
+      return Promise.reject(new Error(`No backlight driver registered for ${type}`));
+    }
+    
+    return this.registerWithBridge({ ipAddress })
+      .then(() => Driver.probe(ipAddress, { bridgeUrl: this.bridgeUrl }))
+      .then(device => ({
+        ...device,
+        manual: true,
+        capabilities: Driver.capabilities
+      }));
+  }
+  
+  // Tell the bridge it may relay to a device (it only sends to addresses that
+  // discovery found or the page registered). A bridge that is not running is
+  // left for the connection itself to report.
+  registerWithBridge(system) {
+    const host = system.bridgeIp || system.ipAddress;
+    if (!host) return Promise.resolve();
+    
+    const options = system.driverOptions || {};
+    const ports = [system.flatbuffersPort, options.flatbuffersPort, options.port]
+      .filter(port => Number.isInteger(port));
+    
+    return new BacklightBridgeClient(this.bridgeUrl).registerHost(host, ports)
+      .catch(error => console.warn(`Bridge did not register ${host}:`, error.message));
   }
   
   // Connect to a specific backlight system
   connectToSystem(system) {
-    console.log(`Attempting to connect to ${system.type} at ${system.ipAddress}`);
+    console.log(`Attempting to connect to ${system.type} at ${system.ipAddress || system.bridgeIp}`);
     
-    // This would implement the actual connection logic
-    // For now, we'll simulate a connection
+    const Driver = this.drivers.get(system.type);
+    if (!Driver) {
+      console.warn(`No backlight driver registered for ${system.type}`);
+      return Promise.resolve(null);
+    }
     
-    // Find the system in our supported list
-    const supportedSystem = this.supportedSystems.find(s => s.name === system.type);
+    if (this.worker) {
+      return this.registerWithBridge(system).then(() => this.connectInWorker(system, Driver));
+    }
     
-    if (supportedSystem) {
-      supportedSystem.connected = true;
-      
-      if (system.type === 'Govee') {
-        this.setupGoveeConnection(system);
-      } else if (system.type === 'Philips Hue') {
-        this.setupPhilipsHueConnection(system);
-      } else if (system.type === 'WLED') {
-        this.setupWLEDConnection(system);
-      }
-      
-      console.log(`Connected to ${system.type}`);
+    // Replace any existing connection to the same device
+    const key = this.getDeviceKey(system);
+    const previous = this.connections[key] ? this.disconnectFromSystem(key) : Promise.resolve();
+    
+    const connection = new Driver(system, this.getDriverOptions(system));
+    this.connections[key] = connection;
+    
+    return previous
+      .then(() => this.registerWithBridge(system))
+      .then(() => connection.connect())
+      .then(() => {
+        console.log(`Connected to ${system.type}`);
+        return connection;
+      })
+      .catch(error => {
+        console.error(`Error connecting to ${system.type}:`, error);
+        if (this.connections[key] === connection) {
+          delete this.connections[key];
+        }
+        return null;
+      });
+  }
+  
+  // Ask the worker to open a connection; the page keeps a status record
+  // ({ device, connected, remote }) in its place
+  connectInWorker(system, Driver) {
+    // Workers cannot read the credential store, so the device's secrets go with the request
+    const device = {
+      ...system,
+      driverOptions: this.getDriverOptions(system)
+    };
+    
+    const key = this.getDeviceKey(system);
+    
+    return this.worker.request('connect', { device })
+      .then(() => {
+        const record = { device: system, connected: true, remote: true };
+        this.connections[key] = record;
+        console.log(`Connected to ${system.type} (worker)`);
+        return record;
+      })
+      .catch(error => {
+        console.error(`Error connecting to ${system.type}:`, error);
+        delete this.connections[key];
+        return null;
+      });
+  }
+  
+  // Options passed to every driver instance, the device's secrets included
+  getDriverOptions(system) {
+    return {
+      bridgeUrl: this.bridgeUrl,
+      ...this.getCredentials(system),
+      ...system.driverOptions
+    };
+  }
+  
+  // Stored secrets for a device; {} while the credential store is locked
+  // Hue keys moved from plain text are filed by bridge address until the
+  // bridge shows up again, then filed under its device key.
+  getCredentials(system) {
+    const key = this.getDeviceKey(system);
+    const stored = this.credentials.get(key);
+    if (Object.keys(stored).length || system.type !== HueEntertainmentDriver.type) return stored;
+    
+    const legacyKey = HueEntertainmentDriver.legacyCredentialKey(system.bridgeIp || system.ipAddress);
+    const legacy = this.credentials.get(legacyKey);
+    if (legacy.appKey) {
+      this.credentials.set(key, legacy)
+        .then(() => this.credentials.remove(legacyKey))
+        .catch(error => console.error('Error filing moved Hue credentials:', error));
+    }
+    return legacy;
+  }
+  
+  // Move the Hue keys older versions kept in plain text into the credential
+  // store; runs once the store is unlocked and removes the plain text copy
+  migrateLegacyCredentials() {
+    const legacy = HueEntertainmentDriver.loadLegacyCredentials();
+    const hosts = Object.keys(legacy).filter(host => legacy[host] && legacy[host].appKey);
+    if (!hosts.length || this.credentials.isLocked()) return Promise.resolve();
+    
+    return Promise.all(hosts.map(host => {
+      return this.credentials.set(HueEntertainmentDriver.legacyCredentialKey(host), legacy[host]);
+    })).then(() => {
+      HueEntertainmentDriver.clearLegacyCredentials();
+      console.log(`Moved Hue keys for ${hosts.length} bridge(s) into encrypted storage`);
+    });
+  }
+  
+  // Pair with a Hue bridge (the user has to press its link button)
+  // The new keys replace any stored for the bridge. The store has to be
+  // unlocked first, since the bridge will not hand out the same keys again.
+  pairHueBridge(system) {
+    if (this.credentials.isLocked() && BacklightCredentialStore.available) {
+      return Promise.reject(new Error('Unlock the stored credentials before pairing'));
     }
+    
+    const host = system.bridgeIp || system.ipAddress;
+    return this.registerWithBridge(system)
+      .then(() => HueEntertainmentDriver.pair(host, { bridgeUrl: this.bridgeUrl }))
+      .then(credentials => this.credentials.set(this.getDeviceKey(system), credentials)
+        .then(() => credentials));
   }
   
-  // Setup Govee specific connection
-  setupGoveeConnection(system) {
-    console.log('Setting up Govee connection');
-    // This would implement the Govee API
+  // List entertainment areas on a paired Hue bridge
+  listHueAreas(system) {
+    const driver = new HueEntertainmentDriver(system, this.getDriverOptions(system));
+    return this.registerWithBridge(system).then(() => driver.listAreas());
   }
   
-  // Setup Philips Hue specific connection
-  setupPhilipsHueConnection(system) {
-    console.log('Setting up Philips Hue connection');
-    // This would implement the Philips Hue API
+  // Disconnect from a device by its device key
+  disconnectFromSystem(key) {
+    const connection = this.connections[key];
+    delete this.connections[key];
+    
+    if (this.delayBuffers[key]) {
+      this.delayBuffers[key].clear();
+      delete this.delayBuffers[key];
+    }
+    
+    if (connection && connection.remote) {
+      return this.worker.request('disconnect', { deviceKey: key }).catch(error => {
+        console.error(`Error disconnecting from ${key}:`, error);
+      });
+    }
+    
+    return connection ? connection.disconnect() : Promise.resolve();
   }
   
-  // Setup WLED specific connection
-  setupWLEDConnection(system) {
-    console.log('Setting up WLED connection');
-    // This would implement the WLED API
+  // Disconnect from every connected system
+  disconnectAll() {
+    return Promise.all(Object.keys(this.connections).map(key => this.disconnectFromSystem(key)));
   }
   
   // Process frame for backlight enhancement
   processFrame(ctx, width, height) {
     if (!this.isEnabled) return;
     
-    // Sample colors from the edges of the visualization
-    this.sampleEdgeColors(ctx, width, height);
+    // While a capture source runs, only its frames drive the lights
+    if (this.captureSource && ctx !== this.captureSource.ctx) return;
+    
+    // Audio-reactive modes and timeline playback set the zone colors themselves
+    const audioDriven = Boolean(this.audioReactive || this.timelinePlayer);
     
     // If in direct mode with connected systems, send the data
-    if (this.backlightMode === 'direct') {
-      this.sendColorDataToConnectedSystems();
+    // (a running test pattern takes over the devices)
+    const sendToDevices = this.backlightMode === 'direct' && !this.testPattern && !audioDriven;
+    
+    this.sampledZones = null;
+    
+    if (this.worker && !audioDriven) {
+      // The worker samples and sends; zone colors arrive back asynchronously
+      this.postFrameToWorker(ctx, width, height, sendToDevices);
+    } else {
+      // Sample colors from the edges of the visualization
+      if (!audioDriven) {
+        this.sampleEdgeColors(ctx, width, height);
+      }
+      
+      if (sendToDevices) {
+        this.sendColorDataToConnectedSystems();
+      }
+    }
+    
+    // Keep a copy for the settings preview before the emphasis glow is drawn
+    if (this.previewCanvas && ctx.canvas) {
+      this.previewCanvas.getContext('2d')
+        .drawImage(ctx.canvas, 0, 0, width, height, 0, 0, this.previewCanvas.width, this.previewCanvas.height);
     }
     
     // Apply edge emphasis if needed
     if (this.backlightMode === 'adaptive' || this.backlightMode === 'ambilight') {
       this.applyEdgeEmphasis(ctx, width, height);
     }
+    
+    // Show where each LED samples from while editing the layout
+    if (this.showLayoutOverlay) {
+      this.drawLayoutOverlay(ctx, width, height);
+    }
+  }
+  
+  // Sample a screen share, capture card or video instead of the visualizer (null goes back)
+  setCaptureSource(source) {
+    this.captureSource = source;
+    
+    // Do not fade from whatever the previous source showed
+    this.initializeEdgeZones();
+  }
+  
+  // Hand the frame to the worker, downscaled the same way local sampling would
+  postFrameToWorker(ctx, width, height, send) {
+    const scale = this.samplingWidth && width > this.samplingWidth ? this.samplingWidth / width : 1;
+    
+    this.worker.postFrame(ctx.canvas, Math.round(width * scale), Math.max(1, Math.round(height * scale)), {
+      send,
+      settings: {
+        smoothingFactor: this.smoothingFactor,
+        transitionSpeed: this.transitionSpeed
+      }
+    });
+  }
+  
+  // Outline every zone and number the LEDs in strip order
+  drawLayoutOverlay(ctx, width, height) {
+    const rects = this.layout.getZoneRects(width, height);
+    
+    // Tag each rect with its edge so the strip order can be looked up
+    const tagged = {};
+    Object.keys(rects).forEach(edge => {
+      tagged[edge] = rects[edge].map((rect, index) => ({ ...rect, edge, index }));
+    });
+    const ordered = this.layout.orderLeds(tagged);
+    
+    ctx.save();
+    ctx.lineWidth = 1;
+    ctx.font = `${Math.max(10, Math.round(height * 0.015))}px monospace`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    
+    ordered.forEach((rect, ledIndex) => {
+      const color = this.edgeZones[rect.edge][rect.index] || [0, 0, 0];
+      ctx.strokeStyle = ledIndex === 0 ? '#FFD700' : 'rgba(0, 238, 255, 0.8)';
+      ctx.strokeRect(rect.x + 0.5, rect.y + 0.5, rect.width - 1, rect.height - 1);
+      ctx.fillStyle = `rgb(${color[0]}, ${color[1]}, ${color[2]})`;
+      ctx.fillRect(rect.x + 2, rect.y + 2, Math.max(1, rect.width - 4), Math.max(1, rect.height - 4));
+      ctx.fillStyle = '#FFF';
+      ctx.fillText(String(ledIndex), rect.x + rect.width / 2, rect.y + rect.height / 2);
+    });
+    
+    ctx.restore();
   }
   
   // Sample colors from the edges of the frame
   sampleEdgeColors(ctx, width, height) {
-    // Sample colors from the edges of the canvas
-    const imageData = ctx.getImageData(0, 0, width, height);
-    const data = imageData.data;
+    const source = this.getSamplingSource(ctx, width, height);
+    const rects = this.layout.getZoneRects(source.width, source.height);
+    const targets = {};
+    
+    // Read one strip per edge rather than the whole frame
+    Object.keys(rects).forEach(edge => {
+      const zoneRects = rects[edge];
+      targets[edge] = [];
+      if (!zoneRects.length) return;
+      
+      const strip = this.getStripBounds(edge, zoneRects, source.width, source.height);
+      const data = source.ctx.getImageData(strip.x, strip.y, strip.width, strip.height).data;
+      
+      zoneRects.forEach(rect => {
+        targets[edge].push(this.averageRegion(data, strip, rect));
+      });
+    });
     
-    // Sample top edge
-    for (let i = 0; i < this.edgeZones.top.length; i++) {
-      const x = Math.floor((i / this.edgeZones.top.length) * width);
-      const pixelIndex = (x + 2 * width) * 4; // 2 pixels down from top
-      this.edgeZones.top[i] = [
-        data[pixelIndex],     // R
-        data[pixelIndex + 1], // G
-        data[pixelIndex + 2]  // B
-      ];
-    }
-    
-    // Sample bottom edge
-    for (let i = 0; i < this.edgeZones.bottom.length; i++) {
-      const x = Math.floor((i / this.edgeZones.bottom.length) * width);
-      const pixelIndex = (x + (height - 3) * width) * 4; // 3 pixels up from bottom
-      this.edgeZones.bottom[i] = [
-        data[pixelIndex],     // R
-        data[pixelIndex + 1], // G
-        data[pixelIndex + 2]  // B
-      ];
-    }
-    
-    // Sample left edge
-    for (let i = 0; i < this.edgeZones.left.length; i++) {
-      const y = Math.floor((i / this.edgeZones.left.length) * height);
-      const pixelIndex = (2 + y * width) * 4; // 2 pixels right from left
-      this.edgeZones.left[i] = [
-        data[pixelIndex],     // R
-        data[pixelIndex + 1], // G
-        data[pixelIndex + 2]  // B
-      ];
-    }
-    
-    // Sample right edge
-    for (let i = 0; i < this.edgeZones.right.length; i++) {
-      const y = Math.floor((i / this.edgeZones.right.length) * height);
-      const pixelIndex = (width - 3 + y * width) * 4; // 3 pixels left from right
-      this.edgeZones.right[i] = [
-        data[pixelIndex],     // R
-        data[pixelIndex + 1], // G
-        data[pixelIndex + 2]  // B
-      ];
+    this.sampledZones = targets;
+    this.smoothEdgeZones(targets);
+  }
+  
+  // Context to sample from: the frame itself, or a downscaled copy of large frames
+  getSamplingSource(ctx, width, height) {
+    if (!this.samplingWidth || width <= this.samplingWidth || !ctx.canvas) {
+      return { ctx, width, height };
+    }
+    
+    const scaledWidth = this.samplingWidth;
+    const scaledHeight = Math.max(1, Math.round(height * (scaledWidth / width)));
+    
+    if (!this.samplingCanvas) {
+      this.samplingCanvas = typeof OffscreenCanvas !== 'undefined'
+        ? new OffscreenCanvas(scaledWidth, scaledHeight)
+        : document.createElement('canvas');
+    }
+    
+    const canvas = this.samplingCanvas;
+    if (canvas.width !== scaledWidth || canvas.height !== scaledHeight) {
+      canvas.width = scaledWidth;
+      canvas.height = scaledHeight;
     }
+    
+    const samplingCtx = canvas.getContext('2d', { willReadFrequently: true });
+    samplingCtx.imageSmoothingEnabled = true;
+    samplingCtx.imageSmoothingQuality = 'high';
+    samplingCtx.drawImage(ctx.canvas, 0, 0, width, height, 0, 0, scaledWidth, scaledHeight);
+    
+    return { ctx: samplingCtx, width: scaledWidth, height: scaledHeight };
+  }
+  
+  // Bounding box of all zone regions along one edge
+  getStripBounds(edge, rects, width, height) {
+    if (edge === 'top' || edge === 'bottom') {
+      return { x: 0, y: rects[0].y, width, height: rects[0].height };
+    }
+    return { x: rects[0].x, y: 0, width: rects[0].width, height };
+  }
+  
+  // Average RGB over a zone region inside a strip of pixel data
+  averageRegion(data, strip, rect) {
+    const startX = Math.max(0, rect.x - strip.x);
+    const startY = Math.max(0, rect.y - strip.y);
+    const endX = Math.min(strip.width, startX + rect.width);
+    const endY = Math.min(strip.height, startY + rect.height);
+    
+    let totalR = 0, totalG = 0, totalB = 0, count = 0;
+    
+    for (let y = startY; y < endY; y++) {
+      let index = (y * strip.width + startX) * 4;
+      for (let x = startX; x < endX; x++) {
+        totalR += data[index];
+        totalG += data[index + 1];
+        totalB += data[index + 2];
+        count++;
+        index += 4;
+      }
+    }
+    
+    if (count === 0) return [0, 0, 0];
+    return [totalR / count, totalG / count, totalB / count];
+  }
+  
+  // Attack/release smoothing per zone, independent of frame rate
+  // smoothingFactor sets the time constant and transitionSpeed scales it;
+  // colors fade out more slowly than they rise, which hides flicker.
+  smoothEdgeZones(targets) {
+    const now = performance.now();
+    const elapsed = this.lastSampleTime ? Math.min(250, now - this.lastSampleTime) : 0;
+    this.lastSampleTime = now;
+    
+    Object.keys(targets).forEach(edge => {
+      const smoothed = this.smoothedZones[edge];
+      
+      targets[edge].forEach((target, i) => {
+        const color = BacklightSystem.smoothColor(smoothed[i], target, elapsed, this);
+        smoothed[i] = color;
+        this.edgeZones[edge][i] = color.map(c => Math.round(c));
+      });
+    });
+  }
+  
+  // One smoothing step from previous toward target after elapsed ms
+  // settings: { smoothingFactor, transitionSpeed }
+  static smoothColor(previous, target, elapsed, settings) {
+    if (!previous || elapsed <= 0) return target;
+    
+    const speed = { slow: 0.5, medium: 1, fast: 2 }[settings.transitionSpeed] || 1;
+    const attackTime = (settings.smoothingFactor * 400) / speed; // ms
+    const releaseTime = attackTime * 2;
+    const luminance = (color) => 0.2126 * color[0] + 0.7152 * color[1] + 0.0722 * color[2];
+    
+    const time = luminance(target) >= luminance(previous) ? attackTime : releaseTime;
+    const blend = time > 0 ? 1 - Math.exp(-elapsed / time) : 1;
+    return previous.map((c, channel) => c + (target[channel] - c) * blend);
   }
   
   // Send color data to connected backlight systems
-  sendColorDataToConnectedSystems() {
-    // Check for connected systems
-    const connectedSystems = this.supportedSystems.filter(system => system.connected);
-    
-    connectedSystems.forEach(system => {
-      if (system.name === 'Govee') {
-        this.sendToGovee(system);
-      } else if (system.name === 'Philips Hue') {
-        this.sendToPhilipsHue(system);
-      } else if (system.name === 'WLED') {
-        this.sendToWLED(system);
+  // lead is how many ms ahead of the screen the frame is. Each device's frames are
+  // held for lead minus its latency, so slow devices get them early and fast ones late.
+  sendColorDataToConnectedSystems(frame = this.getFrame(), lead = this.getLookAhead()) {
+    // The worker applies calibration and owns the transports
+    if (this.worker) {
+      this.worker.post('send', { frame, lead });
+      return;
+    }
+    
+    Object.keys(this.connections).forEach(key => {
+      const connection = this.connections[key];
+      if (!connection.connected || key === this.measuringDevice) return;
+      
+      const output = this.getOutputSettings(connection.device);
+      if (!output.enabled) return;
+      
+      const hold = lead - output.latency;
+      if (!this.delayBuffers[key]) {
+        this.delayBuffers[key] = new BacklightDelayBuffer(deviceFrame => connection.sendFrame(deviceFrame));
+        
+        // Without enough look-ahead a slow device can only be sent frames right away
+        if (hold < 0) {
+          console.warn(`${key} lags by ${output.latency} ms; only ${Math.round(lead)} ms of look-ahead is available`);
+        }
       }
+      this.delayBuffers[key].push(this.getDeviceFrame(frame, connection.device), hold);
+    });
+  }
+  
+  // Send a frame to one device right away, e.g. for latency measurement
+  sendFrameToDevice(key, frame) {
+    if (this.worker) {
+      this.worker.post('send', { frame, key });
+      return;
+    }
+    
+    const connection = this.connections[key];
+    if (connection && connection.connected) {
+      connection.sendFrame(this.getDeviceFrame(frame, connection.device));
+    }
+  }
+  
+  // Pause a device's normal stream while it is being measured (null resumes it)
+  setMeasuringDevice(key) {
+    this.measuringDevice = key;
+    
+    if (this.worker) {
+      this.worker.post('measuring', { key });
+    }
+  }
+  
+  // How far ahead of the screen the current frames are, in ms
+  // Timeline playback can read ahead as far as needed; audio-reactive
+  // frames are ahead by the audio look-ahead delay; sampled frames are not.
+  getLookAhead() {
+    if (this.timelinePlayer) return this.getMaxLatency();
+    if (this.audioReactive && this.audioLookAhead) return this.audioLookAhead.delay;
+    return 0;
+  }
+  
+  // Largest latency among the enabled, connected devices
+  getMaxLatency() {
+    return Object.values(this.connections).reduce((max, connection) => {
+      const output = this.getOutputSettings(connection.device);
+      return output.enabled ? Math.max(max, output.latency) : max;
+    }, 0);
+  }
+  
+  // Delay prerecorded audio, and the visuals analysing it, by ms so audio-reactive
+  // lights can be computed ahead and reach slow devices in time. Not for live input:
+  // what you hear would lag what is played.
+  // Expects the visualizer's source to feed its analyser directly.
+  enableAudioLookAhead(ms = this.getMaxLatency()) {
+    this.disableAudioLookAhead();
+    if (ms <= 0) return false;
+    
+    const visualizer = this.visualizer;
+    if (!visualizer || !visualizer.audioContext || !visualizer.sourceNode || !visualizer.analyzer) {
+      console.warn('Audio look-ahead needs the visualizer\'s audio source and analyser');
+      return false;
+    }
+    
+    const context = visualizer.audioContext;
+    const delayNode = context.createDelay(2);
+    delayNode.delayTime.value = Math.min(2, ms / 1000);
+    
+    try {
+      visualizer.sourceNode.disconnect(visualizer.analyzer);
+    } catch (error) {
+      console.warn('Audio source is not connected to the analyser; look-ahead unavailable');
+      return false;
+    }
+    visualizer.sourceNode.connect(delayNode);
+    delayNode.connect(visualizer.analyzer);
+    
+    // The lights analyse the undelayed signal
+    const analyser = context.createAnalyser();
+    analyser.fftSize = visualizer.analyzer.fftSize;
+    visualizer.sourceNode.connect(analyser);
+    
+    this.audioLookAhead = { delay: delayNode.delayTime.value * 1000, delayNode, analyser };
+    this.restartAudioReactive();
+    
+    console.log(`Audio look-ahead: ${Math.round(this.audioLookAhead.delay)} ms`);
+    return true;
+  }
+  
+  // Restore the original audio path
+  disableAudioLookAhead() {
+    if (!this.audioLookAhead) return;
+    
+    const { delayNode, analyser } = this.audioLookAhead;
+    const source = this.visualizer.sourceNode;
+    source.disconnect(delayNode);
+    source.disconnect(analyser);
+    delayNode.disconnect();
+    source.connect(this.visualizer.analyzer);
+    
+    this.audioLookAhead = null;
+    this.restartAudioReactive();
+  }
+  
+  // Pick up a changed audio source in the running audio-reactive mode
+  restartAudioReactive() {
+    if (this.audioReactive) {
+      this.setAudioReactiveMode(this.audioReactive.options.mode, this.audioReactive.options);
+    }
+  }
+  
+  // The part of a frame a device shows, with its calibration and brightness applied
+  // Always a copy, so a delayed frame is not changed by later samples.
+  getDeviceFrame(frame, device) {
+    const output = this.getOutputSettings(device);
+    const pipeline = this.getColorPipeline(device);
+    const brightness = Math.max(0, Math.min(1, output.brightness));
+    const convert = (color) => {
+      const calibrated = pipeline ? pipeline.apply(color) : color;
+      return calibrated.map(c => Math.round(c * brightness));
+    };
+    
+    // Edges the device does not cover are left empty
+    const zones = {};
+    Object.keys(frame.zones).forEach(edge => {
+      zones[edge] = output.edges.includes(edge) ? frame.zones[edge].map(convert) : [];
+    });
+    const allEdges = Object.keys(frame.zones).every(edge => output.edges.includes(edge));
+    
+    return {
+      zones,
+      leds: allEdges ? frame.leds.map(convert) : this.layout.orderLeds(zones)
+    };
+  }
+  
+  // Output settings for every device without its own
+  static get defaultOutputSettings() {
+    return {
+      enabled: true,
+      edges: ['top', 'right', 'bottom', 'left'], // Zones the device shows
+      brightness: 1, // 0-1, applied after calibration
+      latency: 0 // ms the device's light lags the screen (negative when it is ahead)
+    };
+  }
+  
+  // Set output settings for a device key (null restores the defaults)
+  setOutputSettings(key, settings) {
+    if (settings) {
+      this.outputSettings[key] = { ...BacklightSystem.defaultOutputSettings, ...settings };
+    } else {
+      delete this.outputSettings[key];
+    }
+    
+    if (this.worker) {
+      this.worker.post('output', { key, settings: settings ? this.outputSettings[key] : null });
+    }
+  }
+  
+  // Output settings for a device, falling back to the defaults
+  getOutputSettings(device) {
+    return this.outputSettings[this.getDeviceKey(device)] || BacklightSystem.defaultOutputSettings;
+  }
+  
+  // Drive the lights from audio analysis instead of the canvas ('off' returns to sampling)
+  // Runs on a timer rather than requestAnimationFrame so it keeps going while the
+  // canvas is hidden; browsers do not throttle timers on pages that are playing audio.
+  setAudioReactiveMode(mode, options = {}) {
+    clearInterval(this.audioReactiveTimer);
+    this.audioReactiveTimer = null;
+    this.audioReactive = null;
+    
+    if (!mode || mode === 'off') return;
+    
+    const audioData = this.getAudioSource();
+    if (!audioData) {
+      console.warn('No audio source available for audio-reactive backlight');
+      return;
+    }
+    
+    this.audioReactive = new BacklightAudioReactive(audioData, {
+      ...options,
+      mode,
+      sampleRate: audioData.sampleRate || 44100
+    });
+    this.audioReactiveTimer = setInterval(() => this.updateAudioReactive(), 1000 / 30);
+    
+    console.log(`Audio-reactive backlight mode: ${mode}`);
+  }
+  
+  // Analyser data source: the one set on audioData, or the visualizer's analyser
+  getAudioSource() {
+    if (this.audioData) return this.audioData;
+    
+    // With audio look-ahead the lights read the undelayed analyser
+    const analyser = this.audioLookAhead ? this.audioLookAhead.analyser : this.visualizer && this.visualizer.analyzer;
+    if (!analyser) return null;
+    
+    const frequencyData = new Uint8Array(analyser.frequencyBinCount);
+    const timeData = new Uint8Array(analyser.fftSize);
+    
+    return {
+      sampleRate: analyser.context.sampleRate,
+      getFrequencyData: () => {
+        analyser.getByteFrequencyData(frequencyData);
+        return frequencyData;
+      },
+      getTimeData: () => {
+        analyser.getByteTimeDomainData(timeData);
+        return timeData;
+      }
+    };
+  }
+  
+  // Render one audio-reactive frame and send it to the devices
+  updateAudioReactive() {
+    if (!this.isEnabled || !this.audioReactive || this.testPattern || this.timelinePlayer) return;
+    
+    this.audioReactive.render(this.edgeZones, this.layout);
+    this.sendColorDataToConnectedSystems();
+  }
+  
+  // Forward a beat from an external detector (e.g. the app's beat detection)
+  onBeat() {
+    if (this.audioReactive) {
+      this.audioReactive.triggerBeat();
+    }
+  }
+  
+  // Set calibration for a device key ('default' applies to all other devices)
+  setCalibration(key, settings) {
+    if (settings) {
+      this.calibrations[key] = new BacklightColorPipeline(settings);
+    } else {
+      delete this.calibrations[key];
+    }
+    
+    if (this.worker) {
+      this.worker.post('calibration', { key, settings: settings ? this.calibrations[key].toJSON() : null });
+    }
+  }
+  
+  // Color pipeline for a device, falling back to the default calibration
+  getColorPipeline(device) {
+    return this.calibrations[this.getDeviceKey(device)] || this.calibrations.default || null;
+  }
+  
+  // Show a calibration pattern on every connected device ('off' stops it)
+  // Patterns: 'white', 'red', 'green', 'blue', 'ramp'
+  setTestPattern(pattern) {
+    clearInterval(this.testPatternTimer);
+    this.testPatternTimer = null;
+    this.testPattern = pattern && pattern !== 'off' ? pattern : null;
+    
+    if (!this.testPattern) return;
+    
+    // Resend regularly so devices with realtime timeouts stay on the pattern
+    const send = () => this.sendColorDataToConnectedSystems(this.getTestPatternFrame(this.testPattern));
+    send();
+    this.testPatternTimer = setInterval(send, 100);
+  }
+  
+  // Frame for a test pattern, laid out in strip order
+  getTestPatternFrame(pattern) {
+    const solid = {
+      white: [255, 255, 255],
+      red: [255, 0, 0],
+      green: [0, 255, 0],
+      blue: [0, 0, 255],
+      black: [0, 0, 0]
+    };
+    
+    const tagged = {};
+    const zones = {};
+    Object.keys(this.edgeZones).forEach(edge => {
+      tagged[edge] = this.edgeZones[edge].map((_, index) => ({ edge, index }));
+      zones[edge] = [];
     });
-  }
-  
-  // Send color data to Govee device
-  sendToGovee(system) {
-    // This would implement the Govee API calls
-    console.log('Sending color data to Govee');
     
-    // Convert our edge zones to Govee's expected format
-    const goveeData = this.formatDataForGovee();
+    const ordered = this.layout.orderLeds(tagged);
+    const leds = ordered.map((led, i) => {
+      // The ramp runs dark to bright along the strip for checking gamma
+      const level = Math.round((255 * i) / Math.max(1, ordered.length - 1));
+      const color = solid[pattern] ? solid[pattern].slice() : [level, level, level];
+      zones[led.edge][led.index] = color;
+      return color;
+    });
     
-    // This would send the actual API request
-    // fetch('https://api.govee.com/v1/devices/control', {
-    //   method: 'PUT',
-    //   headers: {
-    //     'Govee-API-Key': system.apiKey,
-    //     'Content-Type': 'application/json'
-    //   },
-    //   body: JSON.stringify(goveeData)
-    // });
+    return { zones, leds };
   }
   
-  // Format data for Govee API
-  formatDataForGovee() {
-    // Convert our edge zone data to Govee's expected format
-    // This is a simplified example
+  // Current frame in the shape output drivers consume
+  getFrame() {
     return {
-      device: 'H6199',
-      model: 'H6199',
-      cmd: {
-        name: 'color',
-        value: {
-          r: this.edgeZones.top[Math.floor(this.edgeZones.top.length / 2)][0],
-          g: this.edgeZones.top[Math.floor(this.edgeZones.top.length / 2)][1],
-          b: this.edgeZones.top[Math.floor(this.edgeZones.top.length / 2)][2]
-        }
-      }
+      zones: this.edgeZones,
+      leds: this.getLedColors()
     };
   }
   
-  // Send to Philips Hue
-  sendToPhilipsHue(system) {
-    // Would implement Philips Hue API
-    console.log('Sending color data to Philips Hue');
-  }
-  
-  // Send to WLED
-  sendToWLED(system) {
-    // Would implement WLED API
-    console.log('Sending color data to WLED');
+  // Flatten edge zones into physical strip order
+  getLedColors() {
+    return this.layout.orderLeds(this.edgeZones);
   }
   
   // Apply edge emphasis to make colors more detectable
-  applyEdgeEmphasis(ctx, width, height) {
+  // The settings preview passes its own zones, emphasis and saturation.
+  applyEdgeEmphasis(ctx, width, height, { zones = this.edgeZones, emphasis = this.edgeEmphasis, saturation = this.colorSaturation } = {}) {
     // Enhance the edges of the visualization to make them more prominent
     // for camera-based systems to detect
     
     // For demonstration, we'll add a subtle border glow that
-    // matches the dominant colors at each edge
+    // matches the dominant colors at each edge; its strength follows the edge emphasis
+    const alpha = Math.min(1, emphasis * 0.7);
     
     // Top edge glow
     const topGradient = ctx.createLinearGradient(0, 0, 0, height * 0.1);
-    topGradient.addColorStop(0, this.getAverageColorString(this.edgeZones.top, 0.5));
+    topGradient.addColorStop(0, this.getAverageColorString(zones.top, alpha, saturation));
     topGradient.addColorStop(1, 'transparent');
     
     ctx.fillStyle = topGradient;
@@ -369,14 +1784,14 @@ class BacklightSystem {
     // Bottom edge glow
     const bottomGradient = ctx.createLinearGradient(0, height * 0.9, 0, height);
     bottomGradient.addColorStop(0, 'transparent');
-    bottomGradient.addColorStop(1, this.getAverageColorString(this.edgeZones.bottom, 0.5));
+    bottomGradient.addColorStop(1, this.getAverageColorString(zones.bottom, alpha, saturation));
     
     ctx.fillStyle = bottomGradient;
     ctx.fillRect(0, height * 0.9, width, height * 0.1);
     
     // Left edge glow
     const leftGradient = ctx.createLinearGradient(0, 0, width * 0.1, 0);
-    leftGradient.addColorStop(0, this.getAverageColorString(this.edgeZones.left, 0.5));
+    leftGradient.addColorStop(0, this.getAverageColorString(zones.left, alpha, saturation));
     leftGradient.addColorStop(1, 'transparent');
     
     ctx.fillStyle = leftGradient;
@@ -385,14 +1800,16 @@ class BacklightSystem {
     // Right edge glow
     const rightGradient = ctx.createLinearGradient(width * 0.9, 0, width, 0);
     rightGradient.addColorStop(0, 'transparent');
-    rightGradient.addColorStop(1, this.getAverageColorString(this.edgeZones.right, 0.5));
+    rightGradient.addColorStop(1, this.getAverageColorString(zones.right, alpha, saturation));
     
     ctx.fillStyle = rightGradient;
     ctx.fillRect(width * 0.9, 0, width * 0.1, height);
   }
   
   // Get average color from an array of RGB values
-  getAverageColorString(colorArray, alpha = 1.0) {
+  getAverageColorString(colorArray, alpha = 1.0, saturation = this.colorSaturation) {
+    if (!colorArray.length) return 'transparent';
+    
     // Calculate the average R, G, B values
     let totalR = 0, totalG = 0, totalB = 0;
     
@@ -407,9 +1824,8 @@ class BacklightSystem {
     const avgB = Math.floor(totalB / colorArray.length);
     
     // Apply saturation boost if needed
-    const satR = Math.min(255, Math.floor(avgR * this.colorSaturation));
-    const satG = Math.min(255, Math.floor(avgG * this.colorSaturation));
-    const satB = Math.min(255, Math.floor(avgB * this.colorSaturation));
+    const [satR, satG, satB] = BacklightColorPipeline.adjustSaturation([avgR, avgG, avgB], saturation)
+      .map(c => Math.round(c));
     
     return `rgba(${satR}, ${satG}, ${satB}, ${alpha})`;
   }
@@ -431,6 +1847,269 @@ class BacklightSystem {
   }
 }
 
+// Feeds processFrame from a screen share, capture card or video file instead of
+// the visualizer, so the lights follow movies and games. Black bars are
+// detected and cropped so the edge zones sample the picture itself.
+class BacklightCaptureSource {
+  constructor(backlightSystem, options = {}) {
+    this.backlightSystem = backlightSystem;
+    this.options = {
+      fps: 30, // Frames sampled per second when requestVideoFrameCallback is unavailable
+      width: 320, // Width frames are scaled to before sampling
+      detectLetterbox: true,
+      letterboxThreshold: 24, // Brightest value (0-255) a row or column can have and still count as a bar
+      letterboxInterval: 1000, // ms between black bar checks
+      ...options
+    };
+    
+    this.video = null;
+    this.stream = null;
+    this.objectUrl = null;
+    this.ownsVideo = false;
+    this.frameRequest = null;
+    this.frameTimer = null;
+    
+    // Frames are drawn here, cropped and downscaled, and sampled from it
+    this.canvas = null;
+    this.ctx = null;
+    
+    // Picture area inside any black bars, in video pixels; a detection has to
+    // repeat before it is applied so dark scenes do not shrink the picture
+    this.crop = null;
+    this.candidateCrop = null;
+    this.lastLetterboxCheck = 0;
+    this.detectCanvas = null;
+  }
+  
+  // Share a screen, window or browser tab
+  startScreen(options = {}) {
+    return navigator.mediaDevices.getDisplayMedia({
+      video: { frameRate: this.options.fps, ...options.video },
+      audio: false
+    }).then(stream => this.startStream(stream));
+  }
+  
+  // Capture card or camera, by device ID (see listDevices)
+  startDevice(deviceId) {
+    return navigator.mediaDevices.getUserMedia({
+      video: {
+        deviceId: deviceId ? { exact: deviceId } : undefined,
+        width: { ideal: 1920 },
+        height: { ideal: 1080 },
+        frameRate: { ideal: 60 }
+      },
+      audio: false
+    }).then(stream => this.startStream(stream));
+  }
+  
+  // Video inputs; labels are only filled in once camera access has been granted
+  static listDevices() {
+    return navigator.mediaDevices.enumerateDevices()
+      .then(devices => devices.filter(device => device.kind === 'videoinput'));
+  }
+  
+  // Sample a MediaStream
+  startStream(stream) {
+    this.stop();
+    this.stream = stream;
+    
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.srcObject = stream;
+    
+    // Stop when the user ends the share from the browser's own controls
+    stream.getVideoTracks().forEach(track => {
+      track.addEventListener('ended', () => this.stop());
+    });
+    
+    return this.play(video, true).catch(error => {
+      this.stop();
+      throw error;
+    });
+  }
+  
+  // Play a local video file; pass the element the user watches it in
+  startFile(file, video = document.createElement('video')) {
+    this.stop();
+    this.objectUrl = URL.createObjectURL(file);
+    video.src = this.objectUrl;
+    
+    return this.play(video, !video.isConnected);
+  }
+  
+  // Sample a video element that is already set up
+  startVideo(video) {
+    this.stop();
+    return this.play(video, false);
+  }
+  
+  // Start playback and sampling; sources this class created are cleaned up by stop()
+  play(video, ownsVideo) {
+    this.video = video;
+    this.ownsVideo = ownsVideo;
+    
+    return video.play().then(() => {
+      if (!this.canvas) {
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+      }
+      this.crop = null;
+      this.candidateCrop = null;
+      this.lastLetterboxCheck = 0;
+      
+      this.backlightSystem.setCaptureSource(this);
+      this.scheduleFrame();
+      
+      console.log(`Backlight capture started (${video.videoWidth}x${video.videoHeight})`);
+      return this;
+    });
+  }
+  
+  // Sample each new video frame where supported, otherwise on a timer
+  scheduleFrame() {
+    if (!this.video) return;
+    
+    if (this.video.requestVideoFrameCallback) {
+      this.frameRequest = this.video.requestVideoFrameCallback(() => {
+        this.captureFrame();
+        this.scheduleFrame();
+      });
+    } else if (!this.frameTimer) {
+      this.frameTimer = setInterval(() => this.captureFrame(), 1000 / this.options.fps);
+    }
+  }
+  
+  // Draw the picture area of the current frame and hand it to the backlight system
+  captureFrame() {
+    const video = this.video;
+    if (!video || video.readyState < 2 || !video.videoWidth) return;
+    
+    const now = performance.now();
+    if (this.options.detectLetterbox && now - this.lastLetterboxCheck >= this.options.letterboxInterval) {
+      this.lastLetterboxCheck = now;
+      this.updateCrop();
+    }
+    
+    const crop = this.crop || { x: 0, y: 0, width: video.videoWidth, height: video.videoHeight };
+    const width = Math.min(this.options.width, crop.width);
+    const height = Math.max(1, Math.round((width * crop.height) / crop.width));
+    
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+    }
+    
+    this.ctx.drawImage(video, crop.x, crop.y, crop.width, crop.height, 0, 0, width, height);
+    this.backlightSystem.processFrame(this.ctx, width, height);
+  }
+  
+  // Detect black bars; a new crop is applied once two checks in a row agree
+  updateCrop() {
+    const detected = this.detectLetterbox();
+    if (!detected) return;
+    
+    const same = (a, b) => a && b && ['x', 'y', 'width', 'height'].every(key => Math.abs(a[key] - b[key]) <= 2);
+    
+    if (same(detected, this.crop)) {
+      this.candidateCrop = null;
+    } else if (same(detected, this.candidateCrop)) {
+      this.crop = detected;
+      this.candidateCrop = null;
+      console.log(`Backlight capture cropped to ${detected.width}x${detected.height} at ${detected.x},${detected.y}`);
+    } else {
+      this.candidateCrop = detected;
+    }
+  }
+  
+  // Find the picture inside letterbox (top/bottom) and pillarbox (left/right) bars
+  // Returns null for frames too dark to tell, such as fades to black.
+  detectLetterbox() {
+    const video = this.video;
+    const width = 160;
+    const height = Math.max(1, Math.round((width * video.videoHeight) / video.videoWidth));
+    
+    if (!this.detectCanvas) {
+      this.detectCanvas = document.createElement('canvas');
+    }
+    this.detectCanvas.width = width;
+    this.detectCanvas.height = height;
+    
+    const ctx = this.detectCanvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(video, 0, 0, width, height);
+    const data = ctx.getImageData(0, 0, width, height).data;
+    
+    const threshold = this.options.letterboxThreshold;
+    const brightest = (x0, y0, x1, y1) => {
+      let max = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const i = (y * width + x) * 4;
+          max = Math.max(max, data[i], data[i + 1], data[i + 2]);
+        }
+      }
+      return max;
+    };
+    
+    // Bars are limited to a third of the frame each
+    let top = 0;
+    while (top < height / 3 && brightest(0, top, width, top + 1) <= threshold) top++;
+    let bottom = height;
+    while (bottom > (height * 2) / 3 && brightest(0, bottom - 1, width, bottom) <= threshold) bottom--;
+    let left = 0;
+    while (left < width / 3 && brightest(left, top, left + 1, bottom) <= threshold) left++;
+    let right = width;
+    while (right > (width * 2) / 3 && brightest(right - 1, top, right, bottom) <= threshold) right--;
+    
+    if (top >= height / 3 && bottom <= (height * 2) / 3) return null;
+    if (brightest(left, top, right, bottom) <= threshold) return null;
+    
+    // The row or column at a bar's edge can be partly black at this size; leave it out
+    if (top > 0) top++;
+    if (bottom < height) bottom--;
+    if (left > 0) left++;
+    if (right < width) right--;
+    
+    const scaleX = video.videoWidth / width;
+    const scaleY = video.videoHeight / height;
+    return {
+      x: Math.round(left * scaleX),
+      y: Math.round(top * scaleY),
+      width: Math.round((right - left) * scaleX),
+      height: Math.round((bottom - top) * scaleY)
+    };
+  }
+  
+  // Stop capturing; the lights go back to the visualizer
+  stop() {
+    if (this.video && this.frameRequest !== null && this.video.cancelVideoFrameCallback) {
+      this.video.cancelVideoFrameCallback(this.frameRequest);
+    }
+    this.frameRequest = null;
+    clearInterval(this.frameTimer);
+    this.frameTimer = null;
+    
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+      this.stream = null;
+    }
+    if (this.video && this.ownsVideo) {
+      this.video.pause();
+      this.video.removeAttribute('src');
+      this.video.srcObject = null;
+    }
+    if (this.objectUrl) {
+      URL.revokeObjectURL(this.objectUrl);
+      this.objectUrl = null;
+    }
+    this.video = null;
+    
+    if (this.backlightSystem.captureSource === this) {
+      this.backlightSystem.setCaptureSource(null);
+    }
+  }
+}
+
 // Specialized visualization mode for backlight systems
 class BacklightVisualizer {
   constructor(canvas, audioData, options) {
@@ -442,16 +2121,19 @@ class BacklightVisualizer {
       colorSaturation: 1.2,
       useHighContrast: true,
       mirrorMode: false,
+      mirrorAxis: 'horizontal', // 'horizontal', 'vertical', 'quad'
+      mirrorBlend: 'average', // 'average' both sides, or 'reflect' the first half
+      scene: 'bars', // 'bars', 'radial', 'waveform', 'gradient', 'mood'
       ...options
     };
     
-    // Edge emphasis points
-    this.edgePoints = {
-      top: [],
-      right: [],
-      bottom: [],
-      left: []
-    };
+    // Scene state carried between frames
+    this.flowOffset = 0; // Waveform position around the perimeter
+    this.mood = { hue: 0, energy: 0 }; // Slowly following color for the mood scene
+    this.lastDrawTime = 0;
+    
+    // Scratch canvas for mirror compositing, created on first use
+    this.mirrorCanvas = null;
     
     // Initialize with a default color palette good for detection
     this.colorPalette = [
@@ -466,7 +2148,8 @@ class BacklightVisualizer {
   }
   
   // Draw the backlight-optimized visualization
-  draw() {
+  // now: frame time in ms; offline export passes its own clock so scenes render deterministically
+  draw(now = performance.now()) {
     const width = this.canvas.width;
     const height = this.canvas.height;
     
@@ -481,11 +2164,36 @@ class BacklightVisualizer {
     const frequencyData = this.audioData.getFrequencyData();
     const timeData = this.audioData.getTimeData();
     
-    // Draw center visualization
-    this.drawCenterVisualization(frequencyData, timeData, width, height);
+    const elapsed = this.lastDrawTime ? Math.min(250, now - this.lastDrawTime) : 0;
+    this.lastDrawTime = now;
+    
+    // Edge zones are built from this frame's data only; scenes other than
+    // the bars already carry their color out to the edges
+    let edgeZones = null;
+    
+    // Draw the selected scene
+    switch (this.options.scene) {
+      case 'radial':
+        this.drawRadialSpectrum(frequencyData, width, height);
+        break;
+      case 'waveform':
+        this.drawPerimeterWaveform(timeData, width, height, elapsed);
+        break;
+      case 'gradient':
+        this.drawGradientField(frequencyData, width, height);
+        break;
+      case 'mood':
+        this.drawMood(frequencyData, width, height, elapsed);
+        break;
+      default:
+        // Draw center visualization
+        edgeZones = this.getBarEdgeZones(this.drawCenterVisualization(frequencyData, timeData, width, height));
+    }
     
     // Draw edge emphasis
-    this.drawEdgeEmphasis(frequencyData, width, height);
+    if (edgeZones) {
+      this.drawEdgeEmphasis(edgeZones, width, height);
+    }
     
     // Optional mirror mode for symmetric backlighting
     if (this.options.mirrorMode) {
@@ -494,11 +2202,13 @@ class BacklightVisualizer {
   }
   
   // Draw the main center visualization
+  // Returns the bars drawn this frame ({ color, level }) for edge emphasis
   drawCenterVisualization(frequencyData, timeData, width, height) {
     // Simplified spectrum analyzer focused on wide color bands
     const barWidth = width / 16; // Use fewer, wider bars
     const centerHeight = height * 0.6;
     const centerY = height * 0.5;
+    const bars = [];
     
     // Use high contrast colors - select colors based on frequency band
     for (let i = 0; i < 16; i++) {
@@ -520,7 +2230,8 @@ class BacklightVisualizer {
       const color = this.colorPalette[colorIndex];
       
       // Boost saturation for better detection
-      const satColor = color.map(c => Math.min(255, Math.floor(c * this.options.colorSaturation)));
+      const satColor = BacklightColorPipeline.adjustSaturation(color, this.options.colorSaturation)
+        .map(c => Math.round(c));
       
       // Draw the bar
       this.ctx.fillStyle = `rgb(${satColor[0]}, ${satColor[1]}, ${satColor[2]})`;
@@ -531,152 +2242,897 @@ class BacklightVisualizer {
         barHeight
       );
       
-      // Store edge points for edge emphasis
-      if (i < 4) {
-        this.edgePoints.left.push({
-          y: centerY - barHeight / 2,
-          height: barHeight,
-          color: satColor
-        });
-      } else if (i >= 12) {
-        this.edgePoints.right.push({
-          y: centerY - barHeight / 2,
-          height: barHeight,
-          color: satColor
-        });
+      bars.push({ color: satColor, level: average / 255 });
+    }
+    
+    return bars;
+  }
+  
+  // Edge zones for one frame: top and bottom follow the bars left to right,
+  // the left edge carries the bass bars and the right edge the treble bars,
+  // lowest band at the bottom
+  getBarEdgeZones(bars) {
+    return {
+      top: bars,
+      bottom: bars,
+      left: bars.slice(0, 4).reverse(),
+      right: bars.slice(-4).reverse()
+    };
+  }
+  
+  // Log-spaced band magnitudes (0-1), lowest frequencies first
+  getBands(frequencyData, count) {
+    const bands = new Array(count);
+    const length = frequencyData.length;
+    
+    for (let i = 0; i < count; i++) {
+      // Bin 0 is DC, so the scale starts at bin 1
+      const start = Math.min(length - 1, Math.floor(Math.pow(length, i / count)));
+      const end = Math.max(start + 1, Math.floor(Math.pow(length, (i + 1) / count)));
+      
+      let sum = 0;
+      for (let j = start; j < end; j++) {
+        sum += frequencyData[j];
       }
+      bands[i] = sum / (end - start) / 255;
+    }
+    
+    return bands;
+  }
+  
+  // Color for a position in the spectrum: red for bass through violet for treble
+  getSpectrumColor(position, value) {
+    return BacklightAudioReactive.hsvToRgb(position * 0.83, 1, Math.max(0, Math.min(1, value)));
+  }
+  
+  // Spectrum wedges radiating from the center, bass at the bottom and treble at
+  // the top; loud bands reach the edges so the LEDs pick them up
+  drawRadialSpectrum(frequencyData, width, height) {
+    const bandCount = 32;
+    const bands = this.getBands(frequencyData, bandCount);
+    const centerX = width / 2;
+    const centerY = height / 2;
+    const maxRadius = Math.hypot(centerX, centerY);
+    const innerRadius = Math.min(width, height) * 0.08;
+    const wedge = Math.PI / bandCount;
+    
+    bands.forEach((value, i) => {
+      const radius = innerRadius + value * (maxRadius - innerRadius);
+      const color = this.getSpectrumColor(i / bandCount, 0.4 + value * 0.6);
+      this.ctx.fillStyle = `rgb(${color[0]}, ${color[1]}, ${color[2]})`;
       
-      if (barHeight > 0.4 * centerHeight) {
-        if (i % 4 === 0) {
-          this.edgePoints.top.push({
-            x: i * barWidth,
-            width: barWidth - 4,
-            color: satColor
-          });
-        }
+      // Mirrored on both sides, starting from straight down
+      [1, -1].forEach(side => {
+        const start = Math.PI / 2 + side * i * wedge;
+        const end = start + side * wedge;
         
-        if (i % 4 === 2) {
-          this.edgePoints.bottom.push({
-            x: i * barWidth,
-            width: barWidth - 4,
-            color: satColor
-          });
+        this.ctx.beginPath();
+        this.ctx.arc(centerX, centerY, innerRadius, start, end, side < 0);
+        this.ctx.arc(centerX, centerY, radius, end, start, side > 0);
+        this.ctx.closePath();
+        this.ctx.fill();
+      });
+    });
+  }
+  
+  // Waveform running around the border, drifting clockwise over time
+  drawPerimeterWaveform(timeData, width, height, elapsed) {
+    const segments = 128;
+    const perimeter = 2 * (width + height);
+    const maxThickness = Math.min(width, height) * 0.15;
+    const minThickness = maxThickness * 0.15;
+    
+    this.flowOffset = (this.flowOffset + elapsed / 8000) % 1;
+    
+    for (let k = 0; k < segments; k++) {
+      const sampleIndex = Math.floor(((k / segments + this.flowOffset) % 1) * timeData.length);
+      const amplitude = Math.abs(timeData[sampleIndex] - 128) / 128;
+      const thickness = minThickness + amplitude * (maxThickness - minThickness);
+      const color = this.getSpectrumColor((k / segments + this.flowOffset) % 1, 0.5 + amplitude * 0.5);
+      this.ctx.fillStyle = `rgb(${color[0]}, ${color[1]}, ${color[2]})`;
+      
+      // Walk the border clockwise from the top-left corner
+      const start = (k / segments) * perimeter;
+      const length = perimeter / segments + 1;
+      
+      if (start < width) {
+        this.ctx.fillRect(start, 0, length, thickness);
+      } else if (start < width + height) {
+        this.ctx.fillRect(width - thickness, start - width, thickness, length);
+      } else if (start < 2 * width + height) {
+        this.ctx.fillRect(2 * width + height - start - length, height - thickness, length, thickness);
+      } else {
+        this.ctx.fillRect(0, perimeter - start - length, thickness, length);
+      }
+    }
+  }
+  
+  // Full-screen field: spectrum hues left to right, bass rising from the
+  // bottom edge and treble falling from the top
+  drawGradientField(frequencyData, width, height) {
+    const stops = 12;
+    const bands = this.getBands(frequencyData, stops);
+    
+    const field = this.ctx.createLinearGradient(0, 0, width, 0);
+    bands.forEach((value, i) => {
+      const color = this.getSpectrumColor(i / stops, 0.25 + value * 0.75);
+      field.addColorStop(i / (stops - 1), `rgb(${color[0]}, ${color[1]}, ${color[2]})`);
+    });
+    this.ctx.fillStyle = field;
+    this.ctx.fillRect(0, 0, width, height);
+    
+    const bass = (bands[0] + bands[1] + bands[2]) / 3;
+    const treble = (bands[stops - 1] + bands[stops - 2] + bands[stops - 3]) / 3;
+    
+    const bassGlow = this.ctx.createLinearGradient(0, height, 0, height * 0.5);
+    bassGlow.addColorStop(0, `rgba(255, 40, 0, ${bass})`);
+    bassGlow.addColorStop(1, 'rgba(255, 40, 0, 0)');
+    this.ctx.fillStyle = bassGlow;
+    this.ctx.fillRect(0, height * 0.5, width, height * 0.5);
+    
+    const trebleGlow = this.ctx.createLinearGradient(0, 0, 0, height * 0.5);
+    trebleGlow.addColorStop(0, `rgba(120, 80, 255, ${treble})`);
+    trebleGlow.addColorStop(1, 'rgba(120, 80, 255, 0)');
+    this.ctx.fillStyle = trebleGlow;
+    this.ctx.fillRect(0, 0, width, height * 0.5);
+  }
+  
+  // Slow full-screen color following the spectral centroid (hue) and energy
+  // (brightness), brightest at the edges where the LEDs sample
+  drawMood(frequencyData, width, height, elapsed) {
+    let weighted = 0, total = 0;
+    for (let i = 0; i < frequencyData.length; i++) {
+      weighted += i * frequencyData[i];
+      total += frequencyData[i];
+    }
+    
+    // Centroid on a log scale so typical music spans the hue range
+    const centroid = total > 0 ? weighted / total : 0;
+    const position = centroid > 1 ? Math.log(centroid) / Math.log(frequencyData.length) : 0;
+    const energy = total / frequencyData.length / 255;
+    
+    // Follow over a few seconds; hue takes the short way around the wheel
+    const blend = 1 - Math.exp(-elapsed / 2500);
+    const targetHue = position * 0.75;
+    let hueDelta = targetHue - this.mood.hue;
+    if (hueDelta > 0.5) hueDelta -= 1;
+    if (hueDelta < -0.5) hueDelta += 1;
+    this.mood.hue = (this.mood.hue + hueDelta * blend + 1) % 1;
+    this.mood.energy += (energy - this.mood.energy) * blend;
+    
+    const brightness = 0.3 + Math.min(1, this.mood.energy * 2) * 0.7;
+    const edgeColor = BacklightAudioReactive.hsvToRgb(this.mood.hue, 1, brightness);
+    const centerColor = BacklightAudioReactive.hsvToRgb((this.mood.hue + 0.08) % 1, 0.8, brightness * 0.4);
+    
+    const glow = this.ctx.createRadialGradient(width / 2, height / 2, 0, width / 2, height / 2, Math.hypot(width, height) / 2);
+    glow.addColorStop(0, `rgb(${centerColor[0]}, ${centerColor[1]}, ${centerColor[2]})`);
+    glow.addColorStop(1, `rgb(${edgeColor[0]}, ${edgeColor[1]}, ${edgeColor[2]})`);
+    this.ctx.fillStyle = glow;
+    this.ctx.fillRect(0, 0, width, height);
+  }
+  
+  // Draw emphasis around the edges for LED detection
+  // Each zone fills its stretch of the edge with its color, fading toward the
+  // center. edgeIntensity scales both the opacity and how far the glow reaches.
+  drawEdgeEmphasis(edgeZones, width, height) {
+    const intensity = this.options.edgeIntensity;
+    if (intensity <= 0) return;
+    
+    const reach = 0.1 * Math.min(1.5, intensity);
+    const depthX = width * reach;
+    const depthY = height * reach;
+    
+    // Gradient start/end and the rect covered by zone i of n on each edge
+    const geometry = {
+      top: (i, n) => ({ from: [0, 0], to: [0, depthY], rect: [(i * width) / n, 0, width / n, depthY] }),
+      bottom: (i, n) => ({ from: [0, height], to: [0, height - depthY], rect: [(i * width) / n, height - depthY, width / n, depthY] }),
+      left: (i, n) => ({ from: [0, 0], to: [depthX, 0], rect: [0, (i * height) / n, depthX, height / n] }),
+      right: (i, n) => ({ from: [width, 0], to: [width - depthX, 0], rect: [width - depthX, (i * height) / n, depthX, height / n] })
+    };
+    
+    Object.keys(geometry).forEach(edge => {
+      const zones = edgeZones[edge] || [];
+      
+      zones.forEach((zone, i) => {
+        const alpha = Math.min(1, zone.level * intensity);
+        if (alpha <= 0) return;
+        
+        const { from, to, rect } = geometry[edge](i, zones.length);
+        const [r, g, b] = zone.color;
+        const gradient = this.ctx.createLinearGradient(from[0], from[1], to[0], to[1]);
+        gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, ${alpha})`);
+        gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0)`);
+        
+        this.ctx.fillStyle = gradient;
+        this.ctx.fillRect(rect[0], rect[1], rect[2], rect[3]);
+      });
+    });
+  }
+  
+  // Apply mirror effect for symmetric backlighting
+  // Composited with drawImage and transforms, so the work stays on the GPU.
+  // 'reflect' copies the left/top half (or top-left quadrant) onto the rest;
+  // 'average' blends each side with its mirror image.
+  applyMirrorEffect(width, height) {
+    const axis = this.options.mirrorAxis;
+    const flipX = axis === 'horizontal' || axis === 'quad';
+    const flipY = axis === 'vertical' || axis === 'quad';
+    
+    if (this.options.mirrorBlend === 'reflect') {
+      if (flipX) this.reflectHalf(width, height, true);
+      if (flipY) this.reflectHalf(width, height, false);
+    } else {
+      // Averaging one axis after the other gives the four-way average for quad
+      if (flipX) this.averageWithMirror(width, height, true);
+      if (flipY) this.averageWithMirror(width, height, false);
+    }
+  }
+  
+  // Copy the current frame into the scratch canvas
+  snapshotFrame(width, height) {
+    if (!this.mirrorCanvas) {
+      this.mirrorCanvas = typeof OffscreenCanvas !== 'undefined'
+        ? new OffscreenCanvas(width, height)
+        : document.createElement('canvas');
+    }
+    
+    if (this.mirrorCanvas.width !== width || this.mirrorCanvas.height !== height) {
+      this.mirrorCanvas.width = width;
+      this.mirrorCanvas.height = height;
+    }
+    
+    const mirrorCtx = this.mirrorCanvas.getContext('2d');
+    mirrorCtx.clearRect(0, 0, width, height);
+    mirrorCtx.drawImage(this.canvas, 0, 0);
+    
+    return this.mirrorCanvas;
+  }
+  
+  // Draw the left (or top) half flipped over the right (or bottom) half
+  reflectHalf(width, height, horizontal) {
+    const frame = this.snapshotFrame(width, height);
+    const halfWidth = horizontal ? Math.floor(width / 2) : width;
+    const halfHeight = horizontal ? height : Math.floor(height / 2);
+    
+    this.ctx.save();
+    if (horizontal) {
+      this.ctx.translate(width, 0);
+      this.ctx.scale(-1, 1);
+    } else {
+      this.ctx.translate(0, height);
+      this.ctx.scale(1, -1);
+    }
+    this.ctx.drawImage(frame, 0, 0, halfWidth, halfHeight, 0, 0, halfWidth, halfHeight);
+    this.ctx.restore();
+  }
+  
+  // Blend the frame 50/50 with its mirror image
+  averageWithMirror(width, height, horizontal) {
+    const frame = this.snapshotFrame(width, height);
+    
+    this.ctx.save();
+    this.ctx.globalAlpha = 0.5;
+    if (horizontal) {
+      this.ctx.translate(width, 0);
+      this.ctx.scale(-1, 1);
+    } else {
+      this.ctx.translate(0, height);
+      this.ctx.scale(1, -1);
+    }
+    this.ctx.drawImage(frame, 0, 0);
+    this.ctx.restore();
+  }
+  
+  // Original per-pixel horizontal average, kept as the benchmark baseline
+  applyMirrorEffectPixels(width, height) {
+    const imageData = this.ctx.getImageData(0, 0, width, height);
+    const data = imageData.data;
+    
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width / 2; x++) {
+        const leftIndex = (y * width + x) * 4;
+        const rightIndex = (y * width + (width - 1 - x)) * 4;
+        
+        data[leftIndex] = data[rightIndex] = Math.floor((data[leftIndex] + data[rightIndex]) / 2);
+        data[leftIndex + 1] = data[rightIndex + 1] = Math.floor((data[leftIndex + 1] + data[rightIndex + 1]) / 2);
+        data[leftIndex + 2] = data[rightIndex + 2] = Math.floor((data[leftIndex + 2] + data[rightIndex + 2]) / 2);
+      }
+    }
+    
+    this.ctx.putImageData(imageData, 0, 0);
+  }
+  
+  // Compare mirror frame times at 1080p and 4K; bench/mirror.html runs it and
+  // shows the results, or from the browser console:
+  // console.table(BacklightVisualizer.benchmarkMirror())
+  static benchmarkMirror(frames = 30) {
+    const sizes = [['1080p', 1920, 1080], ['4K', 3840, 2160]];
+    const variants = [{ name: 'per-pixel (old)', pixels: true }];
+    ['horizontal', 'vertical', 'quad'].forEach(mirrorAxis => {
+      ['average', 'reflect'].forEach(mirrorBlend => {
+        variants.push({ name: `${mirrorAxis} / ${mirrorBlend}`, mirrorAxis, mirrorBlend });
+      });
+    });
+    
+    const results = [];
+    
+    sizes.forEach(([label, width, height]) => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const visualizer = new BacklightVisualizer(canvas, null, {});
+      
+      // Busy test content so blending has real work to do
+      const fill = visualizer.ctx.createLinearGradient(0, 0, width, height);
+      fill.addColorStop(0, '#FF0040');
+      fill.addColorStop(0.5, '#00EEFF');
+      fill.addColorStop(1, '#FFD700');
+      
+      variants.forEach(variant => {
+        Object.assign(visualizer.options, variant);
+        const times = [];
+        
+        for (let i = 0; i < frames + 3; i++) {
+          visualizer.ctx.fillStyle = fill;
+          visualizer.ctx.fillRect(0, 0, width, height);
+          
+          const start = performance.now();
+          if (variant.pixels) {
+            visualizer.applyMirrorEffectPixels(width, height);
+          } else {
+            visualizer.applyMirrorEffect(width, height);
+          }
+          // Reading a pixel waits for the GPU to finish the frame
+          visualizer.ctx.getImageData(0, 0, 1, 1);
+          
+          // The first few frames warm up caches and shaders
+          if (i >= 3) times.push(performance.now() - start);
         }
+        
+        results.push({
+          resolution: label,
+          mode: variant.name,
+          averageMs: +(times.reduce((sum, time) => sum + time, 0) / times.length).toFixed(2),
+          worstMs: +Math.max(...times).toFixed(2)
+        });
+      });
+    });
+    
+    return results;
+  }
+}
+
+// LED colors over time, captured alongside a recording so playback can drive
+// the lights exactly instead of detecting colors from the video
+// Formats: 'jsonl' (one JSON object per frame), 'csv' (one hex color per zone)
+// and 'prismatik' (Prismatik API setcolor commands in strip order).
+class BacklightTimeline {
+  constructor(layout = new BacklightLayout()) {
+    this.layout = layout instanceof BacklightLayout ? layout : new BacklightLayout(layout);
+    this.edges = ['top', 'right', 'bottom', 'left'];
+    
+    // Frame times in seconds, and each frame's zone colors packed edge by edge
+    this.times = [];
+    this.frames = [];
+  }
+  
+  // Length in seconds
+  get duration() {
+    return this.times.length ? this.times[this.times.length - 1] : 0;
+  }
+  
+  // Add the zone colors at a time in seconds; frames identical to the last are skipped
+  addFrame(time, zones) {
+    const frame = new Uint8Array(this.layout.getLedCount() * 3);
+    let offset = 0;
+    
+    this.edges.forEach(edge => {
+      for (let i = 0; i < this.layout.counts[edge]; i++) {
+        const color = (zones[edge] && zones[edge][i]) || [0, 0, 0];
+        frame[offset++] = color[0];
+        frame[offset++] = color[1];
+        frame[offset++] = color[2];
+      }
+    });
+    
+    const last = this.frames[this.frames.length - 1];
+    if (last && last.every((value, i) => value === frame[i])) return false;
+    
+    this.times.push(time);
+    this.frames.push(frame);
+    return true;
+  }
+  
+  // Index of the frame showing at a time (the last one at or before it)
+  getFrameIndex(time) {
+    let low = 0;
+    let high = this.times.length - 1;
+    if (high < 0 || time < this.times[0]) return -1;
+    
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (this.times[mid] <= time) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    
+    return low;
+  }
+  
+  // Zone colors of a frame
+  getZones(index) {
+    const frame = this.frames[index];
+    const zones = {};
+    let offset = 0;
+    
+    this.edges.forEach(edge => {
+      zones[edge] = Array.from({ length: this.layout.counts[edge] }, () => {
+        const color = [frame[offset], frame[offset + 1], frame[offset + 2]];
+        offset += 3;
+        return color;
+      });
+    });
+    
+    return zones;
+  }
+  
+  // Frame at a time, in the shape output drivers consume (null before the first frame)
+  getFrameAt(time) {
+    const index = this.getFrameIndex(time);
+    if (index < 0) return null;
+    
+    const zones = this.getZones(index);
+    return { zones, leds: this.layout.orderLeds(zones) };
+  }
+  
+  // Header for every format; csv and prismatik carry it as a comment line
+  getHeader() {
+    return { format: 'backlight-timeline', version: 1, layout: this.layout.toJSON() };
+  }
+  
+  // One string per line, so long recordings never become a single huge string
+  serialize(format = 'jsonl') {
+    const lines = [];
+    const time = (t) => t.toFixed(3);
+    
+    if (format === 'jsonl') {
+      lines.push(JSON.stringify(this.getHeader()));
+      this.frames.forEach((_, i) => {
+        lines.push(JSON.stringify({ t: Number(time(this.times[i])), zones: this.getZones(i) }));
+      });
+    } else if (format === 'csv') {
+      const hex = (color) => color.map(c => c.toString(16).padStart(2, '0')).join('');
+      const columns = [];
+      this.edges.forEach(edge => {
+        for (let i = 0; i < this.layout.counts[edge]; i++) columns.push(`${edge}${i}`);
+      });
+      
+      lines.push(`# ${JSON.stringify(this.getHeader())}`);
+      lines.push(['time', ...columns].join(','));
+      this.frames.forEach((_, i) => {
+        const zones = this.getZones(i);
+        lines.push([time(this.times[i]), ...this.edges.flatMap(edge => zones[edge].map(hex))].join(','));
+      });
+    } else if (format === 'prismatik') {
+      lines.push(`# ${JSON.stringify(this.getHeader())}`);
+      this.frames.forEach((_, i) => {
+        const leds = this.layout.orderLeds(this.getZones(i));
+        lines.push(`${time(this.times[i])} setcolor:${leds.map((color, led) => `${led + 1}-${color.join(',')};`).join('')}`);
+      });
+    } else {
+      throw new Error(`Unknown timeline format: ${format}`);
+    }
+    
+    return lines.map(line => `${line}\n`);
+  }
+  
+  // File contents for download
+  toBlob(format = 'jsonl') {
+    const types = { jsonl: 'application/x-ndjson', csv: 'text/csv', prismatik: 'text/plain' };
+    return new Blob(this.serialize(format), { type: types[format] });
+  }
+  
+  // Read any of the formats back; the format is detected from the contents
+  static parse(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    if (!lines.length) throw new Error('Empty timeline');
+    
+    const headerLine = lines[0].replace(/^#\s*/, '');
+    let header;
+    try {
+      header = JSON.parse(headerLine);
+    } catch (error) {
+      header = null;
+    }
+    if (!header || header.format !== 'backlight-timeline') {
+      throw new Error('Not a backlight timeline file');
+    }
+    
+    const timeline = new BacklightTimeline(header.layout);
+    const rows = lines.slice(1);
+    
+    if (!lines[0].startsWith('#')) {
+      // JSON lines
+      rows.forEach(row => {
+        const frame = JSON.parse(row);
+        timeline.addFrame(frame.t, frame.zones);
+      });
+    } else if (rows[0] && rows[0].startsWith('time,')) {
+      // CSV: columns are named edge + index
+      const columns = rows[0].split(',').slice(1).map(name => {
+        const [, edge, index] = name.match(/^([a-z]+)(\d+)$/);
+        return { edge, index: parseInt(index, 10) };
+      });
+      
+      rows.slice(1).forEach(row => {
+        const values = row.split(',');
+        const zones = { top: [], right: [], bottom: [], left: [] };
+        columns.forEach(({ edge, index }, i) => {
+          const value = parseInt(values[i + 1], 16);
+          zones[edge][index] = [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+        });
+        timeline.addFrame(parseFloat(values[0]), zones);
+      });
+    } else {
+      // Prismatik: LED numbers are 1-based positions on the strip
+      const positions = timeline.getStripPositions();
+      
+      rows.forEach(row => {
+        const [time, command] = row.split(/\s+/);
+        const zones = { top: [], right: [], bottom: [], left: [] };
+        command.replace(/^setcolor:/, '').split(';').filter(Boolean).forEach(entry => {
+          const [led, color] = entry.split('-');
+          const position = positions[parseInt(led, 10) - 1];
+          if (position) {
+            zones[position.edge][position.index] = color.split(',').map(c => parseInt(c, 10));
+          }
+        });
+        timeline.addFrame(parseFloat(time), zones);
+      });
+    }
+    
+    return timeline;
+  }
+  
+  // Edge and zone index of each LED, in strip order
+  getStripPositions() {
+    const tagged = {};
+    this.edges.forEach(edge => {
+      tagged[edge] = Array.from({ length: this.layout.counts[edge] }, (_, index) => ({ edge, index }));
+    });
+    
+    return this.layout.orderLeds(tagged);
+  }
+}
+
+// Plays a timeline to the connected devices in sync with a video element
+class BacklightTimelinePlayer {
+  constructor(backlightSystem, timeline = null) {
+    this.backlightSystem = backlightSystem;
+    this.timeline = timeline;
+    this.video = null;
+    this.frameIndex = -1;
+    this.frameRequest = null;
+    this.listeners = {};
+    
+    // Seconds to shift the lights by (positive shows them later)
+    this.offset = 0;
+  }
+  
+  // Load a timeline from a File, Blob or string
+  load(source) {
+    const read = typeof source === 'string' ? Promise.resolve(source) : source.text();
+    
+    return read.then(text => {
+      this.timeline = BacklightTimeline.parse(text);
+      this.frameIndex = -1;
+      
+      const ledCount = this.backlightSystem.layout.getLedCount();
+      if (this.timeline.layout.getLedCount() !== ledCount) {
+        console.warn(`Timeline has ${this.timeline.layout.getLedCount()} LEDs but the current layout has ${ledCount}`);
       }
+      
+      return this.timeline;
+    });
+  }
+  
+  // Follow a video element: play, pause and seek drive the lights
+  attach(video) {
+    this.detach();
+    this.video = video;
+    
+    this.listeners = {
+      play: () => this.start(),
+      pause: () => this.stop(),
+      ended: () => this.stop(),
+      seeked: () => this.update()
+    };
+    Object.entries(this.listeners).forEach(([event, listener]) => video.addEventListener(event, listener));
+    
+    if (!video.paused) {
+      this.start();
     }
   }
   
-  // Draw emphasis around the edges for LED detection
-  drawEdgeEmphasis(frequencyData, width, height) {
-    // Draw border strips that will create color bands at the edges
-    // Top edge
-    const topGradient = this.ctx.createLinearGradient(0, 0, width, 0);
-    for (let i = 0; i < this.edgePoints.top.length; i++) {
-      const point = this.edgePoints.top[i];
-      const startPos = point.x / width;
-      const endPos = (point.x + point.width) / width;
-      const midPos = (startPos + endPos) / 2;
-      
-      const color = `rgb(${point.color[0]}, ${point.color[1]}, ${point.color[2]})`;
-      
-      topGradient.addColorStop(Math.max(0, midPos - 0.1), 'transparent');
-      topGradient.addColorStop(midPos, color);
-      topGradient.addColorStop(Math.min(1, midPos + 0.1), 'transparent');
+  // Stop following the video and hand the lights back to sampling
+  detach() {
+    this.stop();
+    
+    if (this.video) {
+      Object.entries(this.listeners).forEach(([event, listener]) => this.video.removeEventListener(event, listener));
     }
+    this.video = null;
+    this.listeners = {};
+  }
+  
+  // Start streaming; the backlight system stops sending its own frames meanwhile
+  start() {
+    if (!this.timeline || !this.video) return;
     
-    this.ctx.fillStyle = topGradient;
-    this.ctx.fillRect(0, 0, width, height * 0.1);
+    this.backlightSystem.timelinePlayer = this;
+    this.scheduleUpdate();
+  }
+  
+  // Stop streaming
+  stop() {
+    if (this.frameRequest !== null && this.video) {
+      if (this.video.cancelVideoFrameCallback) {
+        this.video.cancelVideoFrameCallback(this.frameRequest);
+      } else {
+        cancelAnimationFrame(this.frameRequest);
+      }
+    }
+    this.frameRequest = null;
     
-    // Bottom edge
-    const bottomGradient = this.ctx.createLinearGradient(0, 0, width, 0);
-    for (let i = 0; i < this.edgePoints.bottom.length; i++) {
-      const point = this.edgePoints.bottom[i];
-      const startPos = point.x / width;
-      const endPos = (point.x + point.width) / width;
-      const midPos = (startPos + endPos) / 2;
-      
-      const color = `rgb(${point.color[0]}, ${point.color[1]}, ${point.color[2]})`;
-      
-      bottomGradient.addColorStop(Math.max(0, midPos - 0.1), 'transparent');
-      bottomGradient.addColorStop(midPos, color);
-      bottomGradient.addColorStop(Math.min(1, midPos + 0.1), 'transparent');
+    if (this.backlightSystem.timelinePlayer === this) {
+      this.backlightSystem.timelinePlayer = null;
     }
+  }
+  
+  // Update on every presented video frame where supported, otherwise every animation frame
+  scheduleUpdate() {
+    const tick = (now, metadata) => {
+      this.update(metadata && metadata.mediaTime);
+      this.scheduleUpdate();
+    };
+    
+    this.frameRequest = this.video.requestVideoFrameCallback
+      ? this.video.requestVideoFrameCallback(tick)
+      : requestAnimationFrame(tick);
+  }
+  
+  // Send the frame for the video's current position if it changed
+  update(mediaTime = this.video.currentTime) {
+    if (!this.timeline || !this.video) return;
+    
+    // Read ahead far enough for the slowest device; faster ones are held back
+    const lead = this.backlightSystem.getMaxLatency();
+    const index = this.timeline.getFrameIndex(mediaTime - this.offset + lead / 1000);
+    if (index === this.frameIndex || index < 0) return;
+    
+    this.frameIndex = index;
+    const zones = this.timeline.getZones(index);
+    
+    // Keep the system's zones current so previews and edge emphasis match the lights
+    Object.keys(zones).forEach(edge => {
+      if (this.backlightSystem.edgeZones[edge] && this.backlightSystem.edgeZones[edge].length === zones[edge].length) {
+        this.backlightSystem.edgeZones[edge] = zones[edge];
+      }
+    });
     
-    this.ctx.fillStyle = bottomGradient;
-    this.ctx.fillRect(0, height * 0.9, width, height * 0.1);
+    this.backlightSystem.sendColorDataToConnectedSystems({
+      zones,
+      leds: this.timeline.layout.orderLeds(zones)
+    }, lead);
+  }
+}
+
+// IndexedDB storage for recording chunks, so a crash or closed tab does not
+// lose a recording; interrupted ones can be rebuilt on the next launch
+class BacklightRecordingStore {
+  constructor(name = 'backlightRecordings') {
+    this.name = name;
+    this.db = null;
+  }
+  
+  // Open (and create on first use) the database
+  open() {
+    if (this.db) return Promise.resolve(this.db);
     
-    // Left edge
-    const leftGradient = this.ctx.createLinearGradient(0, 0, 0, height);
-    for (let i = 0; i < this.edgePoints.left.length; i++) {
-      const point = this.edgePoints.left[i];
-      const startPos = point.y / height;
-      const endPos = (point.y + point.height) / height;
-      const midPos = (startPos + endPos) / 2;
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.name, 1);
       
-      const color = `rgb(${point.color[0]}, ${point.color[1]}, ${point.color[2]})`;
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('recordings', { keyPath: 'id' });
+        const chunks = db.createObjectStore('chunks', { autoIncrement: true });
+        chunks.createIndex('recordingId', 'recordingId');
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+  
+  // Run work(stores, setResult) in a transaction; resolves with the result once committed
+  transaction(storeNames, mode, work) {
+    return this.open().then(db => new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, mode);
+      const stores = storeNames.map(name => transaction.objectStore(name));
+      let result;
       
-      leftGradient.addColorStop(Math.max(0, midPos - 0.1), 'transparent');
-      leftGradient.addColorStop(midPos, color);
-      leftGradient.addColorStop(Math.min(1, midPos + 0.1), 'transparent');
-    }
-    
-    this.ctx.fillStyle = leftGradient;
-    this.ctx.fillRect(0, 0, width * 0.1, height);
-    
-    // Right edge
-    const rightGradient = this.ctx.createLinearGradient(0, 0, 0, height);
-    for (let i = 0; i < this.edgePoints.right.length; i++) {
-      const point = this.edgePoints.right[i];
-      const startPos = point.y / height;
-      const endPos = (point.y + point.height) / height;
-      const midPos = (startPos + endPos) / 2;
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
       
-      const color = `rgb(${point.color[0]}, ${point.color[1]}, ${point.color[2]})`;
+      work(stores, (value) => {
+        result = value;
+      });
+    }));
+  }
+  
+  // Start a recording entry
+  createRecording(recording) {
+    return this.transaction(['recordings'], 'readwrite', ([recordings]) => {
+      recordings.put({ bytes: 0, duration: 0, ...recording });
+    });
+  }
+  
+  // Merge changes into a recording entry
+  updateRecording(id, changes) {
+    return this.transaction(['recordings'], 'readwrite', ([recordings]) => {
+      const request = recordings.get(id);
+      request.onsuccess = () => {
+        if (request.result) {
+          recordings.put({ ...request.result, ...changes });
+        }
+      };
+    });
+  }
+  
+  // Store one chunk and the recording's progress in the same transaction
+  addChunk(id, index, data, progress = {}) {
+    return this.transaction(['recordings', 'chunks'], 'readwrite', ([recordings, chunks]) => {
+      chunks.add({ recordingId: id, index, data });
       
-      rightGradient.addColorStop(Math.max(0, midPos - 0.1), 'transparent');
-      rightGradient.addColorStop(midPos, color);
-      rightGradient.addColorStop(Math.min(1, midPos + 0.1), 'transparent');
-    }
-    
-    this.ctx.fillStyle = rightGradient;
-    this.ctx.fillRect(width * 0.9, 0, width * 0.1, height);
+      const request = recordings.get(id);
+      request.onsuccess = () => {
+        if (request.result) {
+          recordings.put({ ...request.result, ...progress });
+        }
+      };
+    });
   }
   
-  // Apply mirror effect for symmetric backlighting
-  applyMirrorEffect(width, height) {
-    // Create a mirror effect to ensure the left and right sides
-    // have similar colors for more balanced ambient lighting
-    
-    // Get the canvas data
-    const imageData = this.ctx.getImageData(0, 0, width, height);
-    const data = imageData.data;
-    
-    // Mirror the pixels
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width / 2; x++) {
-        const leftIndex = (y * width + x) * 4;
-        const rightIndex = (y * width + (width - 1 - x)) * 4;
-        
-        // Average the colors between left and right
-        data[leftIndex] = data[rightIndex] = Math.floor((data[leftIndex] + data[rightIndex]) / 2);
-        data[leftIndex + 1] = data[rightIndex + 1] = Math.floor((data[leftIndex + 1] + data[rightIndex + 1]) / 2);
-        data[leftIndex + 2] = data[rightIndex + 2] = Math.floor((data[leftIndex + 2] + data[rightIndex + 2]) / 2);
-      }
-    }
-    
-    // Put the modified image data back
-    this.ctx.putImageData(imageData, 0, 0);
+  // All recording entries, newest first
+  listRecordings() {
+    return this.transaction(['recordings'], 'readonly', ([recordings], setResult) => {
+      const request = recordings.getAll();
+      request.onsuccess = () => setResult(request.result.sort((a, b) => b.startedAt - a.startedAt));
+    });
+  }
+  
+  // Rebuild a recording from its chunks
+  getBlob(id) {
+    return this.transaction(['recordings', 'chunks'], 'readonly', ([recordings, chunks], setResult) => {
+      const recordingRequest = recordings.get(id);
+      const chunksRequest = chunks.index('recordingId').getAll(id);
+      
+      chunksRequest.onsuccess = () => {
+        const recording = recordingRequest.result || {};
+        const parts = chunksRequest.result.sort((a, b) => a.index - b.index).map(chunk => chunk.data);
+        setResult(new Blob(parts, { type: recording.mimeType || 'video/webm' }));
+      };
+    });
+  }
+  
+  // Remove a recording and its chunks
+  deleteRecording(id) {
+    return this.transaction(['recordings', 'chunks'], 'readwrite', ([recordings, chunks]) => {
+      recordings.delete(id);
+      
+      const request = chunks.index('recordingId').openKeyCursor(IDBKeyRange.only(id));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          chunks.delete(cursor.primaryKey);
+          cursor.continue();
+        }
+      };
+    });
   }
 }
 
+// Recordings still in progress on this page, so they are not offered for recovery
+const backlightActiveRecordings = new Set();
+
 // A class to optimize recording for backlighting systems
 class BacklightRecordingOptimizer {
-  constructor(visualizer) {
+  constructor(visualizer, options = {}) {
     this.visualizer = visualizer;
     this.isEnabled = false;
     this.originalSettings = null;
     this.recorder = null;
-    this.recordedChunks = [];
+    
+    // Defaults follow getRecordingRecommendations(): 10 Mbps and 30 fps at least
+    this.options = {
+      codec: 'auto', // 'auto', 'vp9', 'vp8', 'h264', 'av1'
+      fps: 60,
+      videoBitsPerSecond: 12000000,
+      audioBitsPerSecond: 192000,
+      timeslice: 1000, // ms between data chunks (and progress updates)
+      storage: 'indexeddb', // 'indexeddb' (crash-safe) or 'memory'; a fileHandle option writes to disk
+      maxDuration: 0, // Seconds of recording before stopping automatically (0 = no limit)
+      maxBytes: 0, // Size before stopping automatically (0 = no limit)
+      backlightSystem: null, // Records an LED color timeline alongside the video
+      timelineFps: 30,
+      ...options
+    };
+    
+    // Called with { elapsed, bytes, bitrate, mimeType, paused } while recording
+    this.onProgress = null;
+    
+    // Called with (reason, blob) when a duration or size limit stops the recording
+    this.onLimitReached = null;
+    
+    // Chunk storage and recovery of interrupted recordings
+    this.store = new BacklightRecordingStore();
+    this.sink = null;
+    this.writeQueue = Promise.resolve();
+    this.recordingId = null;
+    this.limits = {};
+    this.limitReached = null;
+    
+    // Markers ({ time, label }) and paused time for the current recording
+    this.markers = [];
+    this.pausedTime = 0;
+    this.pauseStart = 0;
+    
+    // LED colors captured during the last recording, see saveTimeline()
+    this.timeline = null;
+    this.timelineTimer = null;
+    
+    // Recording state
+    this.stream = null;
+    this.audioDestination = null;
+    this.audioSource = null;
+    this.mimeType = '';
+    this.startTime = 0;
+    this.recordedBytes = 0;
+  }
+  
+  // MediaRecorder types to try for each codec, best first
+  static get codecCandidates() {
+    return {
+      vp9: ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp9'],
+      h264: ['video/mp4;codecs=avc1.640028,mp4a.40.2', 'video/mp4;codecs=avc1', 'video/webm;codecs=h264,opus', 'video/webm;codecs=h264'],
+      av1: ['video/webm;codecs=av01.0.08M.08,opus', 'video/webm;codecs=av1,opus', 'video/mp4;codecs=av01.0.08M.08'],
+      vp8: ['video/webm;codecs=vp8,opus', 'video/webm;codecs=vp8']
+    };
+  }
+  
+  // First supported MIME type for a codec ('auto' tries VP9, H.264, AV1, then VP8)
+  static negotiateMimeType(codec = 'auto') {
+    if (typeof MediaRecorder === 'undefined') return null;
+    
+    const candidates = BacklightRecordingOptimizer.codecCandidates;
+    const order = codec === 'auto' ? ['vp9', 'h264', 'av1', 'vp8'] : [codec, 'vp9', 'h264', 'vp8'];
+    
+    for (const name of order) {
+      const supported = (candidates[name] || []).find(type => MediaRecorder.isTypeSupported(type));
+      if (supported) return supported;
+    }
+    return null;
+  }
+  
+  // Whether this browser can record a codec at all
+  static isCodecSupported(codec) {
+    if (typeof MediaRecorder === 'undefined') return false;
+    return (BacklightRecordingOptimizer.codecCandidates[codec] || []).some(type => MediaRecorder.isTypeSupported(type));
   }
   
   // Enable recording optimization
@@ -713,43 +3169,241 @@ class BacklightRecordingOptimizer {
   }
   
   // Start recording
-  startRecording(canvas, audioContext) {
+  // audioContext: the context the track plays through; options may override
+  // codec, fps and bitrates, and name the node to record (audioNode)
+  startRecording(canvas, audioContext, options = {}) {
     if (!canvas) return false;
     
+    const settings = { ...this.options, ...options };
+    const fps = Math.max(30, settings.fps);
+    const videoBitsPerSecond = Math.max(10000000, settings.videoBitsPerSecond);
+    
     // Enable optimization
     this.enable();
     
     // Create a media stream from the canvas
-    const stream = canvas.captureStream(60); // 60 FPS for smooth recording
-    
-    // Add audio track if audio context is provided
-    if (audioContext && audioContext.destination.stream) {
-      const audioTracks = audioContext.destination.stream.getAudioTracks();
-      audioTracks.forEach(track => {
-        stream.addTrack(track);
+    this.stream = canvas.captureStream(fps);
+    
+    // AudioDestinationNode has no stream; tap the audio into a
+    // MediaStreamAudioDestinationNode alongside the speakers
+    const audioNode = settings.audioNode || (this.visualizer && (this.visualizer.gainNode || this.visualizer.sourceNode));
+    if (audioContext && audioNode) {
+      this.audioDestination = audioContext.createMediaStreamDestination();
+      this.audioSource = audioNode;
+      audioNode.connect(this.audioDestination);
+      
+      this.audioDestination.stream.getAudioTracks().forEach(track => {
+        this.stream.addTrack(track);
       });
+    } else {
+      console.warn('No audio node to record; the recording will be silent');
     }
     
-    // Set up media recorder with high bitrate for better color reproduction
-    this.recorder = new MediaRecorder(stream, {
-      mimeType: 'video/webm;codecs=vp9',
-      videoBitsPerSecond: 8000000 // 8 Mbps for good color quality
-    });
+    // Pick the best codec this browser can record
+    this.mimeType = BacklightRecordingOptimizer.negotiateMimeType(settings.codec) || '';
+    const recorderOptions = {
+      videoBitsPerSecond,
+      audioBitsPerSecond: settings.audioBitsPerSecond
+    };
+    if (this.mimeType) {
+      recorderOptions.mimeType = this.mimeType;
+    }
+    
+    this.recorder = new MediaRecorder(this.stream, recorderOptions);
+    this.mimeType = this.recorder.mimeType || this.mimeType || 'video/webm';
+    
+    // Reset per-recording state
+    this.recordedBytes = 0;
+    this.markers = [];
+    this.pausedTime = 0;
+    this.pauseStart = 0;
+    this.limits = { maxDuration: settings.maxDuration, maxBytes: settings.maxBytes };
+    this.limitReached = null;
+    this.writeQueue = Promise.resolve();
+    this.sink = this.createChunkSink(settings);
+    
+    // Capture the LED colors on the recording's clock, for replay with BacklightTimelinePlayer
+    clearInterval(this.timelineTimer);
+    this.timeline = null;
+    if (settings.backlightSystem) {
+      const system = settings.backlightSystem;
+      this.timeline = new BacklightTimeline(system.layout);
+      const capture = () => {
+        if (!this.pauseStart) {
+          this.timeline.addFrame(this.getProgress().elapsed, system.edgeZones);
+        }
+      };
+      capture();
+      this.timelineTimer = setInterval(capture, 1000 / settings.timelineFps);
+    }
     
-    // Handle data
-    this.recordedChunks = [];
+    // Chunks go straight to storage instead of piling up in memory
     this.recorder.ondataavailable = (event) => {
       if (event.data.size > 0) {
-        this.recordedChunks.push(event.data);
+        const data = event.data;
+        this.recordedBytes += data.size;
+        
+        this.writeQueue = this.writeQueue
+          .then(() => this.sink.write(data))
+          .catch(error => console.error('Error saving recording chunk:', error));
+        
+        this.reportProgress();
+        this.checkLimits();
       }
     };
     
-    // Start recording
-    this.recorder.start();
+    // Start recording; chunks arrive every timeslice so they are saved as we go
+    this.startTime = performance.now();
+    this.recorder.start(settings.timeslice);
+    
+    console.log(`Recording ${this.mimeType} at ${fps} fps, ${Math.round(videoBitsPerSecond / 1000000)} Mbps`);
+    return true;
+  }
+  
+  // Where recorded chunks go: IndexedDB (recoverable after a crash), a file
+  // picked with the File System Access API (streamed to disk, but the browser
+  // only commits it on close), or memory. Each sink has write/finish/abort.
+  createChunkSink(settings) {
+    const type = this.mimeType.split(';')[0];
+    this.recordingId = null;
+    
+    if (settings.fileHandle) {
+      const ready = settings.fileHandle.createWritable();
+      return {
+        write: (data) => ready.then(writable => writable.write(data)),
+        finish: () => ready.then(writable => writable.close()).then(() => settings.fileHandle.getFile()),
+        abort: () => ready.then(writable => writable.abort())
+      };
+    }
+    
+    if (settings.storage === 'indexeddb' && typeof indexedDB !== 'undefined') {
+      const id = `recording-${Date.now()}`;
+      let index = 0;
+      this.recordingId = id;
+      backlightActiveRecordings.add(id);
+      
+      const created = this.store.createRecording({
+        id,
+        mimeType: type,
+        startedAt: Date.now(),
+        status: 'recording',
+        markers: []
+      });
+      
+      return {
+        write: (data) => created.then(() => {
+          const { elapsed, bytes } = this.getProgress();
+          return this.store.addChunk(id, index++, data, { duration: elapsed, bytes });
+        }),
+        // Blobs read back from IndexedDB stay valid after the entries are deleted
+        finish: () => created
+          .then(() => this.store.getBlob(id))
+          .then(blob => this.store.deleteRecording(id).then(() => blob)),
+        abort: () => created.then(() => this.store.deleteRecording(id))
+      };
+    }
+    
+    const chunks = [];
+    return {
+      write: (data) => {
+        chunks.push(data);
+        return Promise.resolve();
+      },
+      finish: () => Promise.resolve(new Blob(chunks, { type })),
+      abort: () => Promise.resolve()
+    };
+  }
+  
+  // Pause recording; paused time does not count toward the duration
+  pauseRecording() {
+    if (!this.recorder || this.recorder.state !== 'recording') return false;
     
+    this.recorder.pause();
+    this.pauseStart = performance.now();
+    this.reportProgress();
+    return true;
+  }
+  
+  // Resume a paused recording
+  resumeRecording() {
+    if (!this.recorder || this.recorder.state !== 'paused') return false;
+    
+    this.pausedTime += performance.now() - this.pauseStart;
+    this.pauseStart = 0;
+    this.recorder.resume();
+    this.reportProgress();
     return true;
   }
   
+  // Mark the current position (e.g. a drop or scene change)
+  addMarker(label = '') {
+    if (!this.recorder) return null;
+    
+    const marker = { time: this.getProgress().elapsed, label };
+    this.markers.push(marker);
+    
+    if (this.recordingId) {
+      this.store.updateRecording(this.recordingId, { markers: this.markers })
+        .catch(error => console.error('Error saving recording marker:', error));
+    }
+    
+    return marker;
+  }
+  
+  // Stop once the duration or size limit is reached
+  checkLimits() {
+    if (this.limitReached) return;
+    
+    const { elapsed, bytes } = this.getProgress();
+    let reason = null;
+    if (this.limits.maxDuration && elapsed >= this.limits.maxDuration) {
+      reason = 'duration';
+    } else if (this.limits.maxBytes && bytes >= this.limits.maxBytes) {
+      reason = 'size';
+    }
+    if (!reason) return;
+    
+    this.limitReached = reason;
+    console.log(`Recording stopped: ${reason} limit reached`);
+    
+    this.stopRecording().then(blob => {
+      if (this.onLimitReached) {
+        this.onLimitReached(reason, blob);
+      }
+    }).catch(error => {
+      // The recorder is already stopped; drop the sink so a new recording can
+      // start. Chunks already in IndexedDB stay there and show up as an
+      // interrupted recording that can still be recovered.
+      console.error('Error finishing recording after the limit was reached:', error);
+      backlightActiveRecordings.delete(this.recordingId);
+      this.sink = null;
+      this.recordingId = null;
+      this.reportProgress();
+    });
+  }
+  
+  // Elapsed recording time (without pauses), size so far and the average bitrate
+  getProgress() {
+    const now = performance.now();
+    const paused = this.pausedTime + (this.pauseStart ? now - this.pauseStart : 0);
+    const elapsed = this.startTime ? (now - this.startTime - paused) / 1000 : 0;
+    
+    return {
+      elapsed,
+      bytes: this.recordedBytes,
+      bitrate: elapsed > 0 ? Math.round((this.recordedBytes * 8) / elapsed) : 0,
+      mimeType: this.mimeType,
+      paused: Boolean(this.pauseStart)
+    };
+  }
+  
+  // Pass progress to the onProgress callback
+  reportProgress() {
+    if (this.onProgress) {
+      this.onProgress(this.getProgress());
+    }
+  }
+  
   // Stop recording
   stopRecording() {
     return new Promise((resolve, reject) => {
@@ -762,20 +3416,308 @@ class BacklightRecordingOptimizer {
         // Disable optimization
         this.disable();
         
-        // Create a blob from the recorded chunks
-        const blob = new Blob(this.recordedChunks, {
-          type: 'video/webm'
-        });
+        clearInterval(this.timelineTimer);
+        this.timelineTimer = null;
+        
+        // Release the audio tap and the canvas stream
+        if (this.audioSource && this.audioDestination) {
+          this.audioSource.disconnect(this.audioDestination);
+        }
+        this.stream.getTracks().forEach(track => track.stop());
+        this.audioSource = null;
+        this.audioDestination = null;
+        this.stream = null;
+        this.recorder = null;
+        
+        // Wait for the last chunks to be stored, then assemble the recording.
+        // The recorder is gone either way, so a failed assembly clears the
+        // recording too; chunks kept in IndexedDB can then be recovered.
+        const done = () => {
+          backlightActiveRecordings.delete(this.recordingId);
+          this.sink = null;
+          this.recordingId = null;
+          this.reportProgress();
+        };
         
-        resolve(blob);
+        this.writeQueue
+          .then(() => this.sink.finish())
+          .then(blob => {
+            done();
+            resolve(blob);
+          }, error => {
+            done();
+            reject(error);
+          });
       };
       
+      // A paused recorder still delivers its data on stop
       this.recorder.stop();
     });
   }
   
+  // Recordings a crash or closed tab left behind, newest first
+  findInterruptedRecordings() {
+    if (typeof indexedDB === 'undefined') return Promise.resolve([]);
+    
+    return this.store.listRecordings()
+      .then(recordings => recordings.filter(recording => recording.status === 'recording' && !backlightActiveRecordings.has(recording.id)));
+  }
+  
+  // Rebuild an interrupted recording from its stored chunks
+  recoverRecording(id) {
+    return this.store.getBlob(id);
+  }
+  
+  // Throw away an interrupted recording
+  discardRecording(id) {
+    return this.store.deleteRecording(id);
+  }
+  
+  // Render a track to video offline, frame by frame, faster than real time
+  // The audio is decoded and analysed in an OfflineAudioContext, each frame is
+  // drawn by a BacklightVisualizer at an exact timestamp, and WebCodecs encodes
+  // video and audio into WebM (webm-muxer, WebMMuxer global) or MP4 (mp4-muxer,
+  // Mp4Muxer global). audioFile may be a File, Blob or ArrayBuffer.
+  exportOffline(audioFile, canvas, options = {}) {
+    const settings = {
+      format: 'webm', // 'webm' or 'mp4'
+      fps: this.options.fps,
+      videoBitsPerSecond: Math.max(10000000, this.options.videoBitsPerSecond),
+      audioBitsPerSecond: this.options.audioBitsPerSecond,
+      sampleRate: 48000,
+      visualizerOptions: {},
+      onProgress: null, // Called with { frame, totalFrames, progress }
+      ...options
+    };
+    
+    const Muxer = settings.format === 'mp4' ? window.Mp4Muxer : window.WebMMuxer;
+    if (typeof VideoEncoder === 'undefined' || typeof AudioEncoder === 'undefined') {
+      return Promise.reject(new Error('Offline export needs WebCodecs (VideoEncoder/AudioEncoder)'));
+    }
+    if (!Muxer) {
+      return Promise.reject(new Error(`Offline export to ${settings.format} needs ${settings.format === 'mp4' ? 'mp4-muxer (Mp4Muxer)' : 'webm-muxer (WebMMuxer)'} loaded`));
+    }
+    
+    const codecs = settings.format === 'mp4'
+      ? { video: 'avc1.640033', muxVideo: 'avc', audio: 'mp4a.40.2', muxAudio: 'aac' }
+      : { video: 'vp09.00.41.08', muxVideo: 'V_VP9', audio: 'opus', muxAudio: 'A_OPUS' };
+    
+    const videoConfig = {
+      codec: codecs.video,
+      width: canvas.width,
+      height: canvas.height,
+      bitrate: settings.videoBitsPerSecond,
+      framerate: settings.fps
+    };
+    
+    // Same setting swap as live recording
+    this.enable();
+    
+    let audioBuffer = null;
+    
+    return this.decodeAudioFile(audioFile, settings.sampleRate)
+      .then(buffer => {
+        audioBuffer = buffer;
+        return VideoEncoder.isConfigSupported(videoConfig);
+      })
+      .then(support => {
+        if (!support.supported) {
+          throw new Error(`This browser cannot encode ${codecs.video} at ${canvas.width}x${canvas.height}`);
+        }
+        
+        const audioConfig = {
+          codec: codecs.audio,
+          sampleRate: audioBuffer.sampleRate,
+          numberOfChannels: audioBuffer.numberOfChannels,
+          bitrate: settings.audioBitsPerSecond
+        };
+        
+        // Audio is encoded up front so it can be interleaved with video as frames arrive
+        return this.encodeAudioBuffer(audioBuffer, audioConfig);
+      })
+      .then(audioChunks => {
+        const target = new Muxer.ArrayBufferTarget();
+        const muxer = new Muxer.Muxer({
+          target,
+          video: { codec: codecs.muxVideo, width: canvas.width, height: canvas.height, frameRate: settings.fps },
+          audio: { codec: codecs.muxAudio, sampleRate: audioBuffer.sampleRate, numberOfChannels: audioBuffer.numberOfChannels },
+          ...(settings.format === 'mp4' ? { fastStart: 'in-memory' } : {})
+        });
+        
+        // Hand the muxer all audio up to the timestamp of each video chunk
+        let audioIndex = 0;
+        const addAudioUntil = (timestamp) => {
+          while (audioIndex < audioChunks.length && audioChunks[audioIndex].chunk.timestamp <= timestamp) {
+            const { chunk, meta } = audioChunks[audioIndex++];
+            muxer.addAudioChunk(chunk, meta);
+          }
+        };
+        
+        return this.renderOfflineVideo(audioBuffer, canvas, videoConfig, settings, (chunk, meta) => {
+          addAudioUntil(chunk.timestamp);
+          muxer.addVideoChunk(chunk, meta);
+        }).then(() => {
+          addAudioUntil(Infinity);
+          muxer.finalize();
+          return new Blob([target.buffer], { type: `video/${settings.format}` });
+        });
+      })
+      .then(blob => {
+        this.disable();
+        return blob;
+      }, error => {
+        this.disable();
+        throw error;
+      });
+  }
+  
+  // Decode an audio file at a fixed sample rate
+  decodeAudioFile(audioFile, sampleRate) {
+    const read = audioFile instanceof ArrayBuffer ? Promise.resolve(audioFile) : audioFile.arrayBuffer();
+    
+    return read.then(data => {
+      const context = new OfflineAudioContext(2, 1, sampleRate);
+      return context.decodeAudioData(data);
+    });
+  }
+  
+  // Encode a whole AudioBuffer; resolves with [{ chunk, meta }] in order
+  encodeAudioBuffer(buffer, config) {
+    const chunks = [];
+    let failure = null;
+    
+    const encoder = new AudioEncoder({
+      output: (chunk, meta) => chunks.push({ chunk, meta }),
+      error: (error) => {
+        failure = error;
+      }
+    });
+    encoder.configure(config);
+    
+    // 100 ms blocks of planar float samples
+    const blockSize = Math.round(buffer.sampleRate / 10);
+    for (let offset = 0; offset < buffer.length; offset += blockSize) {
+      const frames = Math.min(blockSize, buffer.length - offset);
+      const data = new Float32Array(frames * buffer.numberOfChannels);
+      
+      for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        data.set(buffer.getChannelData(channel).subarray(offset, offset + frames), channel * frames);
+      }
+      
+      const audioData = new AudioData({
+        format: 'f32-planar',
+        sampleRate: buffer.sampleRate,
+        numberOfFrames: frames,
+        numberOfChannels: buffer.numberOfChannels,
+        timestamp: Math.round((offset / buffer.sampleRate) * 1000000),
+        data
+      });
+      encoder.encode(audioData);
+      audioData.close();
+    }
+    
+    return encoder.flush().then(() => {
+      encoder.close();
+      if (failure) throw failure;
+      return chunks;
+    });
+  }
+  
+  // Step the visualization through the track at a fixed frame rate
+  // An OfflineAudioContext plays the track into an analyser and suspends at
+  // every frame time; the frame is drawn and encoded before rendering resumes.
+  renderOfflineVideo(audioBuffer, canvas, videoConfig, settings, onChunk) {
+    const context = new OfflineAudioContext(audioBuffer.numberOfChannels, audioBuffer.length, audioBuffer.sampleRate);
+    const source = context.createBufferSource();
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 2048;
+    source.buffer = audioBuffer;
+    source.connect(analyser);
+    analyser.connect(context.destination);
+    
+    const frequencyData = new Uint8Array(analyser.frequencyBinCount);
+    const timeData = new Uint8Array(analyser.fftSize);
+    const audioData = {
+      getFrequencyData: () => {
+        analyser.getByteFrequencyData(frequencyData);
+        return frequencyData;
+      },
+      getTimeData: () => {
+        analyser.getByteTimeDomainData(timeData);
+        return timeData;
+      }
+    };
+    
+    // Pick up the optimizer's saturation swap
+    const visualizer = new BacklightVisualizer(canvas, audioData, {
+      colorSaturation: this.visualizer ? this.visualizer.options.colorSaturation : 1.3,
+      ...settings.visualizerOptions
+    });
+    
+    let failure = null;
+    const encoder = new VideoEncoder({
+      output: onChunk,
+      error: (error) => {
+        failure = error;
+      }
+    });
+    encoder.configure(videoConfig);
+    
+    const fps = settings.fps;
+    const totalFrames = Math.ceil(audioBuffer.duration * fps);
+    const frameDuration = Math.round(1000000 / fps);
+    
+    // Wait while the encoder has a backlog so memory stays bounded
+    const drain = () => new Promise(resolve => {
+      const check = () => (encoder.encodeQueueSize > 4 ? setTimeout(check, 0) : resolve());
+      check();
+    });
+    
+    const renderFrame = (frame) => {
+      if (failure) throw failure;
+      
+      visualizer.draw((frame * 1000) / fps);
+      
+      const videoFrame = new VideoFrame(canvas, {
+        timestamp: Math.round((frame * 1000000) / fps),
+        duration: frameDuration
+      });
+      encoder.encode(videoFrame, { keyFrame: frame % (fps * 2) === 0 });
+      videoFrame.close();
+      
+      if (settings.onProgress) {
+        settings.onProgress({ frame: frame + 1, totalFrames, progress: (frame + 1) / totalFrames });
+      }
+    };
+    
+    // Frame 0 is drawn at time 0; each later frame is a suspend point
+    const scheduleFrame = (frame) => {
+      if (frame >= totalFrames) return;
+      
+      context.suspend(frame / fps).then(() => {
+        renderFrame(frame);
+        scheduleFrame(frame + 1);
+        return drain();
+      }).then(() => context.resume(), error => {
+        failure = failure || error;
+        context.resume();
+      });
+    };
+    
+    source.start(0);
+    scheduleFrame(1);
+    renderFrame(0);
+    
+    return context.startRendering()
+      .then(() => encoder.flush())
+      .then(() => {
+        encoder.close();
+        if (failure) throw failure;
+      });
+  }
+  
   // Save recording
-  saveRecording(blob, filename = 'visualization.webm') {
+  saveRecording(blob, filename = `visualization.${blob && blob.type.includes('mp4') ? 'mp4' : 'webm'}`) {
     if (!blob) return false;
     
     // Create a URL for the blob
@@ -795,19 +3737,66 @@ class BacklightRecordingOptimizer {
     
     return true;
   }
+  
+  // Save the LED timeline of the last recording as a sidecar file
+  saveTimeline(format = 'jsonl', filename = `visualization.${format === 'prismatik' ? 'txt' : format}`) {
+    if (!this.timeline) return false;
+    
+    return this.saveRecording(this.timeline.toBlob(format), filename);
+  }
 }
 
 // Usage example:
 /*
+// Load backlight-devices.js before this file. For UDP output (WLED realtime),
+// run the companion bridge alongside the page: node backlight-bridge.js
+
 // Create backlight system
 const backlightSystem = new BacklightSystem(visualizer);
 
+// Add a third-party output by extending BacklightDriver
+class OpenRGBDriver extends BacklightDriver {
+  static get type() { return 'OpenRGB'; }
+  connect() { ... }
+  sendFrame(frame) { ... }
+}
+backlightDrivers.register(OpenRGBDriver);
+
+// Device secrets (Hue keys, Hyperion tokens, Govee API keys) are encrypted at rest;
+// unlock the store before connecting, with the passphrase if one was set
+backlightSystem.credentials.unlock().then(() => backlightSystem.credentials.set('Hyperion:living-room', { token: '...' }));
+
+// Optionally sample and drive devices from a worker (loads both backlight scripts)
+backlightSystem.enableWorker('backlight-worker.js');
+
 // Toggle backlight enhancement
 backlightSystem.toggle(true);
 
 // Set backlight mode
 backlightSystem.setMode('adaptive');
 
+// Or drive the lights from the audio alone ('bass-pulse', 'spectrum-sweep',
+// 'beat-strobe', 'vu-meter'); forward beats from the app's beat detection
+backlightSystem.setAudioReactiveMode('bass-pulse');
+beatDetector.on('beat', () => backlightSystem.onBeat());
+
+// Line devices up with the screen: latency is how far each light lags (measure it
+// with BacklightLatencyMeter); file playback can be delayed so lights run ahead
+backlightSystem.setOutputSettings('WLED:aabbccddeeff', { latency: 80 });
+backlightSystem.enableAudioLookAhead();
+
+// Or light up movies and games: sample a screen share, capture card or video
+// file instead of the visualizer (black bars are cropped)
+const captureSource = new BacklightCaptureSource(backlightSystem);
+captureSource.startScreen(); // or startDevice(deviceId), startFile(file, videoElement)
+
+// Settings dialog with named profiles; the picker switches profiles from the
+// app's menu, and with automatic switching on, profiles follow the loaded track
+const backlightDialog = new BacklightConfigDialog(backlightSystem);
+backlightDialog.init(document.getElementById('backlight-settings-container'));
+mainMenu.appendChild(backlightDialog.createProfileMenu());
+backlightDialog.setTrack({ name: file.name, genre: 'Electronic' });
+
 // In visualization rendering loop
 function render() {
   // Normal visualization rendering...
@@ -818,12 +3807,36 @@ function render() {
   requestAnimationFrame(render);
 }
 
-// For recording
-const recordingOptimizer = new BacklightRecordingOptimizer(visualizer);
+// For recording (codec, fps and bitrate from the backlight dialog); passing the
+// backlight system also captures the LED colors for an exact replay later
+const recordingOptimizer = new BacklightRecordingOptimizer(visualizer, { ...backlightSystem.recordingOptions, backlightSystem });
+recordingOptimizer.onProgress = ({ elapsed, bytes }) => console.log(`${elapsed.toFixed(0)}s, ${(bytes / 1e6).toFixed(1)} MB`);
 recordingOptimizer.startRecording(canvas, audioContext);
 
+// Pause, resume and mark moments while recording
+recordingOptimizer.pauseRecording();
+recordingOptimizer.resumeRecording();
+recordingOptimizer.addMarker('drop');
+
 // Later
 recordingOptimizer.stopRecording().then(blob => {
-  recordingOptimizer.saveRecording(blob, 'backlight-optimized.webm');
+  recordingOptimizer.saveRecording(blob);
+  recordingOptimizer.saveTimeline('jsonl'); // or 'csv', 'prismatik'
 });
+
+// Replay the video with its timeline driving the lights
+const timelinePlayer = new BacklightTimelinePlayer(backlightSystem);
+timelinePlayer.load(timelineFile).then(() => timelinePlayer.attach(videoElement));
+
+// On the next launch, offer to rebuild recordings a crash interrupted
+recordingOptimizer.findInterruptedRecordings().then(recordings => {
+  recordings.forEach(recording => {
+    recordingOptimizer.recoverRecording(recording.id)
+      .then(blob => recordingOptimizer.saveRecording(blob, `recovered-${recording.id}.webm`));
+  });
+});
+
+// Or render a track offline, frame-exact (needs webm-muxer or mp4-muxer loaded)
+recordingOptimizer.exportOffline(audioFile, exportCanvas, { format: 'webm', fps: 60 })
+  .then(blob => recordingOptimizer.saveRecording(blob));
 */
@@ -1,24 +1,607 @@
 // Enhanced Audio Visualizer - TV Backlight Configuration Dialog
 // Allows users to configure how the visualizer interacts with TV LED backlighting systems
 
+// Versioned schema for the saved dialog config
+// Loading migrates older versions, fills in settings added since from the
+// defaults, and replaces or clamps values that do not fit. Every value that had
+// to change is reported as an issue ({ path, message }).
+class BacklightConfigSchema {
+  // Bump when the saved shape changes, and add a migration from the previous version
+  static get version() {
+    return 3;
+  }
+  
+  // Migrations keyed by the version they upgrade from
+  static get migrations() {
+    return {
+      // Configs saved before the schema have no version number; settings added
+      // since then are filled in by validation
+      1: (config) => ({ ...config, version: 2 }),
+      
+      // Version 2 kept secrets (Hyperion tokens and the like) with manually
+      // added devices; they wait in pendingCredentials until the credential
+      // store can take them
+      2: (config) => {
+        const secretFields = BacklightCredentialStore.secretFields;
+        const devices = Array.isArray(config.manualDevices) ? config.manualDevices : [];
+        const pendingCredentials = devices
+          .filter(device => device && typeof device === 'object' && secretFields.some(field => device[field]))
+          .map(device => {
+            const secrets = {};
+            secretFields.filter(field => device[field]).forEach(field => {
+              secrets[field] = device[field];
+            });
+            return { device: { type: device.type, id: device.id }, secrets };
+          });
+        
+        return {
+          ...config,
+          manualDevices: Array.isArray(config.manualDevices) ? BacklightCredentialStore.redact(config.manualDevices) : config.manualDevices,
+          pendingCredentials,
+          version: 3
+        };
+      }
+    };
+  }
+  
+  // Color calibration settings, see BacklightColorPipeline
+  static get calibrationSpec() {
+    const gain = { type: 'number', min: 0, max: 1.5, default: 1 };
+    
+    return {
+      type: 'object',
+      fields: {
+        saturation: { type: 'number', min: 0, max: 2, default: 1 },
+        gamma: { type: 'number', min: 1, max: 3, default: 1 },
+        gain: { type: 'object', fields: { r: gain, g: gain, b: gain } },
+        whitePoint: { type: 'number', min: 2700, max: 10000, integer: true, default: 6500 },
+        minBrightness: { type: 'number', min: 0, max: 128, integer: true, default: 0 },
+        blackLevel: { type: 'number', min: 0, max: 64, integer: true, default: 0 }
+      }
+    };
+  }
+  
+  // LED strip layout, see BacklightLayout
+  static get layoutSpec() {
+    const count = (value) => ({ type: 'number', min: 0, max: 300, integer: true, default: value });
+    
+    return {
+      type: 'object',
+      fields: {
+        name: { type: 'string', default: 'Default' },
+        counts: {
+          type: 'object',
+          fields: { top: count(16), right: count(9), bottom: count(16), left: count(9) }
+        },
+        start: { type: 'enum', values: ['top-left', 'top-right', 'bottom-right', 'bottom-center', 'bottom-left'], default: 'top-left' },
+        direction: { type: 'enum', values: ['clockwise', 'counterclockwise'], default: 'clockwise' },
+        bottomGap: { type: 'number', min: 0, max: 0.6, default: 0 },
+        depth: { type: 'number', min: 0.01, max: 0.25, default: 0.05 }
+      }
+    };
+  }
+  
+  // Output settings per device, see BacklightSystem.defaultOutputSettings
+  static get outputSpec() {
+    const edges = ['top', 'right', 'bottom', 'left'];
+    
+    return {
+      type: 'object',
+      fields: {
+        enabled: { type: 'boolean', default: true },
+        edges: { type: 'array', items: { type: 'enum', values: edges }, unique: true, default: edges },
+        brightness: { type: 'number', min: 0, max: 1, default: 1 },
+        latency: { type: 'number', min: -1000, max: 2000, integer: true, default: 0 }
+      }
+    };
+  }
+  
+  // Automatic switching rules of a profile, see BacklightConfigDialog.setProfileAuto
+  static get profileAutoSpec() {
+    const time = { type: 'string', pattern: /^(([01]\d|2[0-3]):[0-5]\d)?$/, default: '' };
+    const names = { type: 'array', check: item => typeof item === 'string', default: [] };
+    
+    return {
+      type: 'object',
+      fields: { from: time, to: time, genres: names, formats: names }
+    };
+  }
+  
+  // The whole config
+  static get spec() {
+    return {
+      type: 'object',
+      fields: {
+        version: { type: 'number', integer: true, min: 1, default: BacklightConfigSchema.version },
+        enabled: { type: 'boolean', default: true },
+        mode: { type: 'enum', values: ['adaptive', 'direct', 'ambilight'], default: 'adaptive' },
+        edgeEmphasis: { type: 'number', min: 0, max: 1, default: 0.7 },
+        colorSaturation: { type: 'number', min: 0.5, max: 1.5, default: 1.2 },
+        smoothingFactor: { type: 'number', min: 0, max: 1, default: 0.3 },
+        transitionSpeed: { type: 'enum', values: ['slow', 'medium', 'fast'], default: 'medium' },
+        detectDevices: { type: 'boolean', default: true },
+        mirrorMode: { type: 'boolean', default: false },
+        optimizeRecording: { type: 'boolean', default: true },
+        
+        // Devices added by IP address; anything without a type and ID is dropped
+        manualDevices: {
+          type: 'array',
+          check: (device) => Boolean(device) && typeof device === 'object' && typeof device.type === 'string' && device.id !== undefined && device.id !== null,
+          default: []
+        },
+        
+        // Secrets moved out of manualDevices, see migrations; never part of a profile
+        pendingCredentials: {
+          type: 'array',
+          check: (entry) => Boolean(entry) && typeof entry === 'object' && Boolean(entry.device) && typeof entry.device.type === 'string' &&
+            Boolean(entry.secrets) && typeof entry.secrets === 'object',
+          default: []
+        },
+        
+        layout: BacklightConfigSchema.layoutSpec,
+        
+        // Keyed by device, with 'default' for every other device
+        calibration: {
+          type: 'map',
+          values: BacklightConfigSchema.calibrationSpec,
+          default: { default: new BacklightColorPipeline().toJSON() }
+        },
+        
+        // Zones, brightness, latency and enable state keyed by device
+        outputs: { type: 'map', values: BacklightConfigSchema.outputSpec, default: {} },
+        
+        // 'off' samples the visualization
+        audioReactiveMode: { type: 'enum', values: ['off', 'bass-pulse', 'spectrum-sweep', 'beat-strobe', 'vu-meter'], default: 'off' },
+        scene: { type: 'enum', values: ['bars', 'radial', 'waveform', 'gradient', 'mood'], default: 'bars' },
+        mirrorAxis: { type: 'enum', values: ['horizontal', 'vertical', 'quad'], default: 'horizontal' },
+        mirrorBlend: { type: 'enum', values: ['average', 'reflect'], default: 'average' },
+        
+        // Sample and drive devices from a Web Worker
+        useWorker: { type: 'boolean', default: false },
+        
+        // Delay file playback so audio-reactive lights reach slow devices in time
+        audioLookAhead: { type: 'boolean', default: false },
+        
+        // Crop black bars from captured screens and videos
+        captureLetterbox: { type: 'boolean', default: true },
+        
+        recording: {
+          type: 'object',
+          fields: {
+            codec: { type: 'enum', values: ['auto', 'vp9', 'h264', 'av1', 'vp8'], default: 'auto' },
+            fps: { type: 'enum', values: [30, 60], default: 60 },
+            videoBitsPerSecond: { type: 'number', min: 10000000, max: 100000000, integer: true, default: 12000000 },
+            maxDuration: { type: 'number', min: 0, max: 86400, integer: true, default: 0 }
+          }
+        }
+      }
+    };
+  }
+  
+  // Default value for a spec; objects are built from their fields
+  static getDefault(spec) {
+    if (spec.type === 'object' && spec.default === undefined) {
+      const value = {};
+      Object.keys(spec.fields).forEach(key => {
+        value[key] = BacklightConfigSchema.getDefault(spec.fields[key]);
+      });
+      return value;
+    }
+    
+    // Copy so callers can change the result freely
+    return spec.default !== null && typeof spec.default === 'object'
+      ? JSON.parse(JSON.stringify(spec.default))
+      : spec.default;
+  }
+  
+  // A complete config with every setting at its default
+  static getDefaults() {
+    return BacklightConfigSchema.getDefault(BacklightConfigSchema.spec);
+  }
+  
+  // Check one value against its spec, returning the value to use
+  static validateValue(value, spec, path, issues) {
+    const fallback = () => BacklightConfigSchema.getDefault(spec);
+    const report = (message) => issues.push({ path, message });
+    const isObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+    
+    // Settings added since the config was saved are filled in quietly
+    if (value === undefined) return fallback();
+    
+    switch (spec.type) {
+      case 'boolean':
+      case 'string':
+        if (typeof value !== spec.type) {
+          report(`expected a ${spec.type}, got ${JSON.stringify(value)}`);
+          return fallback();
+        }
+        if (spec.pattern && !spec.pattern.test(value)) {
+          report(`${JSON.stringify(value)} is not in the expected format`);
+          return fallback();
+        }
+        return value;
+      
+      case 'number': {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          report(`expected a number, got ${JSON.stringify(value)}`);
+          return fallback();
+        }
+        
+        const rounded = spec.integer ? Math.round(value) : value;
+        const min = spec.min !== undefined ? spec.min : -Infinity;
+        const max = spec.max !== undefined ? spec.max : Infinity;
+        const clamped = Math.min(max, Math.max(min, rounded));
+        if (clamped !== value) {
+          report(`${value} is out of range, using ${clamped}`);
+        }
+        return clamped;
+      }
+      
+      case 'enum':
+        if (!spec.values.includes(value)) {
+          report(`${JSON.stringify(value)} is not one of ${spec.values.join(', ')}`);
+          return fallback();
+        }
+        return value;
+      
+      case 'object': {
+        if (!isObject) {
+          report('expected an object');
+          return fallback();
+        }
+        
+        const result = {};
+        Object.keys(spec.fields).forEach(key => {
+          result[key] = BacklightConfigSchema.validateValue(value[key], spec.fields[key], path ? `${path}.${key}` : key, issues);
+        });
+        Object.keys(value)
+          .filter(key => !(key in spec.fields))
+          .forEach(key => issues.push({ path: path ? `${path}.${key}` : key, message: 'unknown setting, removed' }));
+        return result;
+      }
+      
+      case 'map': {
+        if (!isObject) {
+          report('expected an object');
+          return fallback();
+        }
+        
+        const result = {};
+        Object.keys(value).forEach(key => {
+          result[key] = BacklightConfigSchema.validateValue(value[key], spec.values, `${path}.${key}`, issues);
+        });
+        return result;
+      }
+      
+      case 'array': {
+        if (!Array.isArray(value)) {
+          report('expected a list');
+          return fallback();
+        }
+        
+        const result = [];
+        value.forEach((item, i) => {
+          if (spec.check && !spec.check(item)) {
+            issues.push({ path: `${path}[${i}]`, message: 'invalid entry, removed' });
+            return;
+          }
+          if (spec.items && spec.items.type === 'enum' && !spec.items.values.includes(item)) {
+            issues.push({ path: `${path}[${i}]`, message: `${JSON.stringify(item)} is not one of ${spec.items.values.join(', ')}` });
+            return;
+          }
+          if (spec.unique && result.includes(item)) return;
+          result.push(item);
+        });
+        return result;
+      }
+      
+      default:
+        return value;
+    }
+  }
+  
+  // Upgrade a saved config to the current version
+  static migrate(config, issues) {
+    let version = Number.isInteger(config.version) && config.version >= 1 ? config.version : 1;
+    
+    if (version > BacklightConfigSchema.version) {
+      issues.push({ path: 'version', message: `saved by a newer version (${version}), settings this version does not know are removed` });
+      return { ...config, version: BacklightConfigSchema.version };
+    }
+    
+    let migrated = config;
+    while (version < BacklightConfigSchema.version) {
+      migrated = BacklightConfigSchema.migrations[version](migrated);
+      version++;
+    }
+    return migrated;
+  }
+  
+  // Migrate and validate a saved config; returns { config, issues }
+  static load(saved) {
+    const issues = [];
+    
+    if (saved === null || typeof saved !== 'object' || Array.isArray(saved)) {
+      issues.push({ path: '', message: 'saved config is not an object, using defaults' });
+      return { config: BacklightConfigSchema.getDefaults(), issues };
+    }
+    
+    const migrated = BacklightConfigSchema.migrate(saved, issues);
+    const config = BacklightConfigSchema.validateValue(migrated, BacklightConfigSchema.spec, '', issues);
+    config.version = BacklightConfigSchema.version;
+    
+    return { config, issues };
+  }
+}
+
+// Live preview of the backlight around a virtual TV
+// Sampled zone colors run through the smoothing, edge emphasis and saturation the
+// dialog's sliders are set to, before they are applied. 'Before' shows the
+// settings the backlight system is running with; the camera view shows what a
+// camera-based kit (such as Govee's) would pick up from the screen.
+class BacklightPreview {
+  constructor(backlightSystem) {
+    this.backlightSystem = backlightSystem;
+    this.canvas = null;
+    this.view = 'leds'; // 'leds' or 'camera'
+    this.showBefore = false;
+    
+    // Settings the sliders are set to; the dialog reads its form
+    this.getSettings = () => ({});
+    
+    this.animationFrame = null;
+    this.lastTime = 0;
+    
+    // Smoothing state for each view, so toggling does not restart the fades
+    this.smoothed = { before: {}, after: {}, camera: {} };
+    
+    // Frame copy taken by the backlight system, and the low-resolution camera image
+    this.frameCanvas = null;
+    this.cameraCanvas = null;
+  }
+  
+  // Camera kits see the screen at a very low resolution
+  static get cameraSize() {
+    return { width: 48, height: 27 };
+  }
+  
+  // Draw into a canvas; getSettings returns the pending slider values
+  attach(canvas, getSettings) {
+    this.canvas = canvas;
+    this.getSettings = getSettings;
+  }
+  
+  // Start drawing every animation frame
+  start() {
+    if (this.animationFrame || !this.canvas) return;
+    
+    if (!this.frameCanvas) {
+      this.frameCanvas = document.createElement('canvas');
+      this.frameCanvas.width = 192;
+      this.frameCanvas.height = 108;
+      this.cameraCanvas = document.createElement('canvas');
+      this.cameraCanvas.width = BacklightPreview.cameraSize.width;
+      this.cameraCanvas.height = BacklightPreview.cameraSize.height;
+    }
+    this.backlightSystem.previewCanvas = this.frameCanvas;
+    
+    const loop = (now) => {
+      this.draw(now);
+      this.animationFrame = requestAnimationFrame(loop);
+    };
+    this.animationFrame = requestAnimationFrame(loop);
+  }
+  
+  // Stop drawing and stop the frame copies
+  stop() {
+    if (this.animationFrame) {
+      cancelAnimationFrame(this.animationFrame);
+      this.animationFrame = null;
+    }
+    this.lastTime = 0;
+    
+    if (this.backlightSystem.previewCanvas === this.frameCanvas) {
+      this.backlightSystem.previewCanvas = null;
+    }
+  }
+  
+  // Settings the backlight system is running with
+  getAppliedSettings() {
+    const system = this.backlightSystem;
+    return {
+      mode: system.backlightMode,
+      edgeEmphasis: system.edgeEmphasis,
+      colorSaturation: system.colorSaturation,
+      smoothingFactor: system.smoothingFactor,
+      transitionSpeed: system.transitionSpeed
+    };
+  }
+  
+  // Advance one view's smoothing toward the sampled colors
+  smoothZones(view, targets, elapsed, settings) {
+    const state = this.smoothed[view];
+    const zones = {};
+    
+    Object.keys(targets).forEach(edge => {
+      // Start over when the layout changed
+      const previous = state[edge] && state[edge].length === targets[edge].length ? state[edge] : [];
+      zones[edge] = targets[edge].map((target, i) => BacklightSystem.smoothColor(previous[i], target, elapsed, settings));
+    });
+    
+    this.smoothed[view] = zones;
+    return zones;
+  }
+  
+  // Draw one preview frame
+  draw(now = performance.now()) {
+    const system = this.backlightSystem;
+    if (!this.canvas) return;
+    
+    const elapsed = this.lastTime ? Math.min(250, now - this.lastTime) : 0;
+    this.lastTime = now;
+    
+    // Without local sampling (worker, audio-reactive, timeline) the zones arrive
+    // already smoothed, so only emphasis and saturation change the preview
+    const targets = system.sampledZones || system.edgeZones;
+    const applied = this.getAppliedSettings();
+    const pending = { ...applied, ...this.getSettings() };
+    
+    // Both are kept running so the toggle switches instantly
+    const before = this.smoothZones('before', targets, elapsed, applied);
+    const after = this.smoothZones('after', targets, elapsed, pending);
+    const zones = this.showBefore ? before : after;
+    const settings = this.showBefore ? applied : pending;
+    
+    const ctx = this.canvas.getContext('2d');
+    const { width, height } = this.canvas;
+    const tv = { x: width * 0.2, y: height * 0.2, width: width * 0.6, height: height * 0.6 };
+    
+    // Dark wall
+    ctx.fillStyle = '#0a0a0a';
+    ctx.fillRect(0, 0, width, height);
+    
+    if (this.view === 'camera') {
+      // The lights follow what the camera makes of the screen
+      const cameraZones = this.renderCameraView(zones, settings);
+      this.drawGlow(ctx, tv, this.smoothZones('camera', cameraZones, elapsed, settings));
+      
+      ctx.save();
+      ctx.imageSmoothingEnabled = true;
+      ctx.drawImage(this.cameraCanvas, tv.x, tv.y, tv.width, tv.height);
+      ctx.restore();
+    } else {
+      this.drawGlow(ctx, tv, zones);
+      this.drawScreen(ctx, tv, zones, settings);
+    }
+    
+    // Bezel and label
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(tv.x - 1, tv.y - 1, tv.width + 2, tv.height + 2);
+    
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(`${this.showBefore ? 'Before' : 'After'}${this.view === 'camera' ? ' (camera view)' : ''}`, 6, 6);
+  }
+  
+  // The screen itself: the last frame with the edge glow camera modes add
+  drawScreen(ctx, rect, zones, settings) {
+    ctx.save();
+    ctx.translate(rect.x, rect.y);
+    ctx.beginPath();
+    ctx.rect(0, 0, rect.width, rect.height);
+    ctx.clip();
+    
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, rect.width, rect.height);
+    if (this.frameCanvas) {
+      ctx.drawImage(this.frameCanvas, 0, 0, rect.width, rect.height);
+    }
+    
+    if (settings.mode === 'adaptive' || settings.mode === 'ambilight') {
+      this.backlightSystem.applyEdgeEmphasis(ctx, rect.width, rect.height, {
+        zones,
+        emphasis: settings.edgeEmphasis,
+        saturation: settings.colorSaturation
+      });
+    }
+    
+    ctx.restore();
+  }
+  
+  // Render the screen as a camera sees it (low resolution, muted colors) and
+  // average its edges into zones the way a camera kit would
+  renderCameraView(zones, settings) {
+    const { width, height } = BacklightPreview.cameraSize;
+    const cameraCtx = this.cameraCanvas.getContext('2d', { willReadFrequently: true });
+    
+    cameraCtx.save();
+    cameraCtx.filter = 'saturate(0.8) blur(0.5px)';
+    this.drawScreen(cameraCtx, { x: 0, y: 0, width, height }, zones, settings);
+    cameraCtx.restore();
+    
+    const data = cameraCtx.getImageData(0, 0, width, height).data;
+    const strip = { x: 0, y: 0, width, height };
+    const rects = this.backlightSystem.layout.getZoneRects(width, height);
+    
+    const cameraZones = {};
+    Object.keys(rects).forEach(edge => {
+      cameraZones[edge] = rects[edge].map(rect => this.backlightSystem.averageRegion(data, strip, rect));
+    });
+    return cameraZones;
+  }
+  
+  // Light spilling onto the wall from each LED around the TV
+  drawGlow(ctx, tv, zones) {
+    const rects = this.backlightSystem.layout.getZoneRects(tv.width, tv.height);
+    const radius = Math.max(tv.width, tv.height) * 0.15;
+    
+    ctx.save();
+    ctx.globalCompositeOperation = 'lighter';
+    
+    Object.keys(rects).forEach(edge => {
+      rects[edge].forEach((rect, i) => {
+        const color = (zones[edge] && zones[edge][i]) || [0, 0, 0];
+        
+        // LEDs sit on the back of the TV, along its edge
+        let x = tv.x + rect.x + rect.width / 2;
+        let y = tv.y + rect.y + rect.height / 2;
+        if (edge === 'top') y = tv.y;
+        if (edge === 'bottom') y = tv.y + tv.height;
+        if (edge === 'left') x = tv.x;
+        if (edge === 'right') x = tv.x + tv.width;
+        
+        const [r, g, b] = color.map(c => Math.round(c));
+        const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+        gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, 0.6)`);
+        gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0)`);
+        
+        ctx.fillStyle = gradient;
+        ctx.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+      });
+    });
+    
+    ctx.restore();
+  }
+}
+
 class BacklightConfigDialog {
   constructor(backlightSystem) {
     this.backlightSystem = backlightSystem;
     this.container = null;
     this.isVisible = false;
     
-    // Default config values
-    this.config = {
-      enabled: true,
-      mode: 'adaptive', // 'adaptive', 'direct', 'ambilight'
-      edgeEmphasis: 0.7,
-      colorSaturation: 1.2,
-      smoothingFactor: 0.3,
-      transitionSpeed: 'medium',
-      detectDevices: true,
-      mirrorMode: false,
-      optimizeRecording: true
-    };
+    // Devices currently shown in the list (discovered and manually added)
+    this.devices = [];
+    
+    // Running BacklightCaptureSource, if the lights follow a screen or video
+    this.captureSource = null;
+    
+    // Live LED preview, drawn while the dialog is open
+    this.preview = backlightSystem ? new BacklightPreview(backlightSystem) : null;
+    
+    // Device keys whose stored secrets are shown in clear
+    this.revealedCredentials = new Set();
+    
+    // Default config values, see BacklightConfigSchema
+    this.config = BacklightConfigSchema.getDefaults();
+    
+    // Problems found in the saved config when it was loaded
+    this.configIssues = [];
+    
+    // Profile pickers handed out to the main menu, and what automatic switching follows
+    this.profileMenus = [];
+    this.currentTrack = null;
+    this.autoSwitchTimer = null;
+  }
+  
+  // Escape text for the dialog's template markup; names come from devices on
+  // the network and from imported files, so none of them can be trusted
+  static escapeHtml(value) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(value).replace(/[&<>"']/g, char => entities[char]);
   }
   
   // Initialize the dialog
@@ -34,6 +617,14 @@ class BacklightConfigDialog {
     // Set up event handlers
     this.setupEventListeners();
     
+    // Decrypt stored device credentials unless a passphrase is needed
+    this.unlockCredentials();
+    
+    // Resume automatic profile switching
+    if (this.loadProfiles().autoSwitch) {
+      this.setAutoSwitch(true);
+    }
+    
     // Initially hidden
     this.hide();
   }
@@ -44,10 +635,17 @@ class BacklightConfigDialog {
     this.container.style.display = 'flex';
     this.isVisible = true;
     
+    if (this.preview) {
+      this.preview.start();
+    }
+    
     // Scan for devices when opened
     if (this.config.detectDevices) {
       this.scanForDevices();
     }
+    
+    // Offer to recover recordings a crash interrupted
+    this.updateRecoveryList();
   }
   
   // Hide the dialog
@@ -55,6 +653,17 @@ class BacklightConfigDialog {
     if (!this.container) return;
     this.container.style.display = 'none';
     this.isVisible = false;
+    
+    if (this.preview) {
+      this.preview.stop();
+    }
+    
+    // Test patterns only make sense while calibrating
+    const patternSelect = this.container.querySelector('#calibration-pattern');
+    if (patternSelect && patternSelect.value !== 'off' && this.backlightSystem) {
+      patternSelect.value = 'off';
+      this.backlightSystem.setTestPattern('off');
+    }
   }
   
   // Toggle visibility
@@ -67,168 +676,1610 @@ class BacklightConfigDialog {
   }
   
   // Load saved configuration
+  // Older versions are migrated and invalid values replaced; see BacklightConfigSchema
   loadConfig() {
     const savedConfig = localStorage.getItem('backlightConfig');
-    if (savedConfig) {
-      try {
-        this.config = JSON.parse(savedConfig);
-      } catch (e) {
-        console.error('Error loading backlight config:', e);
-      }
+    if (!savedConfig) return;
+    
+    let saved;
+    try {
+      saved = JSON.parse(savedConfig);
+    } catch (e) {
+      console.error('Error loading backlight config:', e);
+      this.configIssues = [{ path: '', message: 'saved config is not valid JSON, using defaults' }];
+      return;
+    }
+    
+    const { config, issues } = BacklightConfigSchema.load(saved);
+    this.config = config;
+    this.configIssues = issues;
+    
+    if (issues.length) {
+      console.warn(`Backlight config: ${issues.map(issue => `${issue.path || 'config'}: ${issue.message}`).join('; ')}`);
     }
   }
   
-  // Save configuration
-  saveConfig() {
+  // Throw away every setting and go back to the defaults
+  resetConfig() {
+    // Leave the active profile as it was
+    const data = this.loadProfiles();
+    data.active = null;
+    this.saveProfiles(data);
+    
+    // Secrets waiting for the credential store are not settings
+    this.config = { ...BacklightConfigSchema.getDefaults(), pendingCredentials: this.config.pendingCredentials };
+    this.configIssues = [];
+    this.saveConfig();
+    this.applyConfig();
+    this.refresh();
+  }
+  
+  // Rebuild the form from the current config
+  refresh() {
+    if (!this.container) return;
+    
+    this.render();
+    this.setupEventListeners();
+    if (this.devices.length) {
+      this.updateDevicesList(this.devices);
+    }
+  }
+  
+  // Load named layouts saved by the layout editor
+  loadLayouts() {
     try {
-      localStorage.setItem('backlightConfig', JSON.stringify(this.config));
+      return JSON.parse(localStorage.getItem('backlightLayouts') || '{}');
     } catch (e) {
-      console.error('Error saving backlight config:', e);
+      console.error('Error loading backlight layouts:', e);
+      return {};
+    }
+  }
+  
+  // Save named layouts
+  saveLayouts(layouts) {
+    try {
+      localStorage.setItem('backlightLayouts', JSON.stringify(layouts));
+    } catch (e) {
+      console.error('Error saving backlight layouts:', e);
+    }
+  }
+  
+  // Load named profiles: { active, autoSwitch, profiles: { name: { config, auto } } }
+  loadProfiles() {
+    try {
+      return { active: null, autoSwitch: false, profiles: {}, ...JSON.parse(localStorage.getItem('backlightProfiles') || '{}') };
+    } catch (e) {
+      console.error('Error loading backlight profiles:', e);
+      return { active: null, autoSwitch: false, profiles: {} };
+    }
+  }
+  
+  // Save named profiles
+  saveProfiles(data) {
+    try {
+      localStorage.setItem('backlightProfiles', JSON.stringify(data));
+    } catch (e) {
+      console.error('Error saving backlight profiles:', e);
+    }
+    
+    this.updateProfileMenus();
+  }
+  
+  // A name not taken yet, e.g. "Party 2"
+  getUniqueProfileName(name, profiles = this.loadProfiles().profiles) {
+    let unique = name;
+    for (let i = 2; profiles[unique]; i++) {
+      unique = `${name} ${i}`;
+    }
+    return unique;
+  }
+  
+  // Save the current settings as a new profile and make it the active one
+  createProfile(name) {
+    const data = this.loadProfiles();
+    name = (name || '').trim();
+    if (!name || data.profiles[name]) return false;
+    
+    data.profiles[name] = { config: BacklightCredentialStore.redact({ ...this.config, pendingCredentials: [] }), auto: null };
+    data.active = name;
+    this.saveProfiles(data);
+    return true;
+  }
+  
+  // Rename a profile, keeping it active if it was
+  renameProfile(name, newName) {
+    const data = this.loadProfiles();
+    newName = (newName || '').trim();
+    if (!data.profiles[name] || !newName || data.profiles[newName]) return false;
+    
+    data.profiles[newName] = data.profiles[name];
+    delete data.profiles[name];
+    if (data.active === name) {
+      data.active = newName;
+    }
+    this.saveProfiles(data);
+    return true;
+  }
+  
+  // Copy a profile under a new name; returns the new name
+  duplicateProfile(name, newName) {
+    const data = this.loadProfiles();
+    if (!data.profiles[name]) return null;
+    
+    newName = this.getUniqueProfileName((newName || '').trim() || `${name} copy`, data.profiles);
+    data.profiles[newName] = JSON.parse(JSON.stringify(data.profiles[name]));
+    this.saveProfiles(data);
+    return newName;
+  }
+  
+  // Delete a profile; the current settings stay as they are
+  deleteProfile(name) {
+    const data = this.loadProfiles();
+    if (!data.profiles[name]) return false;
+    
+    delete data.profiles[name];
+    if (data.active === name) {
+      data.active = null;
+    }
+    this.saveProfiles(data);
+    return true;
+  }
+  
+  // Load a profile's settings and apply them
+  switchProfile(name) {
+    const data = this.loadProfiles();
+    const profile = data.profiles[name];
+    if (!profile) return false;
+    
+    // Profiles may have been saved or imported by an older version
+    const { config, issues } = BacklightConfigSchema.load(profile.config);
+    if (issues.length) {
+      console.warn(`Backlight profile "${name}": ${issues.map(issue => `${issue.path || 'config'}: ${issue.message}`).join('; ')}`);
+    }
+    
+    data.active = name;
+    this.saveProfiles(data);
+    
+    this.config = { ...config, pendingCredentials: this.config.pendingCredentials };
+    this.saveConfig();
+    this.applyConfig();
+    this.configIssues = issues;
+    this.refresh();
+    
+    console.log(`Switched to backlight profile "${name}"`);
+    return true;
+  }
+  
+  // When to switch to a profile automatically:
+  // { from: 'HH:MM', to: 'HH:MM', genres: [], formats: [] }, or null for never
+  setProfileAuto(name, auto) {
+    const data = this.loadProfiles();
+    if (!data.profiles[name]) return false;
+    
+    data.profiles[name].auto = auto;
+    this.saveProfiles(data);
+    return true;
+  }
+  
+  // Download profiles (all by default) as a JSON file, without any secrets
+  exportProfiles(names) {
+    const { profiles } = this.loadProfiles();
+    const exported = {};
+    (names || Object.keys(profiles)).forEach(name => {
+      if (profiles[name]) {
+        exported[name] = BacklightCredentialStore.redact(profiles[name]);
+      }
+    });
+    
+    const blob = new Blob([JSON.stringify({
+      type: 'backlight-profiles',
+      version: BacklightConfigSchema.version,
+      profiles: exported
+    }, null, 2)], { type: 'application/json' });
+    
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    document.body.appendChild(a);
+    a.style = 'display: none';
+    a.href = url;
+    a.download = 'backlight-profiles.json';
+    a.click();
+    
+    URL.revokeObjectURL(url);
+    document.body.removeChild(a);
+    
+    return Object.keys(exported).length;
+  }
+  
+  // Add profiles from an exported JSON file; names already in use get a number.
+  // Resolves to the names the profiles were stored under.
+  importProfiles(file) {
+    return file.text().then(text => {
+      const imported = JSON.parse(text);
+      if (!imported || imported.type !== 'backlight-profiles' || typeof imported.profiles !== 'object') {
+        throw new Error('Not a backlight profiles file');
+      }
+      
+      const data = this.loadProfiles();
+      const names = [];
+      
+      Object.keys(imported.profiles).forEach(name => {
+        const profile = imported.profiles[name] || {};
+        const { config, issues } = BacklightConfigSchema.load(BacklightCredentialStore.redact(profile.config));
+        
+        // Rules that fail the spec are fixed up; a block left with none is dropped
+        let auto = null;
+        if (profile.auto) {
+          auto = BacklightConfigSchema.validateValue(profile.auto, BacklightConfigSchema.profileAutoSpec, 'auto', issues);
+          if (!(auto.from && auto.to) && !auto.genres.length && !auto.formats.length) auto = null;
+        }
+        
+        if (issues.length) {
+          console.warn(`Imported backlight profile "${name}": ${issues.map(issue => `${issue.path || 'config'}: ${issue.message}`).join('; ')}`);
+        }
+        
+        const stored = this.getUniqueProfileName(name, data.profiles);
+        data.profiles[stored] = { config, auto };
+        names.push(stored);
+      });
+      
+      this.saveProfiles(data);
+      return names;
+    });
+  }
+  
+  // Tell the dialog which track is loaded so profiles can follow its genre or
+  // format; track is { genre, format } or anything with a file name or type
+  setTrack(track) {
+    const name = track && (track.name || track.filename || '');
+    const format = track && (track.format ||
+      (name && name.includes('.') ? name.split('.').pop() : '') ||
+      (track.type ? track.type.split('/').pop() : ''));
+    
+    this.currentTrack = track ? {
+      genre: String(track.genre || '').toLowerCase(),
+      format: String(format || '').toLowerCase()
+    } : null;
+    
+    this.checkAutoSwitch();
+  }
+  
+  // The profile whose rules fit the time and the current track best, if any
+  matchProfile(track = this.currentTrack, now = new Date()) {
+    const { profiles } = this.loadProfiles();
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const toMinutes = (time) => {
+      const [hours, mins] = time.split(':').map(Number);
+      return hours * 60 + (mins || 0);
+    };
+    
+    let best = null;
+    let bestScore = 0;
+    
+    Object.keys(profiles).forEach(name => {
+      const auto = profiles[name].auto;
+      if (!auto) return;
+      
+      // Every rule that is set has to match; more matching rules win
+      let score = 0;
+      if (auto.from && auto.to) {
+        const from = toMinutes(auto.from);
+        const to = toMinutes(auto.to);
+        // A window like 22:00-02:00 runs past midnight
+        const inWindow = from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+        if (!inWindow) return;
+        score++;
+      }
+      if (auto.genres && auto.genres.length) {
+        if (!track || !auto.genres.some(genre => genre.toLowerCase() === track.genre)) return;
+        score++;
+      }
+      if (auto.formats && auto.formats.length) {
+        if (!track || !auto.formats.some(format => format.toLowerCase() === track.format)) return;
+        score++;
+      }
+      
+      if (score > bestScore) {
+        best = name;
+        bestScore = score;
+      }
+    });
+    
+    return best;
+  }
+  
+  // Switch to the matching profile if automatic switching is on
+  checkAutoSwitch() {
+    const data = this.loadProfiles();
+    if (!data.autoSwitch) return;
+    
+    const name = this.matchProfile();
+    if (name && name !== data.active) {
+      this.switchProfile(name);
+    }
+  }
+  
+  // Turn automatic profile switching on or off; time rules are checked every minute
+  setAutoSwitch(enabled) {
+    const data = this.loadProfiles();
+    data.autoSwitch = enabled;
+    this.saveProfiles(data);
+    
+    clearInterval(this.autoSwitchTimer);
+    this.autoSwitchTimer = null;
+    
+    if (enabled) {
+      this.autoSwitchTimer = setInterval(() => this.checkAutoSwitch(), 60000);
+      this.checkAutoSwitch();
+    }
+  }
+  
+  // A profile picker for the app's main menu; stays in sync with the dialog
+  createProfileMenu() {
+    const select = document.createElement('select');
+    select.className = 'backlight-profile-menu';
+    select.title = 'Backlight profile';
+    select.addEventListener('change', () => {
+      if (select.value) {
+        this.switchProfile(select.value);
+      }
+    });
+    
+    this.profileMenus.push(select);
+    this.updateProfileMenus();
+    return select;
+  }
+  
+  // Refill the main menu pickers after profiles change
+  updateProfileMenus() {
+    if (!this.profileMenus.length) return;
+    
+    const { active, profiles } = this.loadProfiles();
+    
+    this.profileMenus.forEach(select => {
+      select.length = 0;
+      select.add(new Option(active ? 'Backlight Profile' : 'No Profile', '', false, !active));
+      Object.keys(profiles).forEach(name => {
+        select.add(new Option(name, name, false, name === active));
+      });
+    });
+  }
+  
+  // Save configuration; the active profile keeps the same settings
+  saveConfig() {
+    try {
+      localStorage.setItem('backlightConfig', JSON.stringify({ ...this.config, version: BacklightConfigSchema.version }));
+    } catch (e) {
+      console.error('Error saving backlight config:', e);
+    }
+    
+    const data = this.loadProfiles();
+    if (data.active && data.profiles[data.active]) {
+      data.profiles[data.active].config = BacklightCredentialStore.redact({ ...this.config, pendingCredentials: [] });
+      this.saveProfiles(data);
+    }
+    
+    // What was saved came from the form, so earlier load problems are gone
+    this.configIssues = [];
+    const issuesBox = this.container && this.container.querySelector('.config-issues');
+    if (issuesBox) {
+      issuesBox.remove();
+    }
+  }
+  
+  // Render the dialog
+  render() {
+    if (!this.container) return;
+    
+    this.container.innerHTML = `
+      <div class="backlight-config-dialog">
+        <div class="dialog-header">
+          <h2>TV Backlight Configuration</h2>
+          <button class="close-btn" id="backlight-close">&times;</button>
+        </div>
+        
+        <div class="dialog-content">
+          ${this.renderConfigIssues()}
+          
+          ${this.renderProfileSection()}
+          
+          <div class="config-section">
+            <h3>Basic Settings</h3>
+            
+            <div class="setting-row">
+              <label class="setting-label">
+                <input type="checkbox" id="backlight-enabled" ${this.config.enabled ? 'checked' : ''}>
+                Enable TV Backlight Enhancement
+              </label>
+            </div>
+            
+            <div class="setting-row">
+              <label class="setting-label">Backlight Mode:</label>
+              <select id="backlight-mode" class="setting-select">
+                <option value="adaptive" ${this.config.mode === 'adaptive' ? 'selected' : ''}>Adaptive (Camera-based)</option>
+                <option value="direct" ${this.config.mode === 'direct' ? 'selected' : ''}>Direct API Connection</option>
+                <option value="ambilight" ${this.config.mode === 'ambilight' ? 'selected' : ''}>Ambilight Style</option>
+              </select>
+            </div>
+            
+            <div class="setting-row">
+              <label class="setting-label">Visualization Scene:</label>
+              <select id="backlight-scene" class="setting-select">
+                <option value="bars" ${this.config.scene === 'bars' ? 'selected' : ''}>Spectrum Bars</option>
+                <option value="radial" ${this.config.scene === 'radial' ? 'selected' : ''}>Radial Spectrum</option>
+                <option value="waveform" ${this.config.scene === 'waveform' ? 'selected' : ''}>Perimeter Waveform</option>
+                <option value="gradient" ${this.config.scene === 'gradient' ? 'selected' : ''}>Gradient Field</option>
+                <option value="mood" ${this.config.scene === 'mood' ? 'selected' : ''}>Mood</option>
+              </select>
+            </div>
+            
+            <div class="setting-row">
+              <label class="setting-label">Light Source:</label>
+              <select id="audio-reactive-mode" class="setting-select">
+                <option value="off" ${this.config.audioReactiveMode === 'off' ? 'selected' : ''}>Visualization (screen colors)</option>
+                <option value="bass-pulse" ${this.config.audioReactiveMode === 'bass-pulse' ? 'selected' : ''}>Bass Pulse</option>
+                <option value="spectrum-sweep" ${this.config.audioReactiveMode === 'spectrum-sweep' ? 'selected' : ''}>Spectrum Sweep</option>
+                <option value="beat-strobe" ${this.config.audioReactiveMode === 'beat-strobe' ? 'selected' : ''}>Beat Strobe (max 3 flashes/s)</option>
+                <option value="vu-meter" ${this.config.audioReactiveMode === 'vu-meter' ? 'selected' : ''}>VU Meter</option>
+              </select>
+            </div>
+            
+            <div class="setting-row">
+              <label class="setting-label">Capture:</label>
+              <select id="capture-source" class="setting-select">
+                <option value="screen">Screen or Tab</option>
+                <option value="device">Capture Card or Camera</option>
+                <option value="file">Video File</option>
+              </select>
+              <select id="capture-device" class="setting-select" style="display: none;"></select>
+              <input type="file" id="capture-file" accept="video/*" style="display: none;">
+              <button id="capture-start" class="action-btn">${this.captureSource ? 'Stop Capture' : 'Start Capture'}</button>
+            </div>
+            
+            <div class="setting-row">
+              <label class="setting-label">
+                <input type="checkbox" id="capture-letterbox" ${this.config.captureLetterbox ? 'checked' : ''}>
+                Detect and crop black bars in captured video
+              </label>
+            </div>
+            
+            <div class="setting-row">
+              <label class="setting-label">
+                <input type="checkbox" id="backlight-mirror" ${this.config.mirrorMode ? 'checked' : ''}>
+                Mirror Mode (symmetrical left/right colors)
+              </label>
+            </div>
+            
+            <div class="setting-row">
+              <label class="setting-label">Mirror Symmetry:</label>
+              <select id="mirror-axis" class="setting-select">
+                <option value="horizontal" ${this.config.mirrorAxis === 'horizontal' ? 'selected' : ''}>Left / Right</option>
+                <option value="vertical" ${this.config.mirrorAxis === 'vertical' ? 'selected' : ''}>Top / Bottom</option>
+                <option value="quad" ${this.config.mirrorAxis === 'quad' ? 'selected' : ''}>Quad</option>
+              </select>
+              <select id="mirror-blend" class="setting-select">
+                <option value="average" ${this.config.mirrorBlend === 'average' ? 'selected' : ''}>Average</option>
+                <option value="reflect" ${this.config.mirrorBlend === 'reflect' ? 'selected' : ''}>Reflect</option>
+              </select>
+            </div>
+          </div>
+          
+          <div class="config-section">
+            <h3>Color & Performance Settings</h3>
+            
+            ${this.preview ? `
+            <div class="backlight-preview">
+              <canvas id="backlight-preview" width="320" height="180"></canvas>
+              <div class="setting-row">
+                <select id="preview-view" class="setting-select">
+                  <option value="leds" ${this.preview.view === 'leds' ? 'selected' : ''}>LED Output</option>
+                  <option value="camera" ${this.preview.view === 'camera' ? 'selected' : ''}>Camera View</option>
+                </select>
+                <button id="preview-compare" class="action-btn">${this.preview.showBefore ? 'Show After' : 'Show Before'}</button>
+              </div>
+              <p class="help-text">Follows the sliders before you apply them. Before shows the settings in use now.</p>
+            </div>
+            ` : ''}
+            
+            <div class="setting-row">
+              <label class="setting-label">Edge Emphasis:</label>
+              <div class="slider-container">
+                <input type="range" id="edge-emphasis" min="0" max="100" value="${this.config.edgeEmphasis * 100}">
+                <span class="slider-value">${Math.round(this.config.edgeEmphasis * 100)}%</span>
+              </div>
+            </div>
+            
+            <div class="setting-row">
+              <label class="setting-label">Color Saturation:</label>
+              <div class="slider-container">
+                <input type="range" id="color-saturation" min="50" max="150" value="${this.config.colorSaturation * 100}">
+                <span class="slider-value">${Math.round(this.config.colorSaturation * 100)}%</span>
+              </div>
+            </div>
+            
+            <div class="setting-row">
+              <label class="setting-label">Smoothing:</label>
+              <div class="slider-container">
+                <input type="range" id="smoothing-factor" min="0" max="100" value="${this.config.smoothingFactor * 100}">
+                <span class="slider-value">${Math.round(this.config.smoothingFactor * 100)}%</span>
+              </div>
+            </div>
+            
+            <div class="setting-row">
+              <label class="setting-label">Transition Speed:</label>
+              <select id="transition-speed" class="setting-select">
+                <option value="slow" ${this.config.transitionSpeed === 'slow' ? 'selected' : ''}>Slow</option>
+                <option value="medium" ${this.config.transitionSpeed === 'medium' ? 'selected' : ''}>Medium</option>
+                <option value="fast" ${this.config.transitionSpeed === 'fast' ? 'selected' : ''}>Fast</option>
+              </select>
+            </div>
+            
+            <div class="setting-row">
+              <label class="setting-label">
+                <input type="checkbox" id="use-worker" ${this.config.useWorker ? 'checked' : ''}>
+                Process backlight in a background worker (devices reconnect)
+              </label>
+            </div>
+            
+            <div class="setting-row">
+              <label class="setting-label">
+                <input type="checkbox" id="audio-look-ahead" ${this.config.audioLookAhead ? 'checked' : ''}>
+                Delay file playback so audio-reactive lights land on the beat on slow devices
+              </label>
+            </div>
+          </div>
+          
+          ${this.renderLayoutSection()}
+          
+          <div class="config-section">
+            <h3>Device Connection</h3>
+            
+            <div class="setting-row">
+              <label class="setting-label">
+                <input type="checkbox" id="detect-devices" ${this.config.detectDevices ? 'checked' : ''}>
+                Automatically detect backlight devices
+              </label>
+            </div>
+            
+            <div class="setting-row">
+              <button id="scan-devices" class="action-btn">Scan for Devices</button>
+            </div>
+            
+            <div class="setting-row manual-device">
+              <select id="manual-device-type" class="setting-select">
+                ${this.renderDriverOptions()}
+              </select>
+              <input type="text" id="manual-device-ip" class="setting-input" placeholder="IP address">
+              <button id="add-device" class="action-btn">Add by IP</button>
+            </div>
+            
+            <div class="devices-list" id="devices-list">
+              ${this.renderDriverList()}
+            </div>
+            
+            <div class="latency-meter" id="latency-meter" style="display: none;">
+              <div class="latency-flash"></div>
+              <p class="latency-instructions"></p>
+              <button id="latency-tap" class="primary-btn">Tap</button>
+              <button id="latency-cancel" class="secondary-btn">Cancel</button>
+            </div>
+          </div>
+          
+          ${this.renderCredentialSection()}
+          
+          ${this.renderCalibrationSection()}
+          
+          <div class="config-section">
+            <h3>Recording Optimization</h3>
+            
+            <div class="setting-row">
+              <label class="setting-label">
+                <input type="checkbox" id="optimize-recording" ${this.config.optimizeRecording ? 'checked' : ''}>
+                Optimize visualization for recording with backlights
+              </label>
+            </div>
+            
+            ${this.renderRecordingSettings()}
+            
+            <div class="help-text">
+              <p>When enabled, recordings will be optimized for better color detection by TV backlight systems. This will enhance edge colors and increase saturation slightly during recording.</p>
+            </div>
+            
+            <div class="setting-row recording-tips">
+              <h4>Tips for Best Results:</h4>
+              <ul>
+                <li>Record at 1080p or higher resolution</li>
+                <li>Use high bitrate (10+ Mbps) for better color reproduction</li>
+                <li>Keep video at full screen when playing back</li>
+                <li>Position camera directly facing the screen for best detection</li>
+              </ul>
+            </div>
+          </div>
+        </div>
+        
+        <div class="dialog-footer">
+          <button id="backlight-save" class="primary-btn">Save</button>
+          <button id="backlight-cancel" class="secondary-btn">Cancel</button>
+          <button id="backlight-apply" class="secondary-btn">Apply</button>
+          <button id="backlight-reset" class="secondary-btn">Reset to Defaults</button>
+        </div>
+      </div>
+    `;
+  }
+  
+  // Named profiles section
+  renderProfileSection() {
+    const { active, autoSwitch, profiles } = this.loadProfiles();
+    const names = Object.keys(profiles);
+    const auto = (active && profiles[active] && profiles[active].auto) || {};
+    const escape = BacklightConfigDialog.escapeHtml;
+    
+    return `
+          <div class="config-section" id="profile-section">
+            <h3>Profiles</h3>
+            
+            <div class="setting-row">
+              <label class="setting-label">Profile:</label>
+              <select id="profile-select" class="setting-select">
+                <option value="" ${active ? '' : 'selected'}>No Profile</option>
+                ${names.map(name => `<option value="${escape(name)}" ${name === active ? 'selected' : ''}>${escape(name)}</option>`).join('')}
+              </select>
+            </div>
+            
+            <div class="setting-row profile-actions">
+              <button id="profile-new" class="action-btn">Save as New</button>
+              <button id="profile-rename" class="action-btn" ${active ? '' : 'disabled'}>Rename</button>
+              <button id="profile-duplicate" class="action-btn" ${active ? '' : 'disabled'}>Duplicate</button>
+              <button id="profile-delete" class="action-btn" ${active ? '' : 'disabled'}>Delete</button>
+              <button id="profile-export" class="action-btn" ${names.length ? '' : 'disabled'}>Export</button>
+              <button id="profile-import" class="action-btn">Import</button>
+              <input type="file" id="profile-file" accept="application/json,.json" style="display: none;">
+            </div>
+            
+            <div class="setting-row">
+              <label class="setting-label">
+                <input type="checkbox" id="profile-auto-switch" ${autoSwitch ? 'checked' : ''}>
+                Switch profiles automatically
+              </label>
+            </div>
+            
+            ${active ? `
+            <div class="setting-row profile-auto">
+              <label class="setting-label">Use "${escape(active)}" from</label>
+              <input type="time" id="profile-auto-from" class="setting-input profile-auto-input" value="${escape(auto.from || '')}">
+              <span>to</span>
+              <input type="time" id="profile-auto-to" class="setting-input profile-auto-input" value="${escape(auto.to || '')}">
+            </div>
+            
+            <div class="setting-row profile-auto">
+              <label class="setting-label">or for genres / formats:</label>
+              <input type="text" id="profile-auto-genres" class="setting-input profile-auto-input" placeholder="Electronic, Rock" value="${escape((auto.genres || []).join(', '))}">
+              <input type="text" id="profile-auto-formats" class="setting-input profile-auto-input" placeholder="flac, mp4" value="${escape((auto.formats || []).join(', '))}">
+            </div>
+            ` : ''}
+            
+            <p class="help-text">Saving the dialog updates the selected profile. Automatic switching picks the profile whose time, genre and format rules all match the current track.</p>
+          </div>`;
+  }
+  
+  // Re-render just the profiles section after profiles change
+  refreshProfileSection() {
+    const section = this.container && this.container.querySelector('#profile-section');
+    if (!section) return;
+    
+    section.outerHTML = this.renderProfileSection();
+    this.setupProfileControls();
+  }
+  
+  // Wire up the profile buttons
+  setupProfileControls() {
+    const select = this.container.querySelector('#profile-select');
+    const selected = () => select.value;
+    
+    select.addEventListener('change', () => {
+      if (selected()) {
+        this.switchProfile(selected());
+      } else {
+        const data = this.loadProfiles();
+        data.active = null;
+        this.saveProfiles(data);
+        this.refreshProfileSection();
+      }
+    });
+    
+    this.container.querySelector('#profile-new').addEventListener('click', () => {
+      const name = prompt('Profile name:', this.getUniqueProfileName('New Profile'));
+      if (name === null) return;
+      
+      // The profile takes the settings as they are in the form
+      this.updateConfig();
+      if (!this.createProfile(name)) {
+        alert(`Could not create a profile called "${name}"; the name is empty or already in use.`);
+      }
+      this.refreshProfileSection();
+    });
+    
+    this.container.querySelector('#profile-rename').addEventListener('click', () => {
+      const name = prompt('New name:', selected());
+      if (name === null) return;
+      
+      if (!this.renameProfile(selected(), name)) {
+        alert(`Could not rename the profile to "${name}"; the name is empty or already in use.`);
+      }
+      this.refreshProfileSection();
+    });
+    
+    this.container.querySelector('#profile-duplicate').addEventListener('click', () => {
+      const name = this.duplicateProfile(selected());
+      if (name) {
+        this.switchProfile(name);
+      }
+    });
+    
+    this.container.querySelector('#profile-delete').addEventListener('click', () => {
+      if (confirm(`Delete the profile "${selected()}"?`)) {
+        this.deleteProfile(selected());
+        this.refreshProfileSection();
+      }
+    });
+    
+    this.container.querySelector('#profile-export').addEventListener('click', () => this.exportProfiles());
+    
+    const fileInput = this.container.querySelector('#profile-file');
+    this.container.querySelector('#profile-import').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (!file) return;
+      
+      this.importProfiles(file).then(names => {
+        console.log(`Imported backlight profiles: ${names.join(', ')}`);
+        this.refreshProfileSection();
+      }).catch(error => {
+        console.error('Error importing backlight profiles:', error);
+        alert(`Could not import profiles: ${error.message}`);
+      });
+    });
+    
+    this.container.querySelector('#profile-auto-switch').addEventListener('change', (e) => {
+      this.setAutoSwitch(e.target.checked);
+    });
+    
+    // Rules are saved as they are edited
+    const list = (id) => this.container.querySelector(id).value
+      .split(',')
+      .map(item => item.trim())
+      .filter(Boolean);
+    this.container.querySelectorAll('.profile-auto-input').forEach(input => {
+      input.addEventListener('change', () => {
+        const auto = {
+          from: this.container.querySelector('#profile-auto-from').value,
+          to: this.container.querySelector('#profile-auto-to').value,
+          genres: list('#profile-auto-genres'),
+          formats: list('#profile-auto-formats')
+        };
+        const hasRules = (auto.from && auto.to) || auto.genres.length || auto.formats.length;
+        this.setProfileAuto(selected(), hasRules ? auto : null);
+      });
+    });
+  }
+  
+  // Unlock the credential store with the browser key; with a passphrase set, point
+  // the user at the passphrase field instead. Resolves to whether it is unlocked.
+  unlockCredentials() {
+    const store = this.backlightSystem && this.backlightSystem.credentials;
+    if (!store || !store.isLocked() || !BacklightCredentialStore.available) return Promise.resolve(true);
+    
+    if (store.mode === 'passphrase') {
+      const input = this.container && this.container.querySelector('#credential-passphrase');
+      if (input) {
+        input.scrollIntoView({ block: 'center' });
+        input.focus();
+      }
+      return Promise.resolve(false);
+    }
+    
+    return store.unlock()
+      .then(() => this.onCredentialsUnlocked())
+      .catch(error => {
+        console.error('Error unlocking backlight credentials:', error);
+        return false;
+      });
+  }
+  
+  // Move secrets out of the config once the store can take them, then show the entries
+  onCredentialsUnlocked() {
+    const migrations = [this.migrateCredentials(), this.backlightSystem.migrateLegacyCredentials()];
+    return Promise.all(migrations.map(migration => migration.catch(error => {
+      console.error('Error moving credentials into encrypted storage:', error);
+    }))).then(() => {
+      this.refreshCredentialSection();
+      return true;
+    });
+  }
+  
+  // Hyperion tokens (and any other secrets) that older versions saved with
+  // manually added devices; the config migration set them aside in
+  // pendingCredentials, and they leave the config once the store has them
+  migrateCredentials() {
+    const store = this.backlightSystem.credentials;
+    const pending = this.config.pendingCredentials || [];
+    if (!pending.length || store.isLocked()) return Promise.resolve();
+    
+    return Promise.all(pending.map(({ device, secrets }) => {
+      const key = this.backlightSystem.getDeviceKey(device);
+      return store.set(key, { ...store.get(key), ...secrets });
+    })).then(() => {
+      this.config.pendingCredentials = [];
+      this.saveConfig();
+      console.log(`Moved credentials for ${pending.length} device(s) into encrypted storage`);
+    }).catch(error => {
+      console.error('Error moving device credentials:', error);
+    });
+  }
+  
+  // Stored credentials: protection, one row per device and a form to add secrets
+  renderCredentialSection() {
+    const store = this.backlightSystem && this.backlightSystem.credentials;
+    if (!store) return '';
+    
+    const locked = store.isLocked();
+    const passphrase = store.mode === 'passphrase';
+    const mask = '&bull;&bull;&bull;&bull;&bull;&bull;&bull;&bull;';
+    
+    let status;
+    if (!BacklightCredentialStore.available) {
+      status = 'Encrypted storage needs HTTPS or localhost; secrets are kept for this session only.';
+    } else if (locked) {
+      status = passphrase ? 'Locked. Enter your passphrase to use stored credentials.' : 'Locked.';
+    } else {
+      status = passphrase ? 'Encrypted with your passphrase.' : 'Encrypted with a key kept in this browser.';
+    }
+    
+    const escape = BacklightConfigDialog.escapeHtml;
+    const entries = store.list();
+    const rows = entries.map(entry => {
+      const device = this.findDeviceByKey(entry.id);
+      const unreadable = store.unreadable.includes(entry.id);
+      const revealed = this.revealedCredentials.has(entry.id) && !locked && !unreadable;
+      
+      // Revealed values are filled in as text by setupCredentialControls
+      const fields = unreadable ? `
+                <span class="credential-field">Encrypted with a browser key that no longer exists; enter or pair again, or revoke</span>` : entry.fields.map(field => `
+                <span class="credential-field">${escape(field)}: <code class="credential-value" data-field="${escape(field)}">${mask}</code></span>`).join('');
+      
+      return `
+              <div class="credential-item" data-id="${escape(entry.id)}">
+                <span class="credential-name">${escape(device ? device.name : entry.id)}</span>
+                ${fields}
+                <button class="action-btn credential-view" ${locked || unreadable ? 'disabled' : ''}>${revealed ? 'Hide' : 'View'}</button>
+                <button class="action-btn credential-rotate" ${locked || !device ? 'disabled' : ''}>Rotate</button>
+                <button class="action-btn credential-revoke">Revoke</button>
+              </div>`;
+    }).join('');
+    
+    // Paired devices get their keys from the bridge; the others take them here
+    const devices = this.devices.filter(device => {
+      const Driver = this.backlightSystem.drivers.get(device.type);
+      return Driver && Driver.credentialFields.length && !Driver.capabilities.requiresPairing;
+    });
+    
+    return `
+          <div class="config-section" id="credential-section">
+            <h3>Device Credentials</h3>
+            
+            <p class="help-text">${status}</p>
+            
+            ${BacklightCredentialStore.available ? `
+            <div class="setting-row credential-protection">
+              <input type="password" id="credential-passphrase" class="setting-input" placeholder="${locked ? 'Passphrase' : 'New passphrase'}" autocomplete="off">
+              ${locked ? `
+              <button id="credential-unlock" class="action-btn">Unlock</button>
+              ` : `
+              <button id="credential-set-passphrase" class="action-btn">${passphrase ? 'Change Passphrase' : 'Set Passphrase'}</button>
+              ${passphrase ? `
+              <button id="credential-remove-passphrase" class="action-btn">Remove Passphrase</button>
+              <button id="credential-lock" class="action-btn">Lock</button>
+              ` : ''}
+              `}
+            </div>
+            ` : ''}
+            
+            <div class="credentials-list">
+              ${rows || '<p class="help-text">No credentials stored.</p>'}
+            </div>
+            
+            ${devices.length ? `
+            <div class="setting-row credential-add">
+              <select id="credential-device" class="setting-select">
+                ${devices.map(device => `<option value="${escape(this.backlightSystem.getDeviceKey(device))}">${escape(device.name)}</option>`).join('')}
+              </select>
+              <span id="credential-inputs"></span>
+              <button id="credential-save" class="action-btn" ${locked ? 'disabled' : ''}>Save</button>
+            </div>
+            ` : ''}
+            
+            <p class="help-text">Credentials are never included in saved settings or profile exports. Revoking a Hue key here only forgets it; remove the app from the Hue app to revoke it on the bridge.</p>
+          </div>`;
+  }
+  
+  // A device from the list by its device key
+  findDeviceByKey(key) {
+    return this.devices.find(device => this.backlightSystem.getDeviceKey(device) === key) || null;
+  }
+  
+  // Re-render just the credentials section
+  refreshCredentialSection() {
+    const section = this.container && this.container.querySelector('#credential-section');
+    if (!section) return;
+    
+    section.outerHTML = this.renderCredentialSection();
+    this.setupCredentialControls();
+  }
+  
+  // Wire up the credential buttons
+  setupCredentialControls() {
+    const store = this.backlightSystem.credentials;
+    const section = this.container.querySelector('#credential-section');
+    const passphraseInput = section.querySelector('#credential-passphrase');
+    const on = (id, handler) => {
+      const button = section.querySelector(`#${id}`);
+      if (button) button.addEventListener('click', handler);
+    };
+    const fail = (error) => {
+      console.error('Backlight credentials:', error);
+      alert(error.message);
+    };
+    
+    on('credential-unlock', () => {
+      store.unlock(passphraseInput.value)
+        .then(() => this.onCredentialsUnlocked())
+        .catch(fail);
+    });
+    
+    on('credential-set-passphrase', () => {
+      if (passphraseInput.value.length < 8) {
+        alert('Use a passphrase of at least 8 characters.');
+        return;
+      }
+      store.setPassphrase(passphraseInput.value)
+        .then(() => this.refreshCredentialSection())
+        .catch(fail);
+    });
+    
+    on('credential-remove-passphrase', () => {
+      if (!confirm('Encrypt credentials with a key kept in this browser instead of your passphrase?')) return;
+      store.setPassphrase(null)
+        .then(() => this.refreshCredentialSection())
+        .catch(fail);
+    });
+    
+    on('credential-lock', () => {
+      store.lock();
+      this.revealedCredentials.clear();
+      this.refreshCredentialSection();
+    });
+    
+    section.querySelectorAll('.credential-item').forEach(item => {
+      const id = item.dataset.id;
+      
+      // Secrets go in as text so a stored value can never become markup
+      if (this.revealedCredentials.has(id) && !store.isLocked() && !store.unreadable.includes(id)) {
+        const secrets = store.get(id);
+        item.querySelectorAll('.credential-value').forEach(code => {
+          code.textContent = secrets[code.dataset.field] || '';
+        });
+      }
+      
+      item.querySelector('.credential-view').addEventListener('click', () => {
+        if (this.revealedCredentials.has(id)) {
+          this.revealedCredentials.delete(id);
+        } else {
+          this.revealedCredentials.add(id);
+        }
+        this.refreshCredentialSection();
+      });
+      
+      item.querySelector('.credential-rotate').addEventListener('click', () => this.rotateCredentials(id));
+      
+      item.querySelector('.credential-revoke').addEventListener('click', () => {
+        if (!confirm(`Forget the stored credentials for ${item.querySelector('.credential-name').textContent}?`)) return;
+        
+        this.revealedCredentials.delete(id);
+        store.remove(id).then(() => this.refreshCredentialSection());
+      });
+    });
+    
+    // One password field per secret the selected device's driver reads
+    const deviceSelect = section.querySelector('#credential-device');
+    if (!deviceSelect) return;
+    
+    const inputs = section.querySelector('#credential-inputs');
+    const fieldsFor = (key) => {
+      const device = this.findDeviceByKey(key);
+      const Driver = device && this.backlightSystem.drivers.get(device.type);
+      return Driver ? Driver.credentialFields : [];
+    };
+    const escape = BacklightConfigDialog.escapeHtml;
+    const renderInputs = () => {
+      inputs.innerHTML = fieldsFor(deviceSelect.value)
+        .map(field => `<input type="password" class="setting-input credential-input" data-field="${escape(field)}" placeholder="${escape(field)}" autocomplete="off">`)
+        .join('');
+    };
+    deviceSelect.addEventListener('change', renderInputs);
+    renderInputs();
+    
+    on('credential-save', () => {
+      const key = deviceSelect.value;
+      const secrets = { ...store.get(key) };
+      inputs.querySelectorAll('.credential-input').forEach(input => {
+        if (input.value) {
+          secrets[input.dataset.field] = input.value;
+        }
+      });
+      if (!Object.keys(secrets).length) return;
+      
+      store.set(key, secrets)
+        .then(() => this.refreshCredentialSection())
+        .catch(fail);
+    });
+  }
+  
+  // Replace a device's secrets: Hue bridges pair again, the others take new values
+  rotateCredentials(id) {
+    const device = this.findDeviceByKey(id);
+    if (!device) return;
+    
+    if (device.type === 'Philips Hue') {
+      if (!confirm(`Press the link button on ${device.name}, then OK to pair again.`)) return;
+      
+      this.backlightSystem.pairHueBridge(device)
+        .then(() => this.refreshCredentialSection())
+        .catch(error => {
+          console.error('Error pairing with Hue bridge:', error);
+          alert(error.message);
+        });
+      return;
+    }
+    
+    // Pick the device in the form so new values can be typed in
+    const deviceSelect = this.container.querySelector('#credential-device');
+    if (!deviceSelect) return;
+    
+    deviceSelect.value = id;
+    deviceSelect.dispatchEvent(new Event('change'));
+    const input = this.container.querySelector('.credential-input');
+    if (input) {
+      input.focus();
     }
   }
   
-  // Render the dialog
-  render() {
-    if (!this.container) return;
+  // Settings that had to be changed when the saved config was loaded
+  renderConfigIssues() {
+    if (!this.configIssues.length) return '';
+    const escape = BacklightConfigDialog.escapeHtml;
     
-    this.container.innerHTML = `
-      <div class="backlight-config-dialog">
-        <div class="dialog-header">
-          <h2>TV Backlight Configuration</h2>
-          <button class="close-btn" id="backlight-close">&times;</button>
-        </div>
-        
-        <div class="dialog-content">
-          <div class="config-section">
-            <h3>Basic Settings</h3>
+    return `
+          <div class="config-issues">
+            <p>Some saved settings were invalid and have been reset or adjusted:</p>
+            <ul>
+              ${this.configIssues.map(issue => `<li><code>${escape(issue.path || 'config')}</code>: ${escape(issue.message)}</li>`).join('')}
+            </ul>
+          </div>`;
+  }
+  
+  // Codec, frame rate and bitrate for recordings
+  renderRecordingSettings() {
+    const recording = { codec: 'auto', fps: 60, videoBitsPerSecond: 12000000, maxDuration: 0, ...this.config.recording };
+    const codecs = [['auto', 'Best Available'], ['vp9', 'VP9 (WebM)'], ['h264', 'H.264 (MP4)'], ['av1', 'AV1'], ['vp8', 'VP8 (WebM)']];
+    
+    const codecOption = ([value, label]) => {
+      const unsupported = value !== 'auto' && !BacklightRecordingOptimizer.isCodecSupported(value);
+      return `<option value="${value}" ${recording.codec === value ? 'selected' : ''}>${label}${unsupported ? ' (unsupported)' : ''}</option>`;
+    };
+    
+    return `
+            <div class="setting-row">
+              <label class="setting-label">Codec:</label>
+              <select id="recording-codec" class="setting-select">
+                ${codecs.map(codecOption).join('')}
+              </select>
+            </div>
             
             <div class="setting-row">
-              <label class="setting-label">
-                <input type="checkbox" id="backlight-enabled" ${this.config.enabled ? 'checked' : ''}>
-                Enable TV Backlight Enhancement
-              </label>
+              <label class="setting-label">Frame Rate:</label>
+              <select id="recording-fps" class="setting-select">
+                <option value="30" ${recording.fps === 30 ? 'selected' : ''}>30 fps</option>
+                <option value="60" ${recording.fps === 60 ? 'selected' : ''}>60 fps (recommended)</option>
+              </select>
             </div>
             
             <div class="setting-row">
-              <label class="setting-label">Backlight Mode:</label>
-              <select id="backlight-mode" class="setting-select">
-                <option value="adaptive" ${this.config.mode === 'adaptive' ? 'selected' : ''}>Adaptive (Camera-based)</option>
-                <option value="direct" ${this.config.mode === 'direct' ? 'selected' : ''}>Direct API Connection</option>
-                <option value="ambilight" ${this.config.mode === 'ambilight' ? 'selected' : ''}>Ambilight Style</option>
+              <label class="setting-label">Video Bitrate:</label>
+              <select id="recording-bitrate" class="setting-select">
+                <option value="10000000" ${recording.videoBitsPerSecond === 10000000 ? 'selected' : ''}>10 Mbps (minimum)</option>
+                <option value="12000000" ${recording.videoBitsPerSecond === 12000000 ? 'selected' : ''}>12 Mbps</option>
+                <option value="20000000" ${recording.videoBitsPerSecond === 20000000 ? 'selected' : ''}>20 Mbps</option>
+                <option value="40000000" ${recording.videoBitsPerSecond === 40000000 ? 'selected' : ''}>40 Mbps (4K)</option>
               </select>
             </div>
             
             <div class="setting-row">
-              <label class="setting-label">
-                <input type="checkbox" id="backlight-mirror" ${this.config.mirrorMode ? 'checked' : ''}>
-                Mirror Mode (symmetrical left/right colors)
-              </label>
+              <label class="setting-label">Stop After:</label>
+              <select id="recording-max-duration" class="setting-select">
+                <option value="0" ${recording.maxDuration === 0 ? 'selected' : ''}>No limit</option>
+                <option value="600" ${recording.maxDuration === 600 ? 'selected' : ''}>10 minutes</option>
+                <option value="1800" ${recording.maxDuration === 1800 ? 'selected' : ''}>30 minutes</option>
+                <option value="3600" ${recording.maxDuration === 3600 ? 'selected' : ''}>1 hour</option>
+                <option value="7200" ${recording.maxDuration === 7200 ? 'selected' : ''}>2 hours</option>
+              </select>
             </div>
-          </div>
-          
+            
+            <div class="recording-recovery" id="recording-recovery"></div>`;
+  }
+  
+  // List recordings left behind by a crash, with recover and discard buttons
+  updateRecoveryList() {
+    if (!this.container) return;
+    
+    const recoveryList = this.container.querySelector('#recording-recovery');
+    if (!recoveryList) return;
+    
+    const optimizer = new BacklightRecordingOptimizer(null);
+    optimizer.findInterruptedRecordings().then(recordings => {
+      recoveryList.innerHTML = recordings.length > 0 ? '<h4>Interrupted Recordings:</h4>' : '';
+      
+      recordings.forEach(recording => {
+        const item = document.createElement('div');
+        item.className = 'recovery-item';
+        
+        const size = (recording.bytes / (1024 * 1024)).toFixed(1);
+        item.innerHTML = `
+          <span class="recovery-name">${new Date(recording.startedAt).toLocaleString()} (${Math.round(recording.duration)}s, ${size} MB)</span>
+          <button class="device-action" data-action="recover">Recover</button>
+          <button class="device-action" data-action="discard">Discard</button>
+        `;
+        
+        recoveryList.appendChild(item);
+        
+        item.querySelector('[data-action="recover"]').addEventListener('click', () => {
+          const extension = recording.mimeType.includes('mp4') ? 'mp4' : 'webm';
+          optimizer.recoverRecording(recording.id)
+            .then(blob => optimizer.saveRecording(blob, `recovered-visualization.${extension}`))
+            .then(() => optimizer.discardRecording(recording.id))
+            .then(() => this.updateRecoveryList())
+            .catch(error => console.error('Error recovering recording:', error));
+        });
+        
+        item.querySelector('[data-action="discard"]').addEventListener('click', () => {
+          optimizer.discardRecording(recording.id)
+            .then(() => this.updateRecoveryList())
+            .catch(error => console.error('Error discarding recording:', error));
+        });
+      });
+    }).catch(error => {
+      console.error('Error listing interrupted recordings:', error);
+    });
+  }
+  
+  // LED layout editor section
+  renderLayoutSection() {
+    const layout = new BacklightLayout(this.config.layout);
+    const savedLayouts = Object.keys(this.loadLayouts());
+    const escape = BacklightConfigDialog.escapeHtml;
+    
+    const countInput = (edge, label) => `
+            <div class="setting-row">
+              <label class="setting-label">${label}:</label>
+              <input type="number" id="layout-${edge}" class="setting-input layout-input" min="0" max="300" value="${layout.counts[edge]}">
+            </div>`;
+    
+    return `
           <div class="config-section">
-            <h3>Color & Performance Settings</h3>
+            <h3>LED Layout</h3>
             
             <div class="setting-row">
-              <label class="setting-label">Edge Emphasis:</label>
-              <div class="slider-container">
-                <input type="range" id="edge-emphasis" min="0" max="100" value="${this.config.edgeEmphasis * 100}">
-                <span class="slider-value">${Math.round(this.config.edgeEmphasis * 100)}%</span>
+              <label class="setting-label">Saved Layouts:</label>
+              <select id="layout-saved" class="setting-select">
+                <option value="">Current</option>
+                ${savedLayouts.map(name => `<option value="${escape(name)}">${escape(name)}</option>`).join('')}
+              </select>
+            </div>
+            
+            <div class="layout-editor">
+              <canvas id="layout-preview" class="layout-preview" width="320" height="180"></canvas>
+              <div class="layout-counts">
+                ${countInput('top', 'Top LEDs')}
+                ${countInput('right', 'Right LEDs')}
+                ${countInput('bottom', 'Bottom LEDs')}
+                ${countInput('left', 'Left LEDs')}
               </div>
             </div>
             
             <div class="setting-row">
-              <label class="setting-label">Color Saturation:</label>
+              <label class="setting-label">Strip Starts At:</label>
+              <select id="layout-start" class="setting-select layout-input">
+                <option value="top-left" ${layout.start === 'top-left' ? 'selected' : ''}>Top Left</option>
+                <option value="top-right" ${layout.start === 'top-right' ? 'selected' : ''}>Top Right</option>
+                <option value="bottom-right" ${layout.start === 'bottom-right' ? 'selected' : ''}>Bottom Right</option>
+                <option value="bottom-center" ${layout.start === 'bottom-center' ? 'selected' : ''}>Bottom Center (gap)</option>
+                <option value="bottom-left" ${layout.start === 'bottom-left' ? 'selected' : ''}>Bottom Left</option>
+              </select>
+            </div>
+            
+            <div class="setting-row">
+              <label class="setting-label">Direction:</label>
+              <select id="layout-direction" class="setting-select layout-input">
+                <option value="clockwise" ${layout.direction === 'clockwise' ? 'selected' : ''}>Clockwise</option>
+                <option value="counterclockwise" ${layout.direction === 'counterclockwise' ? 'selected' : ''}>Counter-clockwise</option>
+              </select>
+            </div>
+            
+            <div class="setting-row">
+              <label class="setting-label">Bottom Gap (stand):</label>
               <div class="slider-container">
-                <input type="range" id="color-saturation" min="50" max="150" value="${this.config.colorSaturation * 100}">
-                <span class="slider-value">${Math.round(this.config.colorSaturation * 100)}%</span>
+                <input type="range" id="layout-gap" class="layout-input" min="0" max="60" value="${Math.round(layout.bottomGap * 100)}">
+                <span class="slider-value">${Math.round(layout.bottomGap * 100)}%</span>
               </div>
             </div>
             
             <div class="setting-row">
-              <label class="setting-label">Smoothing:</label>
+              <label class="setting-label">Sampling Depth:</label>
               <div class="slider-container">
-                <input type="range" id="smoothing-factor" min="0" max="100" value="${this.config.smoothingFactor * 100}">
-                <span class="slider-value">${Math.round(this.config.smoothingFactor * 100)}%</span>
+                <input type="range" id="layout-depth" class="layout-input" min="1" max="25" value="${Math.round(layout.depth * 100)}">
+                <span class="slider-value">${Math.round(layout.depth * 100)}%</span>
               </div>
             </div>
             
             <div class="setting-row">
-              <label class="setting-label">Transition Speed:</label>
-              <select id="transition-speed" class="setting-select">
-                <option value="slow" ${this.config.transitionSpeed === 'slow' ? 'selected' : ''}>Slow</option>
-                <option value="medium" ${this.config.transitionSpeed === 'medium' ? 'selected' : ''}>Medium</option>
-                <option value="fast" ${this.config.transitionSpeed === 'fast' ? 'selected' : ''}>Fast</option>
-              </select>
+              <input type="text" id="layout-name" class="setting-input" placeholder="Layout name" value="${escape(layout.name)}">
+              <button id="layout-save" class="action-btn">Save Layout</button>
+              <button id="layout-delete" class="action-btn">Delete</button>
             </div>
-          </div>
-          
-          <div class="config-section">
-            <h3>Device Connection</h3>
             
             <div class="setting-row">
               <label class="setting-label">
-                <input type="checkbox" id="detect-devices" ${this.config.detectDevices ? 'checked' : ''}>
-                Automatically detect backlight devices
+                <input type="checkbox" id="layout-overlay" ${this.backlightSystem && this.backlightSystem.showLayoutOverlay ? 'checked' : ''}>
+                Show layout on the visualizer
               </label>
             </div>
-            
+          </div>`;
+  }
+  
+  // Build a layout from the editor fields
+  readLayoutForm() {
+    const value = (id) => this.container.querySelector(`#${id}`).value;
+    
+    return new BacklightLayout({
+      name: value('layout-name').trim() || 'Custom',
+      counts: {
+        top: Math.max(0, parseInt(value('layout-top'), 10) || 0),
+        right: Math.max(0, parseInt(value('layout-right'), 10) || 0),
+        bottom: Math.max(0, parseInt(value('layout-bottom'), 10) || 0),
+        left: Math.max(0, parseInt(value('layout-left'), 10) || 0)
+      },
+      start: value('layout-start'),
+      direction: value('layout-direction'),
+      bottomGap: parseInt(value('layout-gap'), 10) / 100,
+      depth: parseInt(value('layout-depth'), 10) / 100
+    });
+  }
+  
+  // Fill the editor fields from a layout
+  fillLayoutForm(layout) {
+    const set = (id, value) => {
+      this.container.querySelector(`#${id}`).value = value;
+    };
+    
+    set('layout-name', layout.name);
+    set('layout-top', layout.counts.top);
+    set('layout-right', layout.counts.right);
+    set('layout-bottom', layout.counts.bottom);
+    set('layout-left', layout.counts.left);
+    set('layout-start', layout.start);
+    set('layout-direction', layout.direction);
+    set('layout-gap', Math.round(layout.bottomGap * 100));
+    set('layout-depth', Math.round(layout.depth * 100));
+    
+    this.container.querySelector('#layout-gap + .slider-value').textContent = `${Math.round(layout.bottomGap * 100)}%`;
+    this.container.querySelector('#layout-depth + .slider-value').textContent = `${Math.round(layout.depth * 100)}%`;
+  }
+  
+  // Draw the layout around a virtual screen
+  drawLayoutPreview() {
+    const canvas = this.container.querySelector('#layout-preview');
+    if (!canvas) return;
+    
+    const ctx = canvas.getContext('2d');
+    const layout = this.readLayoutForm();
+    const margin = 14;
+    const screenWidth = canvas.width - margin * 2;
+    const screenHeight = canvas.height - margin * 2;
+    
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#111';
+    ctx.fillRect(margin, margin, screenWidth, screenHeight);
+    
+    // Keep the zones visible even at shallow sampling depths
+    const rects = new BacklightLayout({ ...layout.toJSON(), depth: Math.max(layout.depth, 0.06) })
+      .getZoneRects(screenWidth, screenHeight);
+    
+    const tagged = {};
+    Object.keys(rects).forEach(edge => {
+      tagged[edge] = rects[edge].map(rect => ({
+        ...rect,
+        x: rect.x + margin,
+        y: rect.y + margin
+      }));
+    });
+    const ordered = layout.orderLeds(tagged);
+    
+    ordered.forEach((rect, index) => {
+      ctx.fillStyle = index === 0 ? '#FFD700' : 'rgba(0, 238, 255, 0.35)';
+      ctx.fillRect(rect.x + 1, rect.y + 1, Math.max(1, rect.width - 2), Math.max(1, rect.height - 2));
+    });
+    
+    // Arrow from the first LED toward the second shows the direction
+    if (ordered.length > 1) {
+      const from = { x: ordered[0].x + ordered[0].width / 2, y: ordered[0].y + ordered[0].height / 2 };
+      const to = { x: ordered[1].x + ordered[1].width / 2, y: ordered[1].y + ordered[1].height / 2 };
+      const angle = Math.atan2(to.y - from.y, to.x - from.x);
+      
+      ctx.strokeStyle = '#FFD700';
+      ctx.fillStyle = '#FFD700';
+      ctx.beginPath();
+      ctx.moveTo(from.x, from.y);
+      ctx.lineTo(to.x, to.y);
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.moveTo(to.x, to.y);
+      ctx.lineTo(to.x - 6 * Math.cos(angle - 0.5), to.y - 6 * Math.sin(angle - 0.5));
+      ctx.lineTo(to.x - 6 * Math.cos(angle + 0.5), to.y - 6 * Math.sin(angle + 0.5));
+      ctx.fill();
+    }
+    
+    ctx.fillStyle = '#AAA';
+    ctx.font = '11px monospace';
+    ctx.textAlign = 'center';
+    ctx.fillText(`${layout.getLedCount()} LEDs`, canvas.width / 2, canvas.height / 2);
+  }
+  
+  // Wire up the layout editor controls
+  setupLayoutEditor() {
+    const inputs = this.container.querySelectorAll('.layout-input');
+    inputs.forEach(input => {
+      input.addEventListener('input', () => {
+        const sliderValue = input.parentNode.querySelector('.slider-value');
+        if (sliderValue) sliderValue.textContent = `${input.value}%`;
+        this.drawLayoutPreview();
+      });
+    });
+    
+    const savedSelect = this.container.querySelector('#layout-saved');
+    savedSelect.addEventListener('change', () => {
+      const layouts = this.loadLayouts();
+      const layout = layouts[savedSelect.value] || this.config.layout;
+      this.fillLayoutForm(new BacklightLayout(layout));
+      this.drawLayoutPreview();
+    });
+    
+    this.container.querySelector('#layout-save').addEventListener('click', () => {
+      const layout = this.readLayoutForm();
+      const layouts = this.loadLayouts();
+      const isNew = !layouts[layout.name];
+      layouts[layout.name] = layout.toJSON();
+      this.saveLayouts(layouts);
+      
+      if (isNew) {
+        const option = document.createElement('option');
+        option.value = layout.name;
+        option.textContent = layout.name;
+        savedSelect.appendChild(option);
+      }
+      savedSelect.value = layout.name;
+    });
+    
+    this.container.querySelector('#layout-delete').addEventListener('click', () => {
+      const name = savedSelect.value;
+      if (!name) return;
+      
+      const layouts = this.loadLayouts();
+      delete layouts[name];
+      this.saveLayouts(layouts);
+      
+      savedSelect.options[savedSelect.selectedIndex].remove();
+      savedSelect.value = '';
+    });
+    
+    const overlayCheckbox = this.container.querySelector('#layout-overlay');
+    overlayCheckbox.addEventListener('change', () => {
+      if (this.backlightSystem) {
+        this.backlightSystem.showLayoutOverlay = overlayCheckbox.checked;
+      }
+    });
+    
+    this.drawLayoutPreview();
+  }
+  
+  // Per-device color calibration section
+  renderCalibrationSection() {
+    const settings = this.getCalibration('default');
+    
+    const slider = (id, label, min, max, value, display, step = 1) => `
             <div class="setting-row">
-              <button id="scan-devices" class="action-btn">Scan for Devices</button>
-            </div>
-            
-            <div class="devices-list" id="devices-list">
-              <div class="device-item">
-                <span class="device-status not-connected"></span>
-                <span class="device-name">Govee TV Backlight</span>
-                <button class="device-action">Connect</button>
-              </div>
-              <div class="device-item">
-                <span class="device-status not-connected"></span>
-                <span class="device-name">Philips Hue Play Bars</span>
-                <button class="device-action">Connect</button>
-              </div>
-              <div class="device-item">
-                <span class="device-status not-connected"></span>
-                <span class="device-name">WLED Strip</span>
-                <button class="device-action">Connect</button>
+              <label class="setting-label">${label}:</label>
+              <div class="slider-container">
+                <input type="range" id="${id}" class="calibration-input" min="${min}" max="${max}" step="${step}" value="${value}">
+                <span class="slider-value">${display}</span>
               </div>
-            </div>
-          </div>
-          
+            </div>`;
+    
+    return `
           <div class="config-section">
-            <h3>Recording Optimization</h3>
+            <h3>Color Calibration</h3>
             
             <div class="setting-row">
-              <label class="setting-label">
-                <input type="checkbox" id="optimize-recording" ${this.config.optimizeRecording ? 'checked' : ''}>
-                Optimize visualization for recording with backlights
-              </label>
+              <label class="setting-label">Device:</label>
+              <select id="calibration-device" class="setting-select">
+                ${this.renderCalibrationDeviceOptions()}
+              </select>
             </div>
             
-            <div class="help-text">
-              <p>When enabled, recordings will be optimized for better color detection by TV backlight systems. This will enhance edge colors and increase saturation slightly during recording.</p>
+            ${slider('cal-saturation', 'Saturation', 0, 200, Math.round(settings.saturation * 100), `${Math.round(settings.saturation * 100)}%`)}
+            ${slider('cal-gamma', 'Gamma', 100, 300, Math.round(settings.gamma * 100), settings.gamma.toFixed(2))}
+            ${slider('cal-gain-r', 'Red Gain', 0, 150, Math.round(settings.gain.r * 100), `${Math.round(settings.gain.r * 100)}%`)}
+            ${slider('cal-gain-g', 'Green Gain', 0, 150, Math.round(settings.gain.g * 100), `${Math.round(settings.gain.g * 100)}%`)}
+            ${slider('cal-gain-b', 'Blue Gain', 0, 150, Math.round(settings.gain.b * 100), `${Math.round(settings.gain.b * 100)}%`)}
+            ${slider('cal-white-point', 'White Point', 2700, 10000, settings.whitePoint, `${settings.whitePoint}K`, 100)}
+            ${slider('cal-min-brightness', 'Minimum Brightness', 0, 128, settings.minBrightness, settings.minBrightness)}
+            ${slider('cal-black-level', 'Black Level Cutoff', 0, 64, settings.blackLevel, settings.blackLevel)}
+            
+            <div class="setting-row">
+              <label class="setting-label">Test Pattern:</label>
+              <select id="calibration-pattern" class="setting-select">
+                <option value="off">Off</option>
+                <option value="white">White (white balance)</option>
+                <option value="red">Red</option>
+                <option value="green">Green</option>
+                <option value="blue">Blue</option>
+                <option value="ramp">Gray Ramp (gamma)</option>
+              </select>
+              <button id="calibration-reset" class="action-btn">Reset</button>
             </div>
             
-            <div class="setting-row recording-tips">
-              <h4>Tips for Best Results:</h4>
-              <ul>
-                <li>Record at 1080p or higher resolution</li>
-                <li>Use high bitrate (10+ Mbps) for better color reproduction</li>
-                <li>Keep video at full screen when playing back</li>
-                <li>Position camera directly facing the screen for best detection</li>
-              </ul>
+            <div class="help-text">
+              <p>Calibration changes apply to connected devices immediately so you can match the test pattern on the strip. Devices without their own calibration use the default.</p>
             </div>
-          </div>
-        </div>
+          </div>`;
+  }
+  
+  // Calibration target options: the default plus every known device
+  renderCalibrationDeviceOptions() {
+    const options = ['<option value="default">All Devices (default)</option>'];
+    const escape = BacklightConfigDialog.escapeHtml;
+    
+    if (this.backlightSystem) {
+      this.devices.forEach(device => {
+        options.push(`<option value="${escape(this.backlightSystem.getDeviceKey(device))}">${escape(device.name)}</option>`);
+      });
+    }
+    
+    return options.join('');
+  }
+  
+  // Saved calibration for a device key, falling back to the default
+  getCalibration(key) {
+    const calibration = this.config.calibration || {};
+    return new BacklightColorPipeline(calibration[key] || calibration.default).toJSON();
+  }
+  
+  // Build calibration settings from the form
+  readCalibrationForm() {
+    const value = (id) => parseInt(this.container.querySelector(`#${id}`).value, 10);
+    
+    return {
+      saturation: value('cal-saturation') / 100,
+      gamma: value('cal-gamma') / 100,
+      gain: {
+        r: value('cal-gain-r') / 100,
+        g: value('cal-gain-g') / 100,
+        b: value('cal-gain-b') / 100
+      },
+      whitePoint: value('cal-white-point'),
+      minBrightness: value('cal-min-brightness'),
+      blackLevel: value('cal-black-level')
+    };
+  }
+  
+  // Fill the calibration form and its value labels
+  fillCalibrationForm(settings) {
+    const set = (id, value, display) => {
+      const input = this.container.querySelector(`#${id}`);
+      input.value = value;
+      input.parentNode.querySelector('.slider-value').textContent = display;
+    };
+    
+    set('cal-saturation', Math.round(settings.saturation * 100), `${Math.round(settings.saturation * 100)}%`);
+    set('cal-gamma', Math.round(settings.gamma * 100), settings.gamma.toFixed(2));
+    set('cal-gain-r', Math.round(settings.gain.r * 100), `${Math.round(settings.gain.r * 100)}%`);
+    set('cal-gain-g', Math.round(settings.gain.g * 100), `${Math.round(settings.gain.g * 100)}%`);
+    set('cal-gain-b', Math.round(settings.gain.b * 100), `${Math.round(settings.gain.b * 100)}%`);
+    set('cal-white-point', settings.whitePoint, `${settings.whitePoint}K`);
+    set('cal-min-brightness', settings.minBrightness, settings.minBrightness);
+    set('cal-black-level', settings.blackLevel, settings.blackLevel);
+  }
+  
+  // Wire up the calibration controls
+  setupCalibrationEditor() {
+    const deviceSelect = this.container.querySelector('#calibration-device');
+    
+    deviceSelect.addEventListener('change', () => {
+      this.fillCalibrationForm(this.getCalibration(deviceSelect.value));
+    });
+    
+    // Every change is stored and pushed to the devices right away
+    this.container.querySelectorAll('.calibration-input').forEach(input => {
+      input.addEventListener('input', () => {
+        const settings = this.readCalibrationForm();
+        this.fillCalibrationForm(settings);
         
-        <div class="dialog-footer">
-          <button id="backlight-save" class="primary-btn">Save</button>
-          <button id="backlight-cancel" class="secondary-btn">Cancel</button>
-          <button id="backlight-apply" class="secondary-btn">Apply</button>
-        </div>
-      </div>
-    `;
+        this.config.calibration = { ...this.config.calibration, [deviceSelect.value]: settings };
+        if (this.backlightSystem) {
+          this.backlightSystem.setCalibration(deviceSelect.value, settings);
+        }
+      });
+    });
+    
+    this.container.querySelector('#calibration-pattern').addEventListener('change', (e) => {
+      if (this.backlightSystem) {
+        this.backlightSystem.setTestPattern(e.target.value);
+      }
+    });
+    
+    // Devices fall back to the default; the default goes back to neutral
+    this.container.querySelector('#calibration-reset').addEventListener('click', () => {
+      const key = deviceSelect.value;
+      const calibration = { ...this.config.calibration };
+      
+      if (key === 'default') {
+        calibration.default = new BacklightColorPipeline().toJSON();
+      } else {
+        delete calibration[key];
+      }
+      this.config.calibration = calibration;
+      
+      if (this.backlightSystem) {
+        this.backlightSystem.setCalibration(key, calibration[key]);
+      }
+      this.fillCalibrationForm(this.getCalibration(key));
+    });
+  }
+  
+  // One row per registered driver until a scan finds real devices
+  renderDriverList() {
+    if (!this.backlightSystem) return '';
+    
+    return this.backlightSystem.drivers.list().map(Driver => {
+      const notes = [];
+      if (Driver.capabilities.requiresBridge) notes.push('needs bridge');
+      if (Driver.capabilities.requiresPairing) notes.push('pairing');
+      
+      return `
+              <div class="device-item">
+                <span class="device-status not-connected"></span>
+                <span class="device-name">${Driver.displayName}</span>
+                <span class="device-capabilities">${notes.join(', ')}</span>
+              </div>`;
+    }).join('');
+  }
+  
+  // Device type options for manual entry
+  renderDriverOptions() {
+    if (!this.backlightSystem) return '';
+    
+    return this.backlightSystem.drivers.list()
+      .map(Driver => `<option value="${Driver.type}">${Driver.displayName}</option>`)
+      .join('');
   }
   
   // Set up event listeners
@@ -252,25 +2303,71 @@ class BacklightConfigDialog {
       });
     }
     
-    // Cancel button
-    const cancelBtn = this.container.querySelector('#backlight-cancel');
-    if (cancelBtn) {
-      cancelBtn.addEventListener('click', () => this.hide());
+    // Cancel button
+    const cancelBtn = this.container.querySelector('#backlight-cancel');
+    if (cancelBtn) {
+      cancelBtn.addEventListener('click', () => this.hide());
+    }
+    
+    // Apply button
+    const applyBtn = this.container.querySelector('#backlight-apply');
+    if (applyBtn) {
+      applyBtn.addEventListener('click', () => {
+        this.updateConfig();
+        this.applyConfig();
+      });
+    }
+    
+    // Scan devices button
+    const scanBtn = this.container.querySelector('#scan-devices');
+    if (scanBtn) {
+      scanBtn.addEventListener('click', () => this.scanForDevices());
+    }
+    
+    // Reset button
+    const resetBtn = this.container.querySelector('#backlight-reset');
+    if (resetBtn) {
+      resetBtn.addEventListener('click', () => {
+        if (confirm('Reset all backlight settings to their defaults?')) {
+          this.resetConfig();
+        }
+      });
+    }
+    
+    // Add device by IP button
+    const addDeviceBtn = this.container.querySelector('#add-device');
+    if (addDeviceBtn) {
+      addDeviceBtn.addEventListener('click', () => this.addManualDevice());
+    }
+    
+    // Live LED preview
+    if (this.container.querySelector('#backlight-preview')) {
+      this.setupPreview();
+    }
+    
+    // Stored device credentials
+    if (this.container.querySelector('#credential-section')) {
+      this.setupCredentialControls();
+    }
+    
+    // Named profiles
+    if (this.container.querySelector('#profile-section')) {
+      this.setupProfileControls();
+    }
+    
+    // Screen, capture card and video file sources
+    if (this.container.querySelector('#capture-source')) {
+      this.setupCaptureControls();
     }
     
-    // Apply button
-    const applyBtn = this.container.querySelector('#backlight-apply');
-    if (applyBtn) {
-      applyBtn.addEventListener('click', () => {
-        this.updateConfig();
-        this.applyConfig();
-      });
+    // LED layout editor
+    if (this.container.querySelector('#layout-preview')) {
+      this.setupLayoutEditor();
     }
     
-    // Scan devices button
-    const scanBtn = this.container.querySelector('#scan-devices');
-    if (scanBtn) {
-      scanBtn.addEventListener('click', () => this.scanForDevices());
+    // Color calibration
+    if (this.container.querySelector('#calibration-device')) {
+      this.setupCalibrationEditor();
     }
     
     // Slider value updates
@@ -307,12 +2404,26 @@ class BacklightConfigDialog {
     this.config.enabled = this.container.querySelector('#backlight-enabled').checked;
     this.config.mode = this.container.querySelector('#backlight-mode').value;
     this.config.mirrorMode = this.container.querySelector('#backlight-mirror').checked;
+    this.config.mirrorAxis = this.container.querySelector('#mirror-axis').value;
+    this.config.mirrorBlend = this.container.querySelector('#mirror-blend').value;
+    this.config.audioReactiveMode = this.container.querySelector('#audio-reactive-mode').value;
+    this.config.scene = this.container.querySelector('#backlight-scene').value;
     this.config.edgeEmphasis = parseInt(this.container.querySelector('#edge-emphasis').value) / 100;
     this.config.colorSaturation = parseInt(this.container.querySelector('#color-saturation').value) / 100;
     this.config.smoothingFactor = parseInt(this.container.querySelector('#smoothing-factor').value) / 100;
     this.config.transitionSpeed = this.container.querySelector('#transition-speed').value;
+    this.config.useWorker = this.container.querySelector('#use-worker').checked;
+    this.config.audioLookAhead = this.container.querySelector('#audio-look-ahead').checked;
+    this.config.captureLetterbox = this.container.querySelector('#capture-letterbox').checked;
     this.config.detectDevices = this.container.querySelector('#detect-devices').checked;
     this.config.optimizeRecording = this.container.querySelector('#optimize-recording').checked;
+    this.config.recording = {
+      codec: this.container.querySelector('#recording-codec').value,
+      fps: parseInt(this.container.querySelector('#recording-fps').value, 10),
+      videoBitsPerSecond: parseInt(this.container.querySelector('#recording-bitrate').value, 10),
+      maxDuration: parseInt(this.container.querySelector('#recording-max-duration').value, 10)
+    };
+    this.config.layout = this.readLayoutForm().toJSON();
   }
   
   // Apply config to backlight system
@@ -331,9 +2442,174 @@ class BacklightConfigDialog {
     this.backlightSystem.smoothingFactor = this.config.smoothingFactor;
     this.backlightSystem.transitionSpeed = this.config.transitionSpeed;
     
+    // Zone arrays follow the physical strip layout
+    if (this.config.layout) {
+      this.backlightSystem.setLayout(this.config.layout);
+    }
+    
+    // Recording settings are read when a recording starts
+    this.backlightSystem.recordingOptions = { ...this.backlightSystem.recordingOptions, ...this.config.recording };
+    
+    // Move sampling and device output off the main thread, or bring it back
+    if (this.config.useWorker) {
+      this.backlightSystem.enableWorker();
+    } else {
+      this.backlightSystem.disableWorker();
+    }
+    
+    // Audio-reactive lighting replaces screen sampling when selected
+    this.backlightSystem.setAudioReactiveMode(this.config.audioReactiveMode);
+    
+    // Per-device color calibration
+    Object.keys(this.config.calibration || {}).forEach(key => {
+      this.backlightSystem.setCalibration(key, this.config.calibration[key]);
+    });
+    
+    // Per-device zones, brightness and latency
+    Object.keys(this.config.outputs || {}).forEach(key => {
+      this.backlightSystem.setOutputSettings(key, this.config.outputs[key]);
+    });
+    
+    // Look-ahead covers the slowest device, so it follows the latencies
+    if (this.config.audioLookAhead) {
+      this.backlightSystem.enableAudioLookAhead();
+    } else {
+      this.backlightSystem.disableAudioLookAhead();
+    }
+    
     // Mirror mode requires special handling in visualization
     if (this.backlightSystem.visualization) {
       this.backlightSystem.visualization.options.mirrorMode = this.config.mirrorMode;
+      this.backlightSystem.visualization.options.mirrorAxis = this.config.mirrorAxis || 'horizontal';
+      this.backlightSystem.visualization.options.mirrorBlend = this.config.mirrorBlend || 'average';
+      this.backlightSystem.visualization.options.scene = this.config.scene || 'bars';
+    }
+  }
+  
+  // Slider values that are not applied yet, for the preview
+  readPreviewSettings() {
+    const value = (id) => this.container.querySelector(`#${id}`).value;
+    return {
+      mode: value('backlight-mode'),
+      edgeEmphasis: parseInt(value('edge-emphasis'), 10) / 100,
+      colorSaturation: parseInt(value('color-saturation'), 10) / 100,
+      smoothingFactor: parseInt(value('smoothing-factor'), 10) / 100,
+      transitionSpeed: value('transition-speed')
+    };
+  }
+  
+  // Wire up the preview's view and before/after controls
+  setupPreview() {
+    this.preview.attach(this.container.querySelector('#backlight-preview'), () => this.readPreviewSettings());
+    
+    this.container.querySelector('#preview-view').addEventListener('change', (e) => {
+      this.preview.view = e.target.value;
+    });
+    
+    const compareBtn = this.container.querySelector('#preview-compare');
+    compareBtn.addEventListener('click', () => {
+      this.preview.showBefore = !this.preview.showBefore;
+      compareBtn.textContent = this.preview.showBefore ? 'Show After' : 'Show Before';
+    });
+    
+    if (this.isVisible) {
+      this.preview.start();
+    }
+  }
+  
+  // Capture controls; sharing a screen has to start from the button's click
+  setupCaptureControls() {
+    const sourceSelect = this.container.querySelector('#capture-source');
+    const deviceSelect = this.container.querySelector('#capture-device');
+    const fileInput = this.container.querySelector('#capture-file');
+    const startButton = this.container.querySelector('#capture-start');
+    
+    sourceSelect.addEventListener('change', () => {
+      deviceSelect.style.display = sourceSelect.value === 'device' ? '' : 'none';
+      
+      if (sourceSelect.value === 'device') {
+        BacklightCaptureSource.listDevices().then(devices => {
+          deviceSelect.length = 0;
+          devices.forEach((device, i) => {
+            deviceSelect.add(new Option(device.label || `Video input ${i + 1}`, device.deviceId));
+          });
+        }).catch(error => console.error('Error listing capture devices:', error));
+      }
+    });
+    
+    startButton.addEventListener('click', () => {
+      if (this.captureSource) {
+        this.stopCapture();
+      } else if (sourceSelect.value === 'file') {
+        fileInput.click();
+      } else {
+        this.startCapture(sourceSelect.value, deviceSelect.value);
+      }
+    });
+    
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files[0]) {
+        this.startCapture('file', fileInput.files[0]);
+        fileInput.value = '';
+      }
+    });
+  }
+  
+  // Start sampling a screen share, capture device or video file
+  startCapture(type, target) {
+    if (!this.backlightSystem) return;
+    
+    const source = new BacklightCaptureSource(this.backlightSystem, {
+      detectLetterbox: this.container.querySelector('#capture-letterbox').checked
+    });
+    
+    let started;
+    if (type === 'screen') {
+      started = source.startScreen();
+    } else if (type === 'device') {
+      started = source.startDevice(target);
+    } else {
+      // Video files play full window behind the dialog so they can be watched
+      const video = document.createElement('video');
+      video.className = 'backlight-capture-video';
+      video.controls = true;
+      video.addEventListener('ended', () => this.stopCapture());
+      document.body.appendChild(video);
+      started = source.startFile(target, video);
+    }
+    
+    started
+      .then(() => {
+        this.captureSource = source;
+        this.container.querySelector('#capture-start').textContent = 'Stop Capture';
+      })
+      .catch(error => {
+        console.error('Error starting capture:', error);
+        source.stop();
+        this.removeCaptureVideo();
+      });
+  }
+  
+  // Go back to sampling the visualizer
+  stopCapture() {
+    if (this.captureSource) {
+      this.captureSource.stop();
+      this.captureSource = null;
+    }
+    this.removeCaptureVideo();
+    
+    const startButton = this.container && this.container.querySelector('#capture-start');
+    if (startButton) {
+      startButton.textContent = 'Start Capture';
+    }
+  }
+  
+  // Remove the player a video file capture added
+  removeCaptureVideo() {
+    const video = document.querySelector('.backlight-capture-video');
+    if (video) {
+      video.pause();
+      video.remove();
     }
   }
   
@@ -347,23 +2623,63 @@ class BacklightConfigDialog {
     // Show scanning state
     devicesList.innerHTML = '<div class="scanning-message">Scanning for devices...</div>';
     
-    // Simulate scanning (would be replaced with actual device discovery)
-    setTimeout(() => {
-      // Get discovered devices (simulated)
-      const discoveredDevices = this.simulateDeviceDiscovery();
-      
-      // Update device list
-      this.updateDevicesList(discoveredDevices);
-    }, 2000);
+    if (!this.backlightSystem) return;
+    
+    this.backlightSystem.scanForBacklightSystems()
+      .catch(error => {
+        console.error('Error scanning for backlight devices:', error);
+        return [];
+      })
+      .then(discoveredDevices => {
+        // Manually added devices stay in the list even when a scan misses them
+        this.devices = this.backlightSystem.mergeDiscoveredDevices([
+          discoveredDevices,
+          this.config.manualDevices || []
+        ]);
+        
+        // Keep connection state for devices that are already connected
+        this.devices.forEach(device => {
+          device.connected = Boolean(this.backlightSystem.connections[this.backlightSystem.getDeviceKey(device)]);
+        });
+        
+        this.updateDevicesList(this.devices);
+      });
   }
   
-  // Simulate device discovery (would be replaced with actual implementation)
-  simulateDeviceDiscovery() {
-    return [
-      { id: 'govee1', name: 'Govee TV Backlight', type: 'Govee', connected: false, ipAddress: '192.168.1.100' },
-      { id: 'hue1', name: 'Philips Hue Play Bars', type: 'Philips Hue', connected: false, bridgeIp: '192.168.1.150' },
-      { id: 'wled1', name: 'WLED Strip', type: 'WLED', connected: false, ipAddress: '192.168.1.200' }
-    ];
+  // Probe a device by IP address and add it to the list
+  addManualDevice() {
+    if (!this.container || !this.backlightSystem) return;
+    
+    const type = this.container.querySelector('#manual-device-type').value;
+    const ipInput = this.container.querySelector('#manual-device-ip');
+    const ipAddress = ipInput.value.trim();
+    if (!ipAddress) return;
+    
+    ipInput.classList.remove('invalid');
+    
+    const addButton = this.container.querySelector('#add-device');
+    addButton.disabled = true;
+    
+    this.backlightSystem.addDeviceByIp(type, ipAddress)
+      .then(device => {
+        // Store without runtime state so it can be saved with the config
+        const { connected, capabilities, ...stored } = device;
+        this.config.manualDevices = (this.config.manualDevices || [])
+          .filter(existing => !(existing.type === device.type && existing.id === device.id))
+          .concat(stored);
+        this.saveConfig();
+        
+        this.devices = this.backlightSystem.mergeDiscoveredDevices([[device], this.devices]);
+        this.updateDevicesList(this.devices);
+        ipInput.value = '';
+      })
+      .catch(error => {
+        console.error(`Could not add ${type} device at ${ipAddress}:`, error);
+        ipInput.classList.add('invalid');
+      })
+      .then(() => {
+        addButton.disabled = false;
+      });
   }
   
   // Update devices list in UI
@@ -381,13 +2697,17 @@ class BacklightConfigDialog {
       const deviceItem = document.createElement('div');
       deviceItem.className = 'device-item';
       
+      const key = this.backlightSystem.getDeviceKey(device);
+      const escape = BacklightConfigDialog.escapeHtml;
       deviceItem.innerHTML = `
         <span class="device-status ${device.connected ? 'connected' : 'not-connected'}"></span>
-        <span class="device-name">${device.name}</span>
-        <button class="device-action" data-id="${device.id}">${device.connected ? 'Disconnect' : 'Connect'}</button>
+        <span class="device-name">${escape(device.name)}</span>
+        <button class="device-action" data-id="${escape(key)}">${device.connected ? 'Disconnect' : 'Connect'}</button>
+        ${this.renderOutputSettings(key)}
       `;
       
       devicesList.appendChild(deviceItem);
+      this.setupOutputSettings(deviceItem, key);
       
       // Add event listener to connect button
       const connectButton = deviceItem.querySelector('.device-action');
@@ -404,6 +2724,125 @@ class BacklightConfigDialog {
     if (devices.length === 0) {
       devicesList.innerHTML = '<div class="no-devices-message">No backlight devices found</div>';
     }
+    
+    // Calibration can target any listed device
+    const calibrationSelect = this.container.querySelector('#calibration-device');
+    if (calibrationSelect) {
+      const selected = calibrationSelect.value;
+      calibrationSelect.innerHTML = this.renderCalibrationDeviceOptions();
+      const known = Array.from(calibrationSelect.options).some(option => option.value === selected);
+      calibrationSelect.value = known ? selected : 'default';
+      this.fillCalibrationForm(this.getCalibration(calibrationSelect.value));
+    }
+    
+    // Credentials show device names and can be added for listed devices
+    this.refreshCredentialSection();
+  }
+  
+  // Connect button of a listed device (device IDs come from the network, so
+  // the key is escaped for the selector)
+  findDeviceButton(device) {
+    const key = CSS.escape(this.backlightSystem.getDeviceKey(device));
+    return this.container.querySelector(`.device-action[data-id="${key}"]`);
+  }
+  
+  // Zones, brightness, latency and enable toggle for one device
+  renderOutputSettings(key) {
+    const output = { ...BacklightSystem.defaultOutputSettings, ...(this.config.outputs || {})[key] };
+    const edges = [['top', 'Top'], ['right', 'Right'], ['bottom', 'Bottom'], ['left', 'Left']];
+    
+    return `
+        <div class="device-output">
+          <label><input type="checkbox" class="output-enabled" ${output.enabled ? 'checked' : ''}> Enabled</label>
+          <span class="output-edges">
+            ${edges.map(([edge, label]) => `<label><input type="checkbox" class="output-edge" value="${edge}" ${output.edges.includes(edge) ? 'checked' : ''}> ${label}</label>`).join('')}
+          </span>
+          <label>Brightness <input type="range" class="output-brightness" min="0" max="100" value="${Math.round(output.brightness * 100)}"></label>
+          <label>Latency <input type="number" class="output-latency" min="-1000" max="2000" step="5" value="${output.latency}"> ms</label>
+          <button class="device-action output-measure">Measure</button>
+        </div>`;
+  }
+  
+  // Output changes are stored and applied to the device right away
+  setupOutputSettings(deviceItem, key) {
+    const read = () => ({
+      enabled: deviceItem.querySelector('.output-enabled').checked,
+      edges: Array.from(deviceItem.querySelectorAll('.output-edge:checked')).map(input => input.value),
+      brightness: parseInt(deviceItem.querySelector('.output-brightness').value, 10) / 100,
+      latency: parseInt(deviceItem.querySelector('.output-latency').value, 10) || 0
+    });
+    
+    deviceItem.querySelectorAll('.device-output input').forEach(input => {
+      input.addEventListener('input', () => {
+        const settings = read();
+        this.config.outputs = { ...this.config.outputs, [key]: settings };
+        if (this.backlightSystem) {
+          this.backlightSystem.setOutputSettings(key, settings);
+        }
+      });
+    });
+    
+    deviceItem.querySelector('.output-measure').addEventListener('click', () => {
+      this.measureLatency(key, (latency) => {
+        const input = deviceItem.querySelector('.output-latency');
+        input.value = latency;
+        input.dispatchEvent(new Event('input'));
+      });
+    });
+  }
+  
+  // Walk the user through tapping along to the screen, then to the device
+  measureLatency(key, onMeasured) {
+    if (!this.backlightSystem) return;
+    
+    const panel = this.container.querySelector('#latency-meter');
+    const flash = panel.querySelector('.latency-flash');
+    const instructions = panel.querySelector('.latency-instructions');
+    const tapButton = panel.querySelector('#latency-tap');
+    const cancelButton = panel.querySelector('#latency-cancel');
+    
+    const meter = new BacklightLatencyMeter(this.backlightSystem, key);
+    const taps = meter.options.taps;
+    
+    const close = () => {
+      meter.stop();
+      panel.style.display = 'none';
+      tapButton.onclick = null;
+      cancelButton.onclick = null;
+      document.removeEventListener('keydown', onKey);
+    };
+    
+    // The space bar taps too, which is easier to keep in time
+    const onKey = (e) => {
+      if (e.code === 'Space') {
+        e.preventDefault();
+        meter.tap();
+      }
+    };
+    
+    meter.onFlash = (on) => {
+      flash.classList.toggle('on', on);
+    };
+    meter.onPhaseComplete = (phase) => {
+      if (phase === 'screen') {
+        instructions.textContent = `Now tap in time with the light flashing (${taps} taps)`;
+        meter.start('device');
+        return;
+      }
+      
+      const latency = meter.getLatency();
+      close();
+      console.log(`Measured latency for ${key}: ${latency} ms`);
+      onMeasured(latency);
+    };
+    
+    tapButton.onclick = () => meter.tap();
+    cancelButton.onclick = close;
+    document.addEventListener('keydown', onKey);
+    
+    instructions.textContent = `Tap in time with the flashing square (${taps} taps)`;
+    panel.style.display = 'block';
+    meter.start('screen');
   }
   
   // Connect to a device
@@ -411,30 +2850,119 @@ class BacklightConfigDialog {
     if (!this.backlightSystem) return;
     
     // Update button state
-    const connectButton = this.container.querySelector(`.device-action[data-id="${device.id}"]`);
+    const connectButton = this.findDeviceButton(device);
     if (connectButton) {
       connectButton.textContent = 'Connecting...';
       connectButton.disabled = true;
     }
     
-    // Simulate connection (would be replaced with actual API connection)
-    setTimeout(() => {
+    // Stored keys and tokens have to be readable first
+    this.unlockCredentials().then(unlocked => {
+      if (unlocked) {
+        this.connectUnlockedDevice(device, connectButton);
+      } else if (connectButton) {
+        connectButton.textContent = 'Connect';
+        connectButton.disabled = false;
+      }
+    });
+  }
+  
+  // Connect once the device's credentials are available
+  connectUnlockedDevice(device, connectButton) {
+    // Hue bridges need pairing and an entertainment area first
+    if (device.type === 'Philips Hue') {
+      this.connectHueDevice(device, connectButton);
+      return;
+    }
+    
+    this.backlightSystem.connectToSystem(device).then(connection => {
       // Update device status
-      device.connected = true;
+      device.connected = Boolean(connection);
       
       // Update UI
-      const deviceStatus = this.container.querySelector(`.device-action[data-id="${device.id}"]`).parentNode.querySelector('.device-status');
-      deviceStatus.className = 'device-status connected';
+      const deviceStatus = this.findDeviceButton(device).parentNode.querySelector('.device-status');
+      deviceStatus.className = `device-status ${device.connected ? 'connected' : 'not-connected'}`;
       
       // Update button
       if (connectButton) {
-        connectButton.textContent = 'Disconnect';
+        connectButton.textContent = device.connected ? 'Disconnect' : 'Connect';
         connectButton.disabled = false;
       }
+    });
+  }
+  
+  // Pair with a Hue bridge if needed, pick an entertainment area, then connect
+  connectHueDevice(device, connectButton) {
+    const paired = this.backlightSystem.getCredentials(device).appKey;
+    
+    if (!paired && connectButton) {
+      connectButton.textContent = 'Press link button on bridge...';
+    }
+    
+    const pairing = paired ? Promise.resolve(paired) : this.backlightSystem.pairHueBridge(device);
+    
+    pairing
+      .then(() => this.backlightSystem.listHueAreas(device))
+      .then(areas => {
+        this.renderHueAreaSelect(device, areas);
+        return this.backlightSystem.connectToSystem(device);
+      })
+      .then(connection => {
+        // connectToSystem resolves null when the stream could not be opened
+        if (!connection) {
+          throw new Error('The entertainment stream did not start');
+        }
+        
+        device.connected = true;
+        const deviceStatus = connectButton.parentNode.querySelector('.device-status');
+        deviceStatus.className = 'device-status connected';
+        connectButton.textContent = 'Disconnect';
+        connectButton.disabled = false;
+      })
+      .catch(error => {
+        console.error('Error connecting to Hue bridge:', error);
+        alert(`Could not connect to ${device.name}: ${error.message}`);
+        if (connectButton) {
+          connectButton.textContent = 'Connect';
+          connectButton.disabled = false;
+        }
+      });
+  }
+  
+  // Let the user choose which entertainment area to stream to
+  renderHueAreaSelect(device, areas) {
+    const connectButton = this.findDeviceButton(device);
+    if (!connectButton) return;
+    
+    let select = connectButton.parentNode.querySelector('.hue-area-select');
+    if (!select) {
+      select = document.createElement('select');
+      select.className = 'setting-select hue-area-select';
+      connectButton.parentNode.insertBefore(select, connectButton);
       
-      // Notify backlight system of connected device
-      this.backlightSystem.connectToSystem(device);
-    }, 1500);
+      // Switching areas restarts the stream on the new one
+      select.addEventListener('change', () => {
+        device.areaId = select.value;
+        if (device.connected) {
+          this.backlightSystem.disconnectFromSystem(this.backlightSystem.getDeviceKey(device))
+            .then(() => this.backlightSystem.connectToSystem(device))
+            .then(connection => {
+              if (!connection) this.disconnectDevice(device);
+            });
+        }
+      });
+    }
+    
+    // Area names come from the bridge, so they go in as text
+    select.length = 0;
+    areas.forEach(area => {
+      select.add(new Option(`${area.name} (${area.channels.length} lights)`, area.id));
+    });
+    
+    if (!areas.some(area => area.id === device.areaId) && areas.length) {
+      device.areaId = areas[0].id;
+    }
+    select.value = device.areaId;
   }
   
   // Disconnect from a device
@@ -442,19 +2970,18 @@ class BacklightConfigDialog {
     if (!this.backlightSystem) return;
     
     // Update button state
-    const connectButton = this.container.querySelector(`.device-action[data-id="${device.id}"]`);
+    const connectButton = this.findDeviceButton(device);
     if (connectButton) {
       connectButton.textContent = 'Disconnecting...';
       connectButton.disabled = true;
     }
     
-    // Simulate disconnection (would be replaced with actual API disconnection)
-    setTimeout(() => {
+    this.backlightSystem.disconnectFromSystem(this.backlightSystem.getDeviceKey(device)).then(() => {
       // Update device status
       device.connected = false;
       
       // Update UI
-      const deviceStatus = this.container.querySelector(`.device-action[data-id="${device.id}"]`).parentNode.querySelector('.device-status');
+      const deviceStatus = this.findDeviceButton(device).parentNode.querySelector('.device-status');
       deviceStatus.className = 'device-status not-connected';
       
       // Update button
@@ -462,10 +2989,7 @@ class BacklightConfigDialog {
         connectButton.textContent = 'Connect';
         connectButton.disabled = false;
       }
-      
-      // Notify backlight system of disconnected device
-      // This implementation would depend on the actual backlight system API
-    }, 500);
+    });
   }
 }
 
@@ -611,6 +3135,7 @@ class BacklightConfigDialog {
 
 .device-item {
   display: flex;
+  flex-wrap: wrap;
   align-items: center;
   padding: 10px;
   border-bottom: 1px solid rgba(255, 255, 255, 0.1);
@@ -640,6 +3165,103 @@ class BacklightConfigDialog {
   flex: 1;
 }
 
+.device-output {
+  display: flex;
+  flex-basis: 100%;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 12px;
+  margin: 8px 0 0 20px;
+  font-size: 0.8rem;
+  color: var(--text-secondary);
+}
+
+.output-edges label {
+  margin-right: 6px;
+}
+
+.output-latency {
+  width: 60px;
+}
+
+.backlight-capture-video {
+  position: fixed;
+  top: 0;
+  left: 0;
+  width: 100%;
+  height: 100%;
+  background-color: #000;
+  z-index: 900;
+}
+
+.latency-meter {
+  margin-top: 10px;
+  padding: 10px;
+  text-align: center;
+  border: 1px solid rgba(255, 255, 255, 0.1);
+}
+
+.latency-flash {
+  width: 60px;
+  height: 60px;
+  margin: 0 auto 10px;
+  background-color: #000;
+}
+
+.latency-flash.on {
+  background-color: #fff;
+}
+
+.device-capabilities {
+  margin-right: 10px;
+  font-size: 0.8rem;
+  color: var(--text-secondary);
+}
+
+.manual-device .setting-select {
+  min-width: 0;
+  margin-right: 10px;
+}
+
+.setting-input {
+  flex: 1;
+  background-color: var(--surface-color);
+  border: 1px solid rgba(255, 255, 255, 0.2);
+  padding: 5px 10px;
+  color: var(--text-color);
+  margin-right: 10px;
+}
+
+.setting-input.invalid {
+  border-color: var(--error-color);
+}
+
+.layout-editor {
+  display: flex;
+  align-items: flex-start;
+  margin-bottom: 15px;
+}
+
+.layout-preview {
+  margin-right: 15px;
+  background-color: rgba(0, 0, 0, 0.4);
+  border-radius: 4px;
+}
+
+.layout-counts {
+  flex: 1;
+}
+
+.layout-counts .setting-input {
+  flex: 0 0 70px;
+  margin-right: 0;
+}
+
+.hue-area-select {
+  min-width: 0;
+  margin-right: 10px;
+}
+
 .device-action {
   background-color: transparent;
   border: 1px solid var(--text-secondary);
@@ -701,12 +3323,103 @@ class BacklightConfigDialog {
   color: var(--accent-color);
 }
 
+.config-issues {
+  margin-bottom: 15px;
+  padding: 10px;
+  border: 1px solid var(--warning-color, #ffaa00);
+  font-size: 0.9rem;
+}
+
+.config-issues ul {
+  margin: 5px 0 0;
+  padding-left: 20px;
+}
+
+.profile-actions {
+  flex-wrap: wrap;
+  gap: 5px;
+}
+
+.profile-auto {
+  gap: 5px;
+}
+
+.profile-auto .setting-input {
+  width: auto;
+  min-width: 0;
+}
+
+.backlight-profile-menu {
+  background-color: var(--surface-color);
+  color: var(--text-color);
+  border: 1px solid var(--accent-color);
+}
+
+.backlight-preview {
+  margin-bottom: 15px;
+}
+
+.backlight-preview canvas {
+  display: block;
+  width: 100%;
+  max-width: 480px;
+  margin: 0 auto 10px;
+  background-color: #0a0a0a;
+  border: 1px solid var(--surface-color-alt);
+}
+
+.backlight-preview .setting-row {
+  justify-content: center;
+  gap: 10px;
+}
+
+.credential-protection,
+.credential-add {
+  gap: 5px;
+}
+
+.credential-item {
+  display: flex;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 8px;
+  padding: 6px 0;
+  border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+}
+
+.credential-name {
+  flex: 1;
+  font-size: 13px;
+}
+
+.credential-field {
+  font-size: 12px;
+  color: var(--text-secondary);
+}
+
 .help-text {
   font-size: 0.9rem;
   color: var(--text-secondary);
   padding: 0 10px;
 }
 
+.recording-recovery h4 {
+  margin: 10px 0 5px;
+  font-size: 14px;
+}
+
+.recovery-item {
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  padding: 6px 0;
+}
+
+.recovery-name {
+  flex: 1;
+  font-size: 13px;
+}
+
 .recording-tips {
   display: block;
 }
@@ -0,0 +1,126 @@
+// Enhanced Audio Visualizer - TV Backlight Worker
+// Samples frames and drives backlight devices off the main thread.
+// Started by BacklightSystem.enableWorker(); see BacklightWorkerClient for the page side.
+
+importScripts('backlight-devices.js', 'backlight-integration.js');
+
+// The worker runs its own backlight system without a visualizer
+const system = new BacklightSystem(null);
+system.isEnabled = true;
+
+// Canvas the frames are drawn into for sampling, or one the page transferred to us
+let frameCanvas = null;
+let attachedCanvas = false;
+
+// Report connection state to the page
+function postStatus() {
+  self.postMessage({
+    type: 'status',
+    connections: Object.values(system.connections).map(connection => ({
+      key: system.getDeviceKey(connection.device),
+      type: connection.device.type,
+      id: connection.device.id,
+      connected: Boolean(connection.connected)
+    }))
+  });
+}
+
+// Answer a request from the page
+function reply(message, promise) {
+  Promise.resolve(promise)
+    .then(result => {
+      self.postMessage({ type: 'reply', id: message.id, result });
+      postStatus();
+    })
+    .catch(error => {
+      self.postMessage({ type: 'reply', id: message.id, error: error.message });
+      postStatus();
+    });
+}
+
+// Sample one frame, send it to the devices if asked, and return the zone colors
+function handleFrame(message) {
+  if (message.settings) {
+    Object.assign(system, message.settings);
+  }
+
+  if (message.bitmap) {
+    if (!frameCanvas || attachedCanvas) {
+      frameCanvas = new OffscreenCanvas(message.width, message.height);
+      attachedCanvas = false;
+    } else if (frameCanvas.width !== message.width || frameCanvas.height !== message.height) {
+      frameCanvas.width = message.width;
+      frameCanvas.height = message.height;
+    }
+
+    const ctx = frameCanvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(message.bitmap, 0, 0);
+    message.bitmap.close();
+  }
+
+  if (frameCanvas) {
+    const ctx = frameCanvas.getContext('2d', { willReadFrequently: true });
+    system.sampleEdgeColors(ctx, frameCanvas.width, frameCanvas.height);
+
+    if (message.send) {
+      system.sendColorDataToConnectedSystems();
+    }
+  }
+
+  self.postMessage({ type: 'zones', zones: system.edgeZones });
+}
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  switch (message.type) {
+    case 'frame':
+      // The page holds back further frames until this one is answered, so a
+      // failure has to be answered too
+      try {
+        handleFrame(message);
+      } catch (error) {
+        if (message.bitmap) message.bitmap.close();
+        self.postMessage({ type: 'frameError', error: error.message });
+      }
+      break;
+    case 'canvas':
+      // An OffscreenCanvas the page rendered into; frames without a bitmap sample it
+      frameCanvas = message.canvas;
+      attachedCanvas = true;
+      break;
+    case 'send':
+      if (message.key) {
+        system.sendFrameToDevice(message.key, message.frame);
+      } else {
+        system.sendColorDataToConnectedSystems(message.frame, message.lead);
+      }
+      break;
+    case 'measuring':
+      system.setMeasuringDevice(message.key);
+      break;
+    case 'layout':
+      system.setLayout(message.layout);
+      break;
+    case 'calibration':
+      system.setCalibration(message.key, message.settings);
+      break;
+    case 'output':
+      system.setOutputSettings(message.key, message.settings);
+      break;
+    case 'connect':
+      reply(message, system.connectToSystem(message.device).then(connection => {
+        if (!connection) throw new Error(`Could not connect to ${message.device.type}`);
+        return { type: message.device.type, id: message.device.id };
+      }));
+      break;
+    case 'disconnect':
+      reply(message, system.disconnectFromSystem(message.deviceKey).then(() => null));
+      break;
+    default:
+      console.warn('Unknown backlight worker message:', message.type);
+  }
+};
+
+// Keep the page's connection indicators current
+setInterval(postStatus, 1000);
@@ -0,0 +1,45 @@
+// Helpers for tests that talk to a running bridge over HTTP
+
+const http = require('http');
+const { BacklightBridge } = require('../backlight-bridge');
+
+const ORIGIN = 'http://localhost:8080';
+
+// Send a request to the bridge and parse the JSON reply
+function call(bridge, method, path, { body, token, origin = ORIGIN, host } = {}) {
+  const headers = {};
+  if (origin) headers.Origin = origin;
+  if (token) headers['X-Backlight-Token'] = token;
+  if (host) headers.Host = host;
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port: bridge.server.address().port,
+      method,
+      path,
+      headers
+    }, res => {
+      let data = '';
+      res.on('data', chunk => {
+        data += chunk;
+      });
+      res.on('end', () => {
+        resolve({ status: res.statusCode, headers: res.headers, body: data ? JSON.parse(data) : null });
+      });
+    });
+    req.on('error', reject);
+    if (body !== undefined) req.write(typeof body === 'string' ? body : JSON.stringify(body));
+    req.end();
+  });
+}
+
+// Start a bridge on a free port for one test
+function startBridge(t, options = {}) {
+  const bridge = new BacklightBridge({ port: 0, ...options });
+  t.after(() => bridge.stop());
+  return bridge.start();
+}
+
+module.exports = { ORIGIN, call, startBridge };
@@ -0,0 +1,148 @@
+// Backlight bridge tests: request checks and WLED relay
+// Run with: node --test test/*.test.js
+
+const test = require('node:test');
+const assert = require('assert');
+const { encodeWledPackets } = require('../backlight-bridge');
+const { ORIGIN, call, startBridge } = require('./bridge-helpers');
+const { startFakeWled } = require('./fake-wled');
+
+test('GET /status answers without a token', async t => {
+  const bridge = await startBridge(t);
+  const reply = await call(bridge, 'GET', '/status');
+  assert.strictEqual(reply.status, 200);
+  assert.strictEqual(reply.headers['access-control-allow-origin'], ORIGIN);
+});
+
+test('other origins are refused', async t => {
+  const bridge = await startBridge(t);
+  const reply = await call(bridge, 'GET', '/session', { origin: 'https://evil.example' });
+  assert.strictEqual(reply.status, 403);
+  assert.strictEqual(reply.headers['access-control-allow-origin'], undefined);
+});
+
+test('configured origins replace the local default', async t => {
+  const bridge = await startBridge(t, { origins: ['https://visualizer.example'] });
+  assert.strictEqual((await call(bridge, 'GET', '/session')).status, 403);
+  const reply = await call(bridge, 'GET', '/session', { origin: 'https://visualizer.example' });
+  assert.strictEqual(reply.body.token, bridge.token);
+});
+
+test('/session needs an Origin header', async t => {
+  const bridge = await startBridge(t);
+  assert.strictEqual((await call(bridge, 'GET', '/session', { origin: null })).status, 403);
+  assert.strictEqual((await call(bridge, 'GET', '/session')).body.token, bridge.token);
+});
+
+test('rebound host names are refused', async t => {
+  const bridge = await startBridge(t);
+  const reply = await call(bridge, 'GET', '/status', { host: 'attacker.example:21325' });
+  assert.strictEqual(reply.status, 403);
+});
+
+test('routes need the session token', async t => {
+  const bridge = await startBridge(t);
+  const body = { host: '127.0.0.1', colors: [[255, 0, 0]] };
+  assert.strictEqual((await call(bridge, 'POST', '/wled/frame', { body })).status, 401);
+  assert.strictEqual((await call(bridge, 'POST', '/wled/frame', { body, token: 'x'.repeat(48) })).status, 401);
+});
+
+test('requests without a host are refused', async t => {
+  const bridge = await startBridge(t);
+  const reply = await call(bridge, 'POST', '/wled/frame', { body: { colors: [] }, token: bridge.token });
+  assert.strictEqual(reply.status, 400);
+});
+
+test('only local network addresses can be registered', async t => {
+  const bridge = await startBridge(t);
+  const token = bridge.token;
+  for (const host of ['8.8.8.8', 'example.com', '192.168.1.300', '172.32.0.1']) {
+    const reply = await call(bridge, 'POST', '/hosts/register', { body: { host }, token });
+    assert.strictEqual(reply.status, 403, host);
+  }
+  for (const host of ['192.168.1.20', '10.0.0.5', '172.16.4.2', 'wled-tv.local']) {
+    const reply = await call(bridge, 'POST', '/hosts/register', { body: { host }, token });
+    assert.strictEqual(reply.status, 200, host);
+  }
+});
+
+test('discovery only allows the local address a reply came from', async t => {
+  const bridge = await startBridge(t);
+
+  assert.strictEqual(bridge.allowDiscoveredHost('192.168.1.40', { address: '192.168.1.41' }), false);
+  assert.strictEqual(bridge.allowDiscoveredHost('8.8.8.8', { address: '8.8.8.8' }), false);
+  assert.deepStrictEqual([...bridge.hosts.keys()], []);
+
+  assert.strictEqual(bridge.allowDiscoveredHost('192.168.1.40', { address: '192.168.1.40' }, [8090]), true);
+  assert.deepStrictEqual([...bridge.hosts.get('192.168.1.40')], [8090]);
+});
+
+test('frames to unknown devices or ports are refused', async t => {
+  const bridge = await startBridge(t);
+  const token = bridge.token;
+  const frame = { host: '192.168.1.20', colors: [[255, 0, 0]] };
+
+  assert.strictEqual((await call(bridge, 'POST', '/wled/frame', { body: frame, token })).status, 403);
+
+  await call(bridge, 'POST', '/hosts/register', { body: { host: '192.168.1.20' }, token });
+  const reply = await call(bridge, 'POST', '/wled/frame', { body: { ...frame, port: 22 }, token });
+  assert.strictEqual(reply.status, 403);
+  assert.match(reply.body.error, /Port 22/);
+});
+
+test('oversized bodies are refused', async t => {
+  const bridge = await startBridge(t, { maxBodyBytes: 1024 });
+  const body = JSON.stringify({ host: '127.0.0.1', colors: new Array(500).fill([255, 255, 255]) });
+  const reply = await call(bridge, 'POST', '/wled/frame', { body, token: bridge.token });
+  assert.strictEqual(reply.status, 413);
+});
+
+test('frames reach a registered WLED receiver', async t => {
+  const wled = await startFakeWled();
+  t.after(() => wled.close());
+  const bridge = await startBridge(t);
+  const token = bridge.token;
+
+  await call(bridge, 'POST', '/hosts/register', { body: { host: '127.0.0.1', ports: [wled.port] }, token });
+
+  const colors = [[255, 0, 0], [0, 128, 0], [0, 0, 64]];
+  const reply = await call(bridge, 'POST', '/wled/frame', {
+    body: { host: '127.0.0.1', port: wled.port, protocol: 'drgb', timeout: 3, colors },
+    token
+  });
+  assert.strictEqual(reply.status, 200);
+
+  const packet = await wled.next();
+  assert.strictEqual(packet.protocol, 'drgb');
+  assert.strictEqual(packet.timeout, 3);
+  assert.deepStrictEqual(packet.colors, colors);
+
+  // A zero timeout hands the strip back to WLED
+  await call(bridge, 'POST', '/wled/release', { body: { host: '127.0.0.1', port: wled.port }, token });
+  const release = await wled.next();
+  assert.strictEqual(release.timeout, 0);
+  assert.deepStrictEqual(release.colors, []);
+});
+
+test('long strips are split into DNRGB packets', async t => {
+  const wled = await startFakeWled();
+  t.after(() => wled.close());
+  const bridge = await startBridge(t);
+  bridge.allowHost('127.0.0.1', [wled.port]);
+
+  const colors = Array.from({ length: 600 }, (_, i) => [i % 256, 0, 0]);
+  await call(bridge, 'POST', '/wled/frame', {
+    body: { host: '127.0.0.1', port: wled.port, protocol: 'dnrgb', colors },
+    token: bridge.token
+  });
+
+  const packets = [await wled.next(), await wled.next()].sort((a, b) => a.start - b.start);
+  assert.strictEqual(packets[0].start, 0);
+  assert.strictEqual(packets[1].start, 489);
+  assert.deepStrictEqual([...packets[0].colors, ...packets[1].colors], colors);
+});
+
+test('WARLS packets carry LED indexes', () => {
+  const [packet] = encodeWledPackets('warls', [[1, 2, 3], [4, 5, 6]], 1);
+  assert.deepStrictEqual([...packet], [1, 1, 0, 1, 2, 3, 1, 4, 5, 6]);
+});
@@ -0,0 +1,204 @@
+// Saved config tests: migrations from older versions and recovery from bad data
+// Run with: node --test test/*.test.js
+
+const test = require('node:test');
+const assert = require('assert');
+const { loadScripts } = require('./load-scripts');
+
+// The schema's defaults come from the color pipeline, and secrets are found
+// with the credential store, so the device and integration scripts load first
+function loadSettings() {
+  return loadScripts(['backlight-devices.js', 'backlight-integration.js', 'backlight-settings.js']);
+}
+
+// Values from the sandbox have its own Object and Array prototypes, which
+// deepStrictEqual tells apart; a JSON round trip makes them plain
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// The schema with load() and the defaults returning plain values
+function loadSchema() {
+  const BacklightConfigSchema = loadSettings().get('BacklightConfigSchema');
+  return {
+    version: BacklightConfigSchema.version,
+    defaults: plain(BacklightConfigSchema.getDefaults()),
+    load: saved => plain(BacklightConfigSchema.load(saved))
+  };
+}
+
+// Credential store stand-in that keeps entries in a plain object
+function createStore(locked) {
+  const entries = {};
+  return {
+    entries,
+    isLocked: () => locked,
+    get: key => entries[key] || null,
+    set: (key, value) => {
+      entries[key] = value;
+      return Promise.resolve();
+    }
+  };
+}
+
+test('a config from before the schema is upgraded and filled in', () => {
+  const { load, defaults, version } = loadSchema();
+  const { config, issues } = load({
+    enabled: false,
+    mode: 'direct',
+    edgeEmphasis: 0.4,
+    transitionSpeed: 'fast'
+  });
+
+  assert.deepStrictEqual(issues, []);
+  assert.strictEqual(config.version, version);
+  assert.strictEqual(config.enabled, false);
+  assert.strictEqual(config.mode, 'direct');
+  assert.strictEqual(config.edgeEmphasis, 0.4);
+  assert.deepStrictEqual(config.layout, defaults.layout);
+  assert.deepStrictEqual(config.pendingCredentials, []);
+});
+
+test('secrets saved with manual devices move to pendingCredentials', () => {
+  const { load } = loadSchema();
+  for (const version of [undefined, 2]) {
+    const { config, issues } = load({
+      version,
+      manualDevices: [
+        { type: 'Hyperion', id: 'tv', ip: '192.168.1.30', token: 'secret-token' },
+        { type: 'WLED', id: 'desk', ip: '192.168.1.31' }
+      ]
+    });
+
+    assert.deepStrictEqual(issues, []);
+    assert.deepStrictEqual(config.manualDevices, [
+      { type: 'Hyperion', id: 'tv', ip: '192.168.1.30' },
+      { type: 'WLED', id: 'desk', ip: '192.168.1.31' }
+    ]);
+    assert.deepStrictEqual(config.pendingCredentials, [
+      { device: { type: 'Hyperion', id: 'tv' }, secrets: { token: 'secret-token' } }
+    ]);
+  }
+});
+
+test('anything but an object falls back to the defaults', () => {
+  const { load, defaults } = loadSchema();
+  for (const saved of [null, [], 'backlight', 42]) {
+    const { config, issues } = load(saved);
+    assert.deepStrictEqual(config, defaults);
+    assert.strictEqual(issues.length, 1);
+    assert.strictEqual(issues[0].path, '');
+  }
+});
+
+test('invalid values are replaced and reported by path', () => {
+  const { load, defaults } = loadSchema();
+  const { config, issues } = load({
+    version: 3,
+    enabled: 'yes',
+    mode: 'party',
+    edgeEmphasis: 4,
+    smoothingFactor: NaN,
+    manualDevices: [{ type: 'WLED', id: 'desk' }, null, { id: 'no-type' }],
+    layout: { counts: { top: -5, right: 'many' } },
+    outputs: 'all',
+    recording: [],
+    theme: 'dark'
+  });
+
+  const paths = issues.map(issue => issue.path);
+  assert.deepStrictEqual(paths.sort(), [
+    'edgeEmphasis',
+    'enabled',
+    'layout.counts.right',
+    'layout.counts.top',
+    'manualDevices[1]',
+    'manualDevices[2]',
+    'mode',
+    'outputs',
+    'recording',
+    'smoothingFactor',
+    'theme'
+  ]);
+
+  assert.strictEqual(config.enabled, defaults.enabled);
+  assert.strictEqual(config.mode, defaults.mode);
+  assert.strictEqual(config.edgeEmphasis, 1);
+  assert.strictEqual(config.smoothingFactor, defaults.smoothingFactor);
+  assert.deepStrictEqual(config.manualDevices, [{ type: 'WLED', id: 'desk' }]);
+  assert.strictEqual(config.layout.counts.top, 0);
+  assert.strictEqual(config.layout.counts.right, defaults.layout.counts.right);
+  assert.deepStrictEqual(config.outputs, {});
+  assert.deepStrictEqual(config.recording, defaults.recording);
+  assert.ok(!('theme' in config));
+});
+
+test('a partial config keeps what it has and fills in the rest', () => {
+  const { load, defaults } = loadSchema();
+  const { config, issues } = load({
+    version: 3,
+    layout: { counts: { top: 30 } },
+    recording: { fps: 30 }
+  });
+
+  assert.deepStrictEqual(issues, []);
+  assert.deepStrictEqual(config.layout.counts, { ...defaults.layout.counts, top: 30 });
+  assert.strictEqual(config.layout.start, defaults.layout.start);
+  assert.deepStrictEqual(config.recording, { ...defaults.recording, fps: 30 });
+  assert.strictEqual(config.mode, defaults.mode);
+});
+
+test('a config from a newer version keeps the settings this version knows', () => {
+  const { load, version } = loadSchema();
+  const { config, issues } = load({ version: 99, mode: 'ambilight', hologram: true });
+
+  assert.strictEqual(config.version, version);
+  assert.strictEqual(config.mode, 'ambilight');
+  assert.ok(!('hologram' in config));
+  assert.deepStrictEqual(issues.map(issue => issue.path), ['version', 'hologram']);
+});
+
+test('the dialog stores pending secrets once the store is unlocked', async () => {
+  const scripts = loadSettings();
+  const storage = scripts.get('localStorage');
+  storage.setItem('backlightConfig', JSON.stringify({
+    version: 2,
+    manualDevices: [{ type: 'Hyperion', id: 'TV', ip: '192.168.1.30', token: 'secret-token' }]
+  }));
+
+  const BacklightConfigDialog = scripts.get('BacklightConfigDialog');
+  const system = { credentials: createStore(true), getDeviceKey: device => `${device.type}:${String(device.id).toLowerCase()}` };
+  const dialog = new BacklightConfigDialog(system);
+  dialog.loadConfig();
+
+  // While the store is locked the secrets stay in the saved config
+  await dialog.migrateCredentials();
+  dialog.saveConfig();
+  assert.strictEqual(JSON.parse(storage.getItem('backlightConfig')).pendingCredentials[0].secrets.token, 'secret-token');
+
+  system.credentials = createStore(false);
+  await dialog.migrateCredentials();
+  assert.deepStrictEqual(plain(system.credentials.entries), { 'Hyperion:tv': { token: 'secret-token' } });
+
+  const saved = storage.getItem('backlightConfig');
+  assert.ok(!saved.includes('secret-token'));
+  assert.deepStrictEqual(plain(JSON.parse(saved).pendingCredentials), []);
+});
+
+test('imported profiles keep only well-formed switching rules', async () => {
+  const BacklightConfigDialog = loadSettings().get('BacklightConfigDialog');
+  const dialog = new BacklightConfigDialog(null);
+  const profiles = {
+    Night: { config: {}, auto: { from: '22:00', to: '7pm', genres: ['ambient', 3], formats: 'mp3' } },
+    Broken: { config: {}, auto: { from: 2200, to: null } },
+    Late: { config: {}, auto: { from: '23:30', to: '02:00' } }
+  };
+  const file = { text: () => Promise.resolve(JSON.stringify({ type: 'backlight-profiles', profiles })) };
+
+  await dialog.importProfiles(file);
+  const saved = plain(dialog.loadProfiles().profiles);
+  assert.deepStrictEqual(saved.Night.auto, { from: '22:00', to: '', genres: ['ambient'], formats: [] });
+  assert.strictEqual(saved.Broken.auto, null);
+  assert.deepStrictEqual(saved.Late.auto, { from: '23:30', to: '02:00', genres: [], formats: [] });
+
+  // Matching no longer trips over the imported rules
+  assert.strictEqual(dialog.matchProfile({ genre: 'ambient', format: 'mp3' }, new Date(2026, 0, 1, 12, 0)), 'Night');
+});
@@ -0,0 +1,150 @@
+// Fake Philips Hue bridge for the bridge tests
+// Serves the parts of the HTTPS API the backlight bridge uses (config,
+// pairing, entertainment areas, /auth/v1) with a throwaway self-signed
+// certificate, and accepts the entertainment stream with openssl s_server so
+// the DTLS leg can be checked without a real bridge.
+
+const https = require('https');
+const dgram = require('dgram');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawn } = require('child_process');
+
+const APP_KEY = 'fake-app-key';
+const CLIENT_KEY = '0123456789abcdef0123456789abcdef';
+const APPLICATION_ID = 'fake-application-id';
+
+// Entertainment area with a light in each corner
+const AREA = {
+  id: '6c9a1d1c-5a7e-4c1b-9f0e-2d3a4b5c6d7e',
+  metadata: { name: 'TV Area' },
+  channels: [
+    { channel_id: 0, position: { x: -1, y: 1, z: 1 } },
+    { channel_id: 1, position: { x: 1, y: 1, z: 1 } },
+    { channel_id: 2, position: { x: 1, y: 1, z: -1 } },
+    { channel_id: 3, position: { x: -1, y: 1, z: -1 } }
+  ]
+};
+
+// Create a self-signed certificate in a temporary directory
+function createCertificate() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fake-hue-'));
+  const key = path.join(dir, 'key.pem');
+  const cert = path.join(dir, 'cert.pem');
+
+  execFileSync('openssl', [
+    'req', '-x509', '-newkey', 'ec', '-pkeyopt', 'ec_paramgen_curve:prime256v1',
+    '-nodes', '-keyout', key, '-out', cert, '-subj', '/CN=fake-hue', '-days', '1'
+  ], { stdio: 'ignore' });
+
+  const result = { key: fs.readFileSync(key), cert: fs.readFileSync(cert) };
+  fs.rmSync(dir, { recursive: true, force: true });
+  return result;
+}
+
+// Find a UDP port nothing is listening on
+function freeUdpPort() {
+  return new Promise(resolve => {
+    const socket = dgram.createSocket('udp4');
+    socket.bind(0, '127.0.0.1', () => {
+      const { port } = socket.address();
+      socket.close(() => resolve(port));
+    });
+  });
+}
+
+// Read a request body as JSON
+function readJson(req) {
+  return new Promise(resolve => {
+    let data = '';
+    req.on('data', chunk => {
+      data += chunk;
+    });
+    req.on('end', () => resolve(data ? JSON.parse(data) : null));
+  });
+}
+
+// Start the fake bridge; resolves with its ports, the requests it saw and
+// controls for the link button and the stream
+function startFakeHue() {
+  const state = {
+    linkButton: false,
+    requests: [],
+    stream: null
+  };
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = https.createServer(createCertificate(), (req, res) => {
+    readJson(req).then(body => {
+      state.requests.push({ method: req.method, url: req.url, body });
+      const authorized = req.headers['hue-application-key'] === APP_KEY;
+
+      if (req.method === 'GET' && req.url === '/api/0/config') {
+        send(res, 200, { name: 'Fake Hue', bridgeid: '001788FFFE123456' });
+      } else if (req.method === 'POST' && req.url === '/api') {
+        send(res, 200, state.linkButton
+          ? [{ success: { username: APP_KEY, clientkey: CLIENT_KEY.toUpperCase() } }]
+          : [{ error: { type: 101, address: '', description: 'link button not pressed' } }]);
+      } else if (!authorized) {
+        send(res, 403, { errors: [{ description: 'unauthorized user' }] });
+      } else if (req.method === 'GET' && req.url === '/auth/v1') {
+        send(res, 200, {}, { 'hue-application-id': APPLICATION_ID });
+      } else if (req.method === 'GET' && req.url === '/clip/v2/resource/entertainment_configuration') {
+        send(res, 200, { errors: [], data: [AREA] });
+      } else if (req.method === 'PUT' && req.url === `/clip/v2/resource/entertainment_configuration/${AREA.id}`) {
+        send(res, 200, { errors: [], data: [{ rid: AREA.id, rtype: 'entertainment_configuration' }] });
+      } else {
+        send(res, 404, { errors: [{ description: `Not found: ${req.method} ${req.url}` }] });
+      }
+    });
+  });
+
+  return freeUdpPort().then(streamPort => new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        port: server.address().port,
+        streamPort,
+        requests: state.requests,
+
+        pressLinkButton() {
+          state.linkButton = true;
+        },
+
+        // Accept one DTLS session with the client key as PSK; received bytes
+        // collect in stream.data
+        startStream() {
+          const child = spawn('openssl', [
+            's_server',
+            '-dtls1_2',
+            '-accept', `127.0.0.1:${streamPort}`,
+            '-nocert',
+            '-psk', CLIENT_KEY,
+            '-cipher', 'PSK-AES128-GCM-SHA256',
+            '-quiet'
+          ]);
+
+          state.stream = { process: child, data: Buffer.alloc(0) };
+          child.stdout.on('data', chunk => {
+            state.stream.data = Buffer.concat([state.stream.data, chunk]);
+          });
+          child.stdin.on('error', () => {});
+
+          // s_server has no ready message in quiet mode; give it a moment to bind
+          return new Promise(done => setTimeout(() => done(state.stream), 300));
+        },
+
+        close() {
+          if (state.stream) state.stream.process.kill();
+          return new Promise(done => server.close(done));
+        }
+      });
+    });
+  }));
+}
+
+module.exports = { startFakeHue, APP_KEY, CLIENT_KEY, APPLICATION_ID, AREA };
@@ -0,0 +1,64 @@
+// Fake WLED controller for the bridge tests
+// Listens for realtime UDP packets on a loopback port and decodes them.
+
+const dgram = require('dgram');
+
+// Protocol names by the first byte of a realtime packet
+const PROTOCOLS = { 1: 'warls', 2: 'drgb', 4: 'dnrgb' };
+
+// Decode a realtime packet into { protocol, timeout, start, colors }
+function decodeWledPacket(packet) {
+  const protocol = PROTOCOLS[packet[0]];
+  const colors = [];
+  let start = 0;
+
+  if (protocol === 'warls') {
+    for (let i = 2; i + 3 < packet.length; i += 4) {
+      colors[packet[i]] = [packet[i + 1], packet[i + 2], packet[i + 3]];
+    }
+  } else {
+    const offset = protocol === 'dnrgb' ? 4 : 2;
+    if (protocol === 'dnrgb') start = (packet[2] << 8) | packet[3];
+    for (let i = offset; i + 2 < packet.length; i += 3) {
+      colors.push([packet[i], packet[i + 1], packet[i + 2]]);
+    }
+  }
+
+  return { protocol, timeout: packet[1], start, colors };
+}
+
+// Start a receiver; resolves with { port, packets, next(), close() }
+function startFakeWled() {
+  const socket = dgram.createSocket('udp4');
+  const packets = [];
+  const waiting = [];
+  let read = 0;
+
+  socket.on('message', message => {
+    const packet = decodeWledPacket(message);
+    packets.push(packet);
+    if (waiting.length) {
+      read++;
+      waiting.shift()(packet);
+    }
+  });
+
+  return new Promise(resolve => {
+    socket.bind(0, '127.0.0.1', () => {
+      resolve({
+        port: socket.address().port,
+        packets,
+        // Wait for the next packet that has not been read yet
+        next() {
+          if (read < packets.length) return Promise.resolve(packets[read++]);
+          return new Promise(done => waiting.push(done));
+        },
+        close() {
+          return new Promise(done => socket.close(done));
+        }
+      });
+    });
+  });
+}
+
+module.exports = { startFakeWled, decodeWledPacket };
@@ -0,0 +1,213 @@
+// Hue Entertainment tests against the fake bridge in fake-hue.js
+// Run with: node --test test/*.test.js (the fake bridge needs the openssl command line tool)
+
+const test = require('node:test');
+const assert = require('assert');
+const { ORIGIN, call, startBridge } = require('./bridge-helpers');
+const { startFakeHue, APP_KEY, CLIENT_KEY, AREA } = require('./fake-hue');
+const { loadScripts } = require('./load-scripts');
+
+// Wait until a condition holds, polling every few milliseconds
+function waitFor(condition, timeout = 3000) {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      if (condition()) resolve();
+      else if (Date.now() - started > timeout) reject(new Error('Timed out waiting'));
+      else setTimeout(check, 10);
+    };
+    check();
+  });
+}
+
+// Split received stream bytes back into HueStream packets
+function decodeHueStream(data) {
+  const packets = [];
+  let offset = 0;
+  while (offset < data.length) {
+    const areaId = data.toString('ascii', offset + 16, offset + 52);
+    let end = data.indexOf('HueStream', offset + 9);
+    if (end < 0) end = data.length;
+
+    const channels = [];
+    for (let i = offset + 52; i + 6 < end; i += 7) {
+      channels.push({
+        id: data[i],
+        color: [data.readUInt16BE(i + 1) >> 8, data.readUInt16BE(i + 3) >> 8, data.readUInt16BE(i + 5) >> 8]
+      });
+    }
+
+    packets.push({
+      header: data.toString('ascii', offset, offset + 9),
+      version: data[offset + 9],
+      sequence: data[offset + 11],
+      areaId,
+      channels
+    });
+    offset = end;
+  }
+  return packets;
+}
+
+// Fake Hue bridge plus a backlight bridge pointed at it
+async function setup(t) {
+  const hue = await startFakeHue();
+  t.after(() => hue.close());
+
+  const bridge = await startBridge(t, { huePort: hue.port, hueStreamPort: hue.streamPort });
+  bridge.allowHost('127.0.0.1', [hue.port, hue.streamPort]);
+  return { hue, bridge, token: bridge.token };
+}
+
+// The page's Hue driver, talking to the bridge as the visualizer's origin would
+function loadDriver(bridge) {
+  const scripts = loadScripts(['backlight-devices.js'], {
+    fetch: (url, init = {}) => fetch(url, { ...init, headers: { ...init.headers, Origin: ORIGIN } })
+  });
+  const bridgeUrl = `http://127.0.0.1:${bridge.server.address().port}`;
+  return { HueEntertainmentDriver: scripts.get('HueEntertainmentDriver'), bridgeUrl };
+}
+
+test('pairing waits for the link button', async t => {
+  const { hue, bridge, token } = await setup(t);
+
+  let reply = await call(bridge, 'POST', '/hue/pair', { body: { host: '127.0.0.1' }, token });
+  assert.deepStrictEqual(reply.body, { linkButtonPressed: false });
+
+  hue.pressLinkButton();
+  reply = await call(bridge, 'POST', '/hue/pair', { body: { host: '127.0.0.1' }, token });
+  assert.strictEqual(reply.body.appKey, APP_KEY);
+  assert.strictEqual(reply.body.clientKey.toLowerCase(), CLIENT_KEY);
+});
+
+test('the driver keeps asking until the link button is pressed', async t => {
+  const { hue, bridge } = await setup(t);
+  const { HueEntertainmentDriver, bridgeUrl } = loadDriver(bridge);
+
+  waitFor(() => hue.requests.some(request => request.url === '/api')).then(() => hue.pressLinkButton());
+  const credentials = await HueEntertainmentDriver.pair('127.0.0.1', { bridgeUrl, interval: 20, attempts: 20 });
+  assert.strictEqual(credentials.appKey, APP_KEY);
+
+  const pairRequests = hue.requests.filter(request => request.url === '/api');
+  assert.ok(pairRequests.length > 1);
+  assert.strictEqual(pairRequests[0].body.generateclientkey, true);
+
+  await assert.rejects(
+    HueEntertainmentDriver.pair('127.0.0.1', { bridgeUrl: 'http://127.0.0.1:1', attempts: 1 })
+  );
+});
+
+test('config and areas come from the bridge API', async t => {
+  const { bridge, token } = await setup(t);
+
+  const config = await call(bridge, 'POST', '/hue/config', { body: { host: '127.0.0.1' }, token });
+  assert.strictEqual(config.body.bridgeid, '001788FFFE123456');
+
+  const areas = await call(bridge, 'POST', '/hue/areas', { body: { host: '127.0.0.1', appKey: APP_KEY }, token });
+  assert.deepStrictEqual(areas.body.areas.map(area => area.name), ['TV Area']);
+  assert.strictEqual(areas.body.areas[0].channels.length, 4);
+
+  const refused = await call(bridge, 'POST', '/hue/areas', { body: { host: '127.0.0.1', appKey: 'wrong' }, token });
+  assert.strictEqual(refused.status, 400);
+  assert.match(refused.body.error, /403/);
+});
+
+test('channels stream to the nearest edge over DTLS', async t => {
+  const { hue, bridge } = await setup(t);
+  const stream = await hue.startStream();
+  const { HueEntertainmentDriver, bridgeUrl } = loadDriver(bridge);
+
+  const device = { id: '001788fffe123456', type: 'Philips Hue', bridgeIp: '127.0.0.1' };
+  const driver = new HueEntertainmentDriver(device, { bridgeUrl, appKey: APP_KEY, clientKey: CLIENT_KEY });
+  await driver.connect();
+  assert.ok(hue.requests.some(request => request.method === 'PUT' && request.body.action === 'start'));
+
+  const red = [255, 0, 0];
+  const blue = [0, 0, 255];
+  const zones = { top: [red, red], bottom: [blue, blue], left: [], right: [] };
+  assert.strictEqual(driver.sendFrame({ zones }), true);
+
+  await waitFor(() => stream.data.length >= 52 + AREA.channels.length * 7);
+  const [packet] = decodeHueStream(stream.data);
+  assert.strictEqual(packet.header, 'HueStream');
+  assert.strictEqual(packet.version, 2);
+  assert.strictEqual(packet.areaId, AREA.id);
+  assert.deepStrictEqual(packet.channels, [
+    { id: 0, color: red },
+    { id: 1, color: red },
+    { id: 2, color: blue },
+    { id: 3, color: blue }
+  ]);
+
+  await driver.disconnect();
+  assert.ok(hue.requests.some(request => request.method === 'PUT' && request.body.action === 'stop'));
+  assert.strictEqual(bridge.hueStreams.size, 0);
+});
+
+test('a layout with no LEDs maps no channels', () => {
+  const HueEntertainmentDriver = loadScripts(['backlight-devices.js']).get('HueEntertainmentDriver');
+  const driver = new HueEntertainmentDriver({ id: 'hue', type: 'Philips Hue', bridgeIp: '127.0.0.1' });
+  driver.area = { id: AREA.id, channels: AREA.channels.map(channel => ({ id: channel.channel_id, position: channel.position })) };
+
+  const zones = { top: [], bottom: [], left: [], right: [] };
+  assert.strictEqual(driver.mapChannelsToZones(zones).length, 0);
+  assert.strictEqual(driver.mapChannelsToZones({ ...zones, left: [[1, 2, 3]] }).length, AREA.channels.length);
+});
+
+test('frames closer together than the stream allows are dropped', async t => {
+  const { hue, bridge, token } = await setup(t);
+  await hue.startStream();
+
+  const start = { host: '127.0.0.1', appKey: APP_KEY, clientKey: CLIENT_KEY, areaId: AREA.id };
+  assert.strictEqual((await call(bridge, 'POST', '/hue/stream/start', { body: start, token })).status, 200);
+
+  const frame = { host: '127.0.0.1', channels: [{ id: 0, color: [1, 2, 3] }] };
+  const first = bridge.sendHueFrame(frame);
+  const second = bridge.sendHueFrame(frame);
+  assert.deepStrictEqual(first, { ok: true });
+  assert.deepStrictEqual(second, { ok: true, dropped: true });
+});
+
+test('a stream the Hue bridge stopped answering is dropped without crashing the bridge', async t => {
+  const { hue, bridge, token } = await setup(t);
+  const hueStream = await hue.startStream();
+
+  const start = { host: '127.0.0.1', appKey: APP_KEY, clientKey: CLIENT_KEY, areaId: AREA.id };
+  await call(bridge, 'POST', '/hue/stream/start', { body: start, token });
+
+  // With nothing listening any more, the next datagrams are refused
+  hueStream.process.kill();
+  await waitFor(() => hueStream.process.exitCode !== null || hueStream.process.signalCode !== null);
+  for (let i = 0; i < 20 && bridge.hueStreams.size; i++) {
+    bridge.sendHueFrame({ host: '127.0.0.1', channels: [{ id: 0, color: [1, 2, 3] }] });
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  assert.strictEqual(bridge.hueStreams.size, 0);
+
+  const reply = await call(bridge, 'POST', '/hue/stream/frame', {
+    body: { host: '127.0.0.1', channels: [{ id: 0, color: [1, 2, 3] }] },
+    token
+  });
+  assert.strictEqual(reply.status, 400);
+  assert.match(reply.body.error, /No Hue stream/);
+});
+
+test('a wrong client key fails the handshake', async t => {
+  const { hue, bridge, token } = await setup(t);
+  await hue.startStream();
+
+  const start = { host: '127.0.0.1', appKey: APP_KEY, clientKey: 'ff'.repeat(16), areaId: AREA.id };
+  const reply = await call(bridge, 'POST', '/hue/stream/start', { body: start, token });
+  assert.strictEqual(reply.status, 400);
+  assert.strictEqual(bridge.hueStreams.size, 0);
+});
+
+test('a failed DTLS handshake is reported', async t => {
+  const { bridge, token } = await setup(t);
+
+  // Nothing is listening on the stream port
+  const start = { host: '127.0.0.1', appKey: APP_KEY, clientKey: CLIENT_KEY, areaId: AREA.id };
+  const reply = await call(bridge, 'POST', '/hue/stream/start', { body: start, token });
+  assert.strictEqual(reply.status, 400);
+  assert.strictEqual(bridge.hueStreams.size, 0);
+});
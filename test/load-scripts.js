@@ -0,0 +1,65 @@
+// Load the page scripts into a sandbox for tests
+// The scripts declare plain globals (no modules), so they run in a shared vm
+// context with stand-ins for the browser APIs they touch at load time.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// In-memory localStorage
+function createStorage(initial = {}) {
+  const data = { ...initial };
+  return {
+    getItem: key => (key in data ? data[key] : null),
+    setItem: (key, value) => {
+      data[key] = String(value);
+    },
+    removeItem: key => {
+      delete data[key];
+    },
+    clear: () => Object.keys(data).forEach(key => delete data[key]),
+    get length() {
+      return Object.keys(data).length;
+    }
+  };
+}
+
+// Run the given files in order; returns run(file) to load more and get(name)
+// for the globals they declare
+function loadScripts(files, globals = {}) {
+  const context = vm.createContext({
+    console,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    performance,
+    fetch: () => Promise.reject(new Error('Network access is disabled in tests')),
+    URL,
+    TextEncoder,
+    TextDecoder,
+    crypto: globalThis.crypto,
+    btoa,
+    atob,
+    localStorage: createStorage(),
+    ...globals
+  });
+
+  const run = file => {
+    const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    vm.runInContext(source, context, { filename: file });
+  };
+  files.forEach(run);
+
+  // Class and const declarations are not properties of the context's global
+  // object, so they are read back by evaluating their name
+  return {
+    context,
+    run,
+    get: name => vm.runInContext(name, context)
+  };
+}
+
+module.exports = { loadScripts, createStorage };
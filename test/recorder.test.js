@@ -0,0 +1,45 @@
+// Recorder tests: stopping cleans up whether or not the recording can be assembled
+// Run with: node --test test/*.test.js
+
+const test = require('node:test');
+const assert = require('assert');
+const { loadScripts } = require('./load-scripts');
+
+// A recorder mid-recording, with a MediaRecorder stand-in that stops at once
+// and a sink whose finish() the test supplies
+function startedRecorder(finish) {
+  const scripts = loadScripts(['backlight-devices.js', 'backlight-integration.js']);
+  const active = scripts.get('backlightActiveRecordings');
+  const BacklightRecordingOptimizer = scripts.get('BacklightRecordingOptimizer');
+
+  const recorder = new BacklightRecordingOptimizer(null);
+  recorder.recorder = {
+    stop() {
+      this.onstop();
+    }
+  };
+  recorder.stream = { getTracks: () => [] };
+  recorder.sink = { finish };
+  recorder.recordingId = 'recording-1';
+  active.add('recording-1');
+
+  return { recorder, active };
+}
+
+test('a stopped recording is cleared once it is assembled', async () => {
+  const { recorder, active } = startedRecorder(() => Promise.resolve('blob'));
+
+  assert.strictEqual(await recorder.stopRecording(), 'blob');
+  assert.strictEqual(recorder.sink, null);
+  assert.strictEqual(recorder.recordingId, null);
+  assert.strictEqual(active.size, 0);
+});
+
+test('a recording that cannot be assembled is cleared as well', async () => {
+  const { recorder, active } = startedRecorder(() => Promise.reject(new Error('Quota exceeded')));
+
+  await assert.rejects(recorder.stopRecording(), /Quota exceeded/);
+  assert.strictEqual(recorder.sink, null);
+  assert.strictEqual(recorder.recordingId, null);
+  assert.strictEqual(active.size, 0);
+});
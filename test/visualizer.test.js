@@ -0,0 +1,83 @@
+// Backlight visualizer tests: drawing keeps no state from earlier frames
+// Run with: node --test test/*.test.js
+// With node --expose-gc --test test/*.test.js the heap is checked as well.
+
+const test = require('node:test');
+const assert = require('assert');
+const { loadScripts } = require('./load-scripts');
+
+// 2D context stand-in that counts the gradient color stops added since the last reset
+function createContext() {
+  const counts = { stops: 0 };
+  const methods = {
+    createLinearGradient: () => ({
+      addColorStop: () => {
+        counts.stops++;
+      }
+    })
+  };
+  const context = new Proxy({ counts }, {
+    get: (target, key) => (key in target ? target[key] : methods[key] || (() => {}))
+  });
+  return context;
+}
+
+// Audio that changes every frame, so every bar and zone gets drawn
+function createAudio() {
+  const frequencyData = new Uint8Array(1024);
+  const timeData = new Uint8Array(2048);
+  let frame = 0;
+  return {
+    getFrequencyData() {
+      frame++;
+      frequencyData.forEach((_, i) => {
+        frequencyData[i] = 64 + ((i * 37 + frame * 11) % 192);
+      });
+      return frequencyData;
+    },
+    getTimeData: () => timeData
+  };
+}
+
+// Number of values held by an object, counting into arrays and nested objects
+function countValues(value) {
+  if (!value || typeof value !== 'object') return 1;
+  return Object.keys(value).reduce((sum, key) => sum + countValues(value[key]), 0);
+}
+
+test('edge emphasis state stays flat over thousands of draw() calls', () => {
+  const BacklightVisualizer = loadScripts(['backlight-devices.js', 'backlight-integration.js']).get('BacklightVisualizer');
+  const ctx = createContext();
+  const canvas = { width: 1920, height: 1080, getContext: () => ctx };
+  const visualizer = new BacklightVisualizer(canvas, createAudio(), { edgeIntensity: 1 });
+
+  // What the visualizer keeps between frames, leaving out what it was given
+  const state = () => countValues({ ...visualizer, canvas: null, ctx: null, audioData: null });
+
+  const draw = frames => {
+    const stops = [];
+    for (let i = 0; i < frames; i++) {
+      ctx.counts.stops = 0;
+      visualizer.draw(i * 16);
+      stops.push(ctx.counts.stops);
+    }
+    return stops;
+  };
+
+  draw(100);
+  const stateBefore = state();
+  if (global.gc) global.gc();
+  const heapBefore = process.memoryUsage().heapUsed;
+
+  // Two stops per zone: 16 bars along the top and bottom, 4 on each side
+  const stops = draw(5000);
+  assert.ok(Math.max(...stops) <= 2 * (16 + 16 + 4 + 4), `up to ${Math.max(...stops)} stops in one frame`);
+  assert.strictEqual(Math.max(...stops), Math.min(...stops));
+  assert.strictEqual(state(), stateBefore);
+
+  if (global.gc) {
+    global.gc();
+    const growth = process.memoryUsage().heapUsed - heapBefore;
+    assert.ok(growth < 1024 * 1024, `heap grew by ${growth} bytes`);
+  }
+});
@@ -0,0 +1,72 @@
+// Backlight worker tests: every frame is answered, even when sampling fails
+// Run with: node --test test/*.test.js
+
+const test = require('node:test');
+const assert = require('assert');
+const { loadScripts } = require('./load-scripts');
+
+// Start backlight-worker.js in a sandbox; returns the sandbox and the messages it posts
+function startWorker(globals = {}) {
+  const posted = [];
+  const self = { postMessage: message => posted.push(message) };
+  const scripts = loadScripts([], {
+    ...globals,
+    self,
+    setInterval: () => 0,
+    importScripts: (...files) => files.forEach(file => scripts.run(file))
+  });
+  scripts.run('backlight-worker.js');
+  return { self, posted, get: scripts.get };
+}
+
+test('a frame that fails to sample is answered with frameError', () => {
+  const canvas = { width: 4, height: 4, getContext: () => ({ drawImage: () => {} }) };
+  const worker = startWorker({
+    OffscreenCanvas: function OffscreenCanvas() {
+      return canvas;
+    }
+  });
+  const system = worker.get('system');
+  system.sampleEdgeColors = () => {
+    throw new Error('sampling failed');
+  };
+
+  let closed = false;
+  const bitmap = {
+    close: () => {
+      closed = true;
+    }
+  };
+
+  worker.self.onmessage({ data: { type: 'frame', bitmap, width: 4, height: 4 } });
+
+  assert.deepStrictEqual(worker.posted.map(message => message.type), ['frameError']);
+  assert.strictEqual(worker.posted[0].error, 'sampling failed');
+  assert.strictEqual(closed, true);
+});
+
+test('the page sends frames again after frameError or a worker error', () => {
+  const scripts = loadScripts(['backlight-devices.js', 'backlight-integration.js'], {
+    Worker: function Worker() {
+      this.postMessage = () => {};
+    }
+  });
+  const BacklightWorkerClient = scripts.get('BacklightWorkerClient');
+  const client = new BacklightWorkerClient();
+  client.canvasAttached = true;
+
+  assert.strictEqual(client.postFrame(null, 4, 4), true);
+  assert.strictEqual(client.postFrame(null, 4, 4), false);
+
+  const error = console.error;
+  console.error = () => {};
+  try {
+    client.worker.onmessage({ data: { type: 'frameError', error: 'sampling failed' } });
+    assert.strictEqual(client.postFrame(null, 4, 4), true);
+
+    client.worker.onerror({ message: 'boom' });
+    assert.strictEqual(client.postFrame(null, 4, 4), true);
+  } finally {
+    console.error = error;
+  }
+});